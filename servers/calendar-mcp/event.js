@@ -0,0 +1,122 @@
+// Turn tool arguments into Google Calendar event fields: times, recurrence, reminders, Meet.
+
+import crypto from "node:crypto";
+import { parseWhen, zonedParts, toZonedISO, formatDate } from "../shared/time.js";
+
+const WEEKDAY_CODES = { su: "SU", mo: "MO", tu: "TU", we: "WE", th: "TH", fr: "FR", sa: "SA" };
+
+function localDate(ms, timeZone) {
+  const { year, month, day } = zonedParts(ms, timeZone);
+  return { year, month, day };
+}
+
+/**
+ * Resolve start/end into Google's { date } (all-day) or { dateTime, timeZone } form.
+ * `start` may be ISO or a phrase ("tomorrow 3pm for 45m"); a bare date means all-day.
+ * For all-day events `end` is the last day *inclusive*; Google's exclusive end is derived.
+ */
+export function resolveEventTimes({ start, end, durationMinutes, allDay, timeZone, now }) {
+  const s = parseWhen(start, { timeZone, now });
+  if (allDay || s.allDay) {
+    const first = s.date ?? localDate(s.start, timeZone);
+    let afterLast;
+    if (end) {
+      const e = parseWhen(end, { timeZone, now });
+      const last = e.date ?? localDate(e.start, timeZone);
+      afterLast = { ...last, day: last.day + 1 };
+    } else if (s.allDay && s.end) {
+      afterLast = localDate(s.end, timeZone);
+    } else {
+      afterLast = { ...first, day: first.day + 1 };
+    }
+    if (formatDate(afterLast) <= formatDate(first)) throw new Error("All-day event must end on or after its start date");
+    return { start: { date: formatDate(first) }, end: { date: formatDate(afterLast) }, allDay: true };
+  }
+
+  let endMs;
+  if (end) endMs = parseWhen(end, { timeZone, now }).start;
+  else if (s.end !== null) endMs = s.end;
+  else if (durationMinutes) endMs = s.start + durationMinutes * 60000;
+  else throw new Error("Give an end time, a duration (durationMinutes or '... for 45m'), or allDay");
+  if (endMs <= s.start) throw new Error("Event must end after it starts");
+
+  return {
+    start: { dateTime: toZonedISO(s.start, timeZone), timeZone },
+    end: { dateTime: toZonedISO(endMs, timeZone), timeZone },
+    allDay: false,
+  };
+}
+
+/**
+ * New start/end for rescheduling `current` (the event as Google returns it). A start
+ * with no end or duration ("tomorrow 3pm") keeps the event's length; an end alone
+ * keeps its start. Bare dates move it to, or keep it as, an all-day event.
+ */
+export function rescheduleTimes({ start, end, current, timeZone, now }) {
+  if (start === undefined) {
+    const from = current.start?.date ?? current.start?.dateTime;
+    return resolveEventTimes({ start: from, end, timeZone, now });
+  }
+  const s = parseWhen(start, { timeZone, now });
+  // A bare date always spans a day, so for all-day values only "... for 3d" counts as a new length
+  const newLength = s.allDay ? /\s+for\s+/i.test(start) : s.end !== null;
+  if (end !== undefined || newLength) return resolveEventTimes({ start, end, timeZone, now });
+
+  if (s.allDay) {
+    // Same number of days; a timed event becomes a one-day event
+    const days = current.start?.date ? Math.round((Date.parse(current.end.date) - Date.parse(current.start.date)) / 86400000) : 1;
+    const last = { ...s.date, day: s.date.day + Math.max(days, 1) - 1 };
+    return resolveEventTimes({ start, end: formatDate(last), timeZone, now });
+  }
+  if (!current.start?.dateTime) {
+    throw new Error("This is an all-day event; give an end time or a duration ('... for 45m') to make it a timed one");
+  }
+  const durationMinutes = (Date.parse(current.end.dateTime) - Date.parse(current.start.dateTime)) / 60000;
+  return resolveEventTimes({ start, durationMinutes, timeZone, now });
+}
+
+/**
+ * RRULE lines from either raw `recurrence` strings or the `repeat` shorthand,
+ * e.g. { frequency: "weekly", weekdays: ["tue", "thu"], until: "dec 19" }.
+ */
+export function buildRecurrence({ recurrence, repeat }, { allDay, timeZone, now }) {
+  if (recurrence?.length) return recurrence.map(r => (/^(RRULE|EXRULE|RDATE|EXDATE):/i.test(r) ? r : `RRULE:${r}`));
+  if (!repeat) return undefined;
+
+  const parts = [`FREQ=${repeat.frequency.toUpperCase()}`];
+  if (repeat.interval && repeat.interval > 1) parts.push(`INTERVAL=${repeat.interval}`);
+  if (repeat.weekdays?.length) {
+    const codes = repeat.weekdays.map(d => {
+      const code = WEEKDAY_CODES[d.trim().toLowerCase().slice(0, 2)];
+      if (!code) throw new Error(`Unknown weekday: ${d}`);
+      return code;
+    });
+    parts.push(`BYDAY=${codes.join(",")}`);
+  }
+  if (repeat.count) parts.push(`COUNT=${repeat.count}`);
+  if (repeat.until) {
+    const u = parseWhen(repeat.until, { timeZone, now });
+    const date = u.date ?? localDate(u.start, timeZone);
+    if (allDay) {
+      parts.push(`UNTIL=${formatDate(date).replace(/-/g, "")}`);
+    } else {
+      // Include every occurrence that starts on the `until` day in the event's zone
+      const endOfDay = parseWhen(`${formatDate(date)}T23:59:59`, { timeZone, now }).start;
+      parts.push(`UNTIL=${new Date(endOfDay).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "")}`);
+    }
+  }
+  return [`RRULE:${parts.join(";")}`];
+}
+
+// Numbers are popup reminders in minutes; objects pick the method.
+export function buildReminders(reminders) {
+  if (!reminders) return undefined;
+  return {
+    useDefault: false,
+    overrides: reminders.map(r => (typeof r === "number" ? { method: "popup", minutes: r } : r)),
+  };
+}
+
+export function meetRequest() {
+  return { createRequest: { requestId: crypto.randomUUID(), conferenceSolutionKey: { type: "hangoutsMeet" } } };
+}
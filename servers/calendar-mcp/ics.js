@@ -0,0 +1,427 @@
+// RFC 5545 (.ics) parsing and generation for calendar import/export.
+// Pure functions over strings and Google Calendar event objects, so they run without Google.
+
+import { zonedParts, zoneOffsetMs } from "../shared/time.js";
+
+// Outlook writes Windows zone names in TZID; map the common ones to IANA.
+const WINDOWS_ZONES = {
+  "Dateline Standard Time": "Etc/GMT+12",
+  "Hawaiian Standard Time": "Pacific/Honolulu",
+  "Alaskan Standard Time": "America/Anchorage",
+  "Pacific Standard Time": "America/Los_Angeles",
+  "Mountain Standard Time": "America/Denver",
+  "US Mountain Standard Time": "America/Phoenix",
+  "Central Standard Time": "America/Chicago",
+  "Central America Standard Time": "America/Guatemala",
+  "Eastern Standard Time": "America/New_York",
+  "Atlantic Standard Time": "America/Halifax",
+  "SA Pacific Standard Time": "America/Bogota",
+  "E. South America Standard Time": "America/Sao_Paulo",
+  "GMT Standard Time": "Europe/London",
+  "Greenwich Standard Time": "Atlantic/Reykjavik",
+  "UTC": "UTC",
+  "W. Europe Standard Time": "Europe/Berlin",
+  "Romance Standard Time": "Europe/Paris",
+  "Central Europe Standard Time": "Europe/Budapest",
+  "Central European Standard Time": "Europe/Warsaw",
+  "E. Europe Standard Time": "Europe/Chisinau",
+  "FLE Standard Time": "Europe/Kiev",
+  "GTB Standard Time": "Europe/Bucharest",
+  "Israel Standard Time": "Asia/Jerusalem",
+  "Russian Standard Time": "Europe/Moscow",
+  "Arabian Standard Time": "Asia/Dubai",
+  "India Standard Time": "Asia/Kolkata",
+  "China Standard Time": "Asia/Shanghai",
+  "Singapore Standard Time": "Asia/Singapore",
+  "Tokyo Standard Time": "Asia/Tokyo",
+  "Korea Standard Time": "Asia/Seoul",
+  "AUS Eastern Standard Time": "Australia/Sydney",
+  "New Zealand Standard Time": "Pacific/Auckland",
+};
+
+function isIanaZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ---------- Parsing ----------
+
+// Continuation lines start with a space or tab (RFC 5545 §3.1)
+export function unfold(text) {
+  return text.replace(/\r\n/g, "\n").replace(/\n[ \t]/g, "").split("\n").filter(l => l.trim() !== "");
+}
+
+export function unescapeText(v) {
+  return v.replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+// "DTSTART;TZID=Europe/Paris:20251025T090000" -> { name, params, value }
+export function parseLine(line) {
+  let i = 0;
+  let quoted = false;
+  for (; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') quoted = !quoted;
+    if (ch === ":" && !quoted) break;
+  }
+  const head = line.slice(0, i);
+  const value = line.slice(i + 1);
+  const [name, ...rawParams] = head.split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const params = {};
+  for (const p of rawParams) {
+    const eq = p.indexOf("=");
+    params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value };
+}
+
+// Nest BEGIN/END blocks into { type, props: [{ name, params, value }], children }
+function parseComponents(lines) {
+  const root = { type: "ROOT", props: [], children: [] };
+  const stack = [root];
+  for (const line of lines) {
+    const prop = parseLine(line);
+    const top = stack[stack.length - 1];
+    if (prop.name === "BEGIN") {
+      const comp = { type: prop.value.toUpperCase(), props: [], children: [] };
+      top.children.push(comp);
+      stack.push(comp);
+    } else if (prop.name === "END") {
+      if (stack.length > 1) stack.pop();
+    } else {
+      top.props.push(prop);
+    }
+  }
+  return root;
+}
+
+const prop = (comp, name) => comp.props.find(p => p.name === name);
+const props = (comp, name) => comp.props.filter(p => p.name === name);
+
+// ---------- VTIMEZONE rules ----------
+// Outlook exports custom TZIDs ("Customized Time Zone") defined only by the
+// VTIMEZONE's STANDARD/DAYLIGHT observances: an offset (TZOFFSETTO) and a
+// yearly RRULE for when it starts.
+
+const DAY_CODES = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const HOUR_MS = 3600000;
+
+// "+0530" / "-0500" -> minutes east of UTC
+function parseOffset(v) {
+  const m = /^([+-])(\d{2})(\d{2})/.exec(v || "");
+  if (!m) return undefined;
+  return (m[1] === "-" ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3]));
+}
+
+function observances(vtz) {
+  return vtz.children
+    .filter(c => c.type === "STANDARD" || c.type === "DAYLIGHT")
+    .map(c => ({
+      offset: parseOffset(prop(c, "TZOFFSETTO")?.value),
+      from: parseOffset(prop(c, "TZOFFSETFROM")?.value),
+      start: prop(c, "DTSTART")?.value || "",
+      rule: Object.fromEntries((prop(c, "RRULE")?.value || "").split(";").filter(Boolean).map(kv => kv.split("="))),
+    }))
+    .filter(o => o.offset !== undefined);
+}
+
+// The instant (UTC ms) an observance takes effect in `year`, if it does
+function onset(obs, year) {
+  const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})/.exec(obs.start);
+  if (!m) return undefined;
+  const [first, month, day, hour, minute, second] = m.slice(1).map(Number);
+  if (year < first) return undefined;
+  let date = day;
+  if (obs.rule.FREQ === "YEARLY") {
+    // BYDAY=2SU is the second Sunday of BYMONTH, -1SU the last one
+    const byday = /^([+-]?\d)?([A-Z]{2})$/.exec(obs.rule.BYDAY || "");
+    const ruleMonth = Number(obs.rule.BYMONTH || month);
+    if (!byday || DAY_CODES[byday[2]] === undefined) return undefined;
+    const n = Number(byday[1] || 1);
+    const weekday = DAY_CODES[byday[2]];
+    if (n > 0) {
+      const firstWeekday = new Date(Date.UTC(year, ruleMonth - 1, 1)).getUTCDay();
+      date = 1 + ((weekday - firstWeekday + 7) % 7) + (n - 1) * 7;
+    } else {
+      const last = new Date(Date.UTC(year, ruleMonth, 0));
+      date = last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7) + (n + 1) * 7;
+    }
+    const at = Date.UTC(year, ruleMonth - 1, date, hour, minute, second) - (obs.from ?? obs.offset) * 60000;
+    const until = /^(\d{4})(\d{2})(\d{2})/.exec(obs.rule.UNTIL || "");
+    return until && at > Date.UTC(Number(until[1]), Number(until[2]) - 1, Number(until[3]) + 1) ? undefined : at;
+  }
+  if (year !== first) return undefined;
+  return Date.UTC(year, month - 1, date, hour, minute, second) - (obs.from ?? obs.offset) * 60000;
+}
+
+// Offset in minutes the observances give at an instant: the latest one to take effect wins
+function offsetAt(obs, ms) {
+  const year = new Date(ms).getUTCFullYear();
+  let best;
+  for (const o of obs) {
+    for (const y of [year - 1, year]) {
+      const at = onset(o, y);
+      if (at !== undefined && at <= ms && (!best || at > best.at)) best = { at, offset: o.offset };
+    }
+  }
+  return best?.offset ?? obs[0].offset;
+}
+
+const ruleZones = new WeakMap();
+
+/**
+ * An IANA zone with the same offsets and changeover days as the VTIMEZONE in
+ * `year`; failing that, the offset in effect at `ms` as a fixed Etc/GMT zone.
+ */
+function ruleZone(vtz, ms) {
+  const obs = observances(vtz);
+  if (!obs.length) return undefined;
+  const year = new Date(ms).getUTCFullYear();
+  const cache = ruleZones.get(vtz) ?? new Map();
+  ruleZones.set(vtz, cache);
+  if (!cache.has(year)) {
+    // Probe both sides of each change, plus midwinter and midsummer
+    const changes = obs.map(o => onset(o, year)).filter(at => at !== undefined);
+    const probes = [Date.UTC(year, 0, 15), Date.UTC(year, 6, 15), ...changes.flatMap(at => [at - 6 * HOUR_MS, at + 6 * HOUR_MS])];
+    const expected = probes.map(p => offsetAt(obs, p) * 60000);
+    cache.set(year, Intl.supportedValuesOf("timeZone").find(z => probes.every((p, i) => zoneOffsetMs(p, z) === expected[i])));
+  }
+  const zone = cache.get(year);
+  if (zone) return zone;
+  const offset = offsetAt(obs, ms);
+  if (offset % 60 !== 0 || offset < -720 || offset > 840) return undefined;
+  // Etc/GMT signs are inverted: Etc/GMT+5 is UTC-5
+  return offset === 0 ? "UTC" : `Etc/GMT${offset > 0 ? "-" : "+"}${Math.abs(offset) / 60}`;
+}
+
+/**
+ * Resolve a TZID to an IANA zone: IANA names pass through, Windows names are
+ * mapped, then the VTIMEZONE's X-LIC-LOCATION or its STANDARD/DAYLIGHT rules
+ * for the time at `ms` decide.
+ */
+function resolveZone(tzid, vtimezones, ms) {
+  if (!tzid) return undefined;
+  const clean = tzid.replace(/^\//, "");
+  if (isIanaZone(clean)) return clean;
+  if (WINDOWS_ZONES[clean]) return WINDOWS_ZONES[clean];
+  const vtz = vtimezones.get(tzid);
+  if (!vtz) return undefined;
+  const lic = prop(vtz, "X-LIC-LOCATION")?.value;
+  if (lic && isIanaZone(lic)) return lic;
+  return ruleZone(vtz, ms);
+}
+
+/**
+ * ICS date/date-time -> Google { date } or { dateTime, timeZone? }.
+ * Floating times (no Z, no TZID) use `defaultZone`.
+ */
+function toGoogleTime(p, vtimezones, defaultZone) {
+  const v = p.value.trim();
+  if (p.params.VALUE === "DATE" || /^\d{8}$/.test(v)) {
+    return { date: `${v.slice(0, 4)}-${v.slice(4, 6)}-${v.slice(6, 8)}` };
+  }
+  const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(v);
+  if (!m) throw new Error(`Unsupported date-time: ${v}`);
+  const local = `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}`;
+  if (m[7]) return { dateTime: `${local}Z` };
+  const tz = resolveZone(p.params.TZID, vtimezones, Date.parse(`${local}Z`));
+  if (p.params.TZID && !tz) throw new Error(`Unknown time zone: ${p.params.TZID}`);
+  return { dateTime: local, timeZone: tz || defaultZone };
+}
+
+// The first date in an EXDATE/RDATE value, which picks the year of the zone rules
+function recurrenceTime(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+  return m ? Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : Date.now();
+}
+
+// Rewrite TZIDs inside EXDATE/RDATE lines so Google understands them
+function recurrenceLine(p, vtimezones) {
+  const params = Object.entries(p.params)
+    .map(([k, v]) => (k === "TZID" ? `TZID=${resolveZone(v, vtimezones, recurrenceTime(p.value)) || v}` : `${k}=${v}`))
+    .map(s => `;${s}`)
+    .join("");
+  return `${p.name}${params}:${p.value}`;
+}
+
+function mailto(v) {
+  return v.replace(/^mailto:/i, "");
+}
+
+/**
+ * Parse an .ics document into Google Calendar event bodies.
+ * Each entry carries `uid` and the Google-shaped `event`, or an `error` when the
+ * VEVENT could not be mapped, so the caller can report it per event.
+ */
+export function parseIcs(text, { defaultZone = "UTC" } = {}) {
+  const root = parseComponents(unfold(text));
+  const calendars = root.children.filter(c => c.type === "VCALENDAR");
+  const comps = calendars.length ? calendars.flatMap(c => c.children) : root.children;
+
+  const vtimezones = new Map();
+  for (const c of comps) if (c.type === "VTIMEZONE") vtimezones.set(prop(c, "TZID")?.value, c);
+
+  const out = [];
+  for (const c of comps.filter(x => x.type === "VEVENT")) {
+    const uid = prop(c, "UID")?.value || "";
+    const summary = unescapeText(prop(c, "SUMMARY")?.value || "");
+    try {
+      const dtstart = prop(c, "DTSTART");
+      if (!dtstart) throw new Error("VEVENT has no DTSTART");
+      const start = toGoogleTime(dtstart, vtimezones, defaultZone);
+      let end;
+      const dtend = prop(c, "DTEND");
+      if (dtend) end = toGoogleTime(dtend, vtimezones, defaultZone);
+      else if (start.date) {
+        // No DTEND on an all-day event means a single day
+        const d = new Date(`${start.date}T00:00:00Z`);
+        d.setUTCDate(d.getUTCDate() + 1);
+        end = { date: d.toISOString().slice(0, 10) };
+      } else {
+        const dur = prop(c, "DURATION")?.value;
+        if (!dur) end = { ...start };
+        else end = addIsoDuration(start, dur);
+      }
+
+      const description = prop(c, "DESCRIPTION");
+      const location = prop(c, "LOCATION");
+      const organizer = prop(c, "ORGANIZER");
+      const status = prop(c, "STATUS")?.value?.toLowerCase();
+      const recurrence = c.props
+        .filter(p => ["RRULE", "EXRULE", "RDATE", "EXDATE"].includes(p.name))
+        .map(p => recurrenceLine(p, vtimezones));
+
+      out.push({
+        uid,
+        summary,
+        recurrenceId: prop(c, "RECURRENCE-ID")?.value || null,
+        event: {
+          iCalUID: uid || undefined,
+          summary,
+          description: description ? unescapeText(description.value) : undefined,
+          location: location ? unescapeText(location.value) : undefined,
+          start,
+          end,
+          recurrence: recurrence.length ? recurrence : undefined,
+          status: status === "cancelled" || status === "tentative" ? status : undefined,
+          organizer: organizer ? { email: mailto(organizer.value), displayName: organizer.params.CN } : undefined,
+          attendees: props(c, "ATTENDEE").map(a => ({
+            email: mailto(a.value),
+            displayName: a.params.CN,
+            responseStatus: partstat(a.params.PARTSTAT),
+          })),
+        },
+      });
+    } catch (e) {
+      out.push({ uid, summary, recurrenceId: null, error: e instanceof Error ? e.message : String(e) });
+    }
+  }
+  return out;
+}
+
+function partstat(v) {
+  const map = { ACCEPTED: "accepted", DECLINED: "declined", TENTATIVE: "tentative" };
+  return map[(v || "").toUpperCase()] || "needsAction";
+}
+
+// Add an ISO 8601 duration (P1DT2H30M) to a date-time start
+function addIsoDuration(start, dur) {
+  const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(dur);
+  if (!m) throw new Error(`Unsupported DURATION: ${dur}`);
+  const seconds = ((+m[2] || 0) * 7 * 86400) + ((+m[3] || 0) * 86400) + ((+m[4] || 0) * 3600) + ((+m[5] || 0) * 60) + (+m[6] || 0);
+  const utc = start.dateTime.endsWith("Z");
+  const base = new Date(utc ? start.dateTime : `${start.dateTime}Z`);
+  const end = new Date(base.getTime() + seconds * 1000).toISOString().replace(/\.\d{3}Z$/, utc ? "Z" : "");
+  return { ...start, dateTime: end };
+}
+
+// ---------- Generation ----------
+
+export function escapeText(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// Fold at 75 octets without splitting a UTF-8 sequence (RFC 5545 §3.1)
+export function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let start = 0;
+  let limit = 75;
+  while (start < bytes.length) {
+    let end = Math.min(start + limit, bytes.length);
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    parts.push(bytes.subarray(start, end).toString("utf8"));
+    start = end;
+    limit = 74; // continuation lines start with a space
+  }
+  return parts.join("\r\n ");
+}
+
+function icsUtc(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function icsTime(name, t, keepZone) {
+  if (t?.date) return `${name};VALUE=DATE:${t.date.replace(/-/g, "")}`;
+  const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/.test(t.dateTime);
+  if (t.timeZone && (keepZone || !hasOffset)) {
+    const pad = (n, w = 2) => String(n).padStart(w, "0");
+    let local = t.dateTime.replace(/[-:]/g, "").slice(0, 15);
+    if (hasOffset) {
+      const p = zonedParts(new Date(t.dateTime).getTime(), t.timeZone);
+      local = `${pad(p.year, 4)}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+    }
+    return `${name};TZID=${t.timeZone}:${local}`;
+  }
+  return `${name}:${icsUtc(t.dateTime)}`;
+}
+
+/**
+ * Serialize Google Calendar events as a VCALENDAR. One-off timed events are
+ * written in UTC. Recurring events keep their IANA zone as TZID so occurrences
+ * stay at the same wall-clock time across DST changes; Google, Apple and
+ * Outlook resolve IANA TZIDs without a VTIMEZONE block.
+ */
+export function toIcs(events, { calName = "Calendar export", now = new Date() } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//mcp-assistant//calendar-mcp//EN",
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${escapeText(calName)}`,
+  ];
+  for (const ev of events) {
+    if (!ev.start) continue;
+    lines.push("BEGIN:VEVENT");
+    lines.push(`UID:${ev.iCalUID || `${ev.id}@google.com`}`);
+    lines.push(`DTSTAMP:${icsUtc(ev.updated || now.toISOString())}`);
+    const keepZone = Boolean(ev.recurrence?.length);
+    lines.push(icsTime("DTSTART", ev.start, keepZone));
+    if (ev.end) lines.push(icsTime("DTEND", ev.end, keepZone));
+    // Modified instances share the series UID and point at the occurrence they replace
+    if (ev.recurringEventId && ev.originalStartTime) lines.push(icsTime("RECURRENCE-ID", ev.originalStartTime, true));
+    if (ev.summary) lines.push(`SUMMARY:${escapeText(ev.summary)}`);
+    if (ev.description) lines.push(`DESCRIPTION:${escapeText(ev.description)}`);
+    if (ev.location) lines.push(`LOCATION:${escapeText(ev.location)}`);
+    if (ev.status) lines.push(`STATUS:${ev.status.toUpperCase()}`);
+    for (const r of ev.recurrence || []) lines.push(r);
+    if (ev.organizer?.email) {
+      const cn = ev.organizer.displayName ? `;CN="${ev.organizer.displayName}"` : "";
+      lines.push(`ORGANIZER${cn}:mailto:${ev.organizer.email}`);
+    }
+    for (const a of ev.attendees || []) {
+      const cn = a.displayName ? `;CN="${a.displayName}"` : "";
+      const stat = { accepted: "ACCEPTED", declined: "DECLINED", tentative: "TENTATIVE" }[a.responseStatus] || "NEEDS-ACTION";
+      lines.push(`ATTENDEE${cn};PARTSTAT=${stat}:mailto:${a.email}`);
+    }
+    if (ev.htmlLink) lines.push(`URL:${ev.htmlLink}`);
+    lines.push("END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
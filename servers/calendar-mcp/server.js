@@ -0,0 +1,866 @@
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import {
+  ListToolsRequestSchema,
+  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode,
+} from "@modelcontextprotocol/sdk/types.js";
+import { google } from "googleapis";
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { z } from "zod";
+import { createGoogleAuth, authStatusSchema } from "../shared/google-auth.js";
+import { findFreeSlots } from "./slots.js";
+import { resolveEventTimes, rescheduleTimes, buildRecurrence, buildReminders, meetRequest } from "./event.js";
+import { parseIcs, toIcs } from "./ics.js";
+import { parseWhen, toZonedISO } from "../shared/time.js";
+import { createCache, ttlFor } from "../shared/cache.js";
+import { createThrottle } from "../shared/rate-limit.js";
+import { toolHandler, unknownTool, ToolError } from "../shared/result.js";
+
+const DEFAULT_TZ = process.env.CALENDAR_DEFAULT_TZ || "America/Chicago";
+const SCOPES = [
+  "https://www.googleapis.com/auth/calendar.events",
+  "https://www.googleapis.com/auth/calendar.readonly",
+];
+
+const auth = createGoogleAuth({ service: "calendar", tokenPath: ".tokens/calendar.json", scopes: SCOPES });
+
+// Replaced through createServer({ calendar }) by tests, which pass an in-memory fake
+let calendarBackend = null;
+
+async function getCalendar() {
+  return calendarBackend ?? google.calendar({ version: "v3", auth: auth.getClient() });
+}
+
+// Calendar API quota is about 10 queries/s per user; stay under it and back off on 429/5xx
+const throttle = createThrottle({ ratePerSec: 5, burst: 10 });
+const cache = createCache({ name: "calendar" });
+
+// Any write can change what these reads return
+function invalidateReads() {
+  cache.invalidate("calendar_list_events:");
+  cache.invalidate("calendar_find_free:");
+}
+
+const SendUpdates = z.enum(["all", "externalOnly", "none"]);
+const sendUpdatesSchema = {
+  type: "string",
+  enum: ["all", "externalOnly", "none"],
+  description: "Who gets notification emails about the change (default all)",
+};
+
+// Times, zones and event shapes that can't be understood are the caller's mistake
+function asValidation(fn) {
+  try {
+    return fn();
+  } catch (e) {
+    if (e instanceof ToolError) throw e;
+    throw new ToolError("validation", e instanceof Error ? e.message : String(e), {
+      hint: "Use ISO 8601 (2025-11-04T15:00) or phrases like 'tomorrow 3pm', and IANA zones like Europe/Berlin.",
+    });
+  }
+}
+
+// Accept ISO or phrases like "tomorrow 3pm" and hand Google an ISO string with offset
+function resolveTime(value, timeZone) {
+  return asValidation(() => toZonedISO(parseWhen(value, { timeZone }).start, timeZone));
+}
+
+// Patch merges nested objects, so clear the other form when switching between timed and all-day
+function timePatch(time) {
+  return time.date ? { date: time.date, dateTime: null, timeZone: null } : { ...time, date: null };
+}
+
+// Shared by calendar_list_events and the calendar://upcoming resource
+async function listEvents({ timeMin, timeMax, maxResults, q, timeZone }) {
+  const cal = await getCalendar();
+  // Key on resolved times so "today" tomorrow is a different entry
+  const params = { timeMin: resolveTime(timeMin, timeZone), timeMax: resolveTime(timeMax, timeZone), maxResults, q, timeZone };
+  return cache.wrap("calendar_list_events", params, ttlFor("calendar_list_events", 60), async () => {
+    const res = await throttle(() => cal.events.list({
+      calendarId: "primary",
+      ...params,
+      q: q || undefined,
+      singleEvents: true,
+      orderBy: "startTime",
+    }), "calendar events.list");
+    return res.data.items || [];
+  });
+}
+
+const timeDescription = "ISO 8601 or a phrase like 'tomorrow 3pm' / 'next Tue 10:00', read in timeZone";
+
+// Output schemas
+const stringList = { type: "array", items: { type: "string" } };
+const eventTimeSchema = {
+  type: "object",
+  properties: { date: { type: "string" }, dateTime: { type: "string" }, timeZone: { type: "string" } },
+};
+// Google's event resource, trimmed to the fields callers rely on
+const eventSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    status: { type: "string" },
+    summary: { type: "string" },
+    description: { type: "string" },
+    location: { type: "string" },
+    htmlLink: { type: "string" },
+    start: eventTimeSchema,
+    end: eventTimeSchema,
+    recurrence: stringList,
+    hangoutLink: { type: "string" },
+    organizer: { type: "object", properties: { email: { type: "string" } } },
+    attendees: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { email: { type: "string" }, responseStatus: { type: "string" }, self: { type: "boolean" } },
+        required: ["email"],
+      },
+    },
+  },
+  required: ["id", "start", "end"],
+};
+
+const tools = [
+  {
+    name: "calendar_auth_status",
+    description: "Show Google Calendar authorization state (granted scopes, token expiry, pending login URL); login=true starts consent",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        login: { type: "boolean", description: "Start a consent flow if scopes are missing" }
+      }
+    },
+    outputSchema: authStatusSchema,
+  },
+  {
+    name: "calendar_auth_submit_code",
+    description: "Finish Google Calendar login on a machine without a browser: paste the redirect URL (or its code) from the consent page",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        code: { type: "string", description: "Full redirect URL or the bare authorization code" }
+      },
+      required: ["code"]
+    },
+    outputSchema: authStatusSchema,
+  },
+  {
+    name: "calendar_profile",
+    description: "Get primary calendar timezone",
+    annotations: { readOnlyHint: true },
+    inputSchema: { type: "object", properties: {} },
+    outputSchema: {
+      type: "object",
+      properties: { timezone: { type: "string" } },
+      required: ["timezone"],
+    },
+  },
+  {
+    name: "calendar_list_events",
+    description: "List events in a time window (ISO times)",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        timeMin: { type: "string", description: timeDescription },
+        timeMax: { type: "string", description: timeDescription },
+        maxResults: { type: "number" },
+        q: { type: "string" },
+        timeZone: { type: "string" }
+      },
+      required: ["timeMin", "timeMax"]
+    },
+    outputSchema: {
+      type: "object",
+      properties: { items: { type: "array", items: eventSchema } },
+      required: ["items"],
+    },
+  },
+  {
+    name: "calendar_create_event",
+    description: "Create an event on primary calendar: timed or all-day, optionally recurring, with reminders and Google Meet",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        summary: { type: "string" },
+        start: { type: "string", description: `${timeDescription}; may carry a duration ('... for 45m'). A bare date means all-day` },
+        end: { type: "string", description: "End time; for all-day events the last day (inclusive). Optional when a duration is given" },
+        durationMinutes: { type: "number" },
+        allDay: { type: "boolean" },
+        attendees: { type: "array", items: { type: "string" } },
+        location: { type: "string" },
+        description: { type: "string" },
+        timeZone: { type: "string" },
+        recurrence: { type: "array", items: { type: "string" }, description: "Raw RFC 5545 lines, e.g. RRULE:FREQ=WEEKLY;BYDAY=MO" },
+        repeat: {
+          type: "object",
+          description: "Shorthand for a RRULE",
+          properties: {
+            frequency: { type: "string", enum: ["daily", "weekly", "monthly", "yearly"] },
+            interval: { type: "number" },
+            weekdays: { type: "array", items: { type: "string" }, description: "e.g. ['tue', 'thu']" },
+            until: { type: "string", description: "Last date (inclusive), ISO or phrase" },
+            count: { type: "number" }
+          },
+          required: ["frequency"]
+        },
+        reminders: {
+          type: "array",
+          items: {
+            anyOf: [
+              { type: "number" },
+              { type: "object", properties: { method: { type: "string", enum: ["popup", "email"] }, minutes: { type: "number" } }, required: ["method", "minutes"] }
+            ]
+          },
+          description: "Minutes before start (popup), or { method, minutes }"
+        },
+        createMeet: { type: "boolean", description: "Attach a Google Meet link" },
+        sendUpdates: sendUpdatesSchema
+      },
+      required: ["summary", "start"]
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        htmlLink: { type: "string" },
+        start: eventTimeSchema,
+        end: eventTimeSchema,
+        recurrence: stringList,
+        hangoutLink: { type: ["string", "null"] },
+      },
+      required: ["id", "start", "end", "recurrence", "hangoutLink"],
+    },
+  },
+  {
+    name: "calendar_get_event",
+    description: "Get one event by id",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        eventId: { type: "string" },
+        timeZone: { type: "string" }
+      },
+      required: ["eventId"]
+    },
+    outputSchema: eventSchema,
+  },
+  {
+    name: "calendar_update_event",
+    description: "Patch an event: only the fields given are changed (time, title, attendees, location, description)",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        eventId: { type: "string" },
+        summary: { type: "string" },
+        start: { type: "string", description: `${timeDescription}; keeps the event's length unless end or '... for 45m' is given. A bare date means all-day` },
+        end: { type: "string", description: `${timeDescription}; alone, keeps the current start` },
+        attendees: { type: "array", items: { type: "string" }, description: "Replace the attendee list" },
+        addAttendees: { type: "array", items: { type: "string" } },
+        removeAttendees: { type: "array", items: { type: "string" } },
+        location: { type: "string" },
+        description: { type: "string" },
+        timeZone: { type: "string" },
+        sendUpdates: sendUpdatesSchema
+      },
+      required: ["eventId"]
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        htmlLink: { type: "string" },
+        start: eventTimeSchema,
+        end: eventTimeSchema,
+        attendees: stringList,
+      },
+      required: ["id", "start", "end", "attendees"],
+    },
+  },
+  {
+    name: "calendar_delete_event",
+    description: "Delete (cancel) an event",
+    annotations: { readOnlyHint: false, destructiveHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        eventId: { type: "string" },
+        sendUpdates: sendUpdatesSchema
+      },
+      required: ["eventId"]
+    },
+    outputSchema: {
+      type: "object",
+      properties: { ok: { type: "boolean" }, id: { type: "string" }, deleted: { type: "boolean" } },
+      required: ["ok", "id", "deleted"],
+    },
+  },
+  {
+    name: "calendar_respond",
+    description: "RSVP to an event you were invited to (accepted, declined or tentative)",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        eventId: { type: "string" },
+        response: { type: "string", enum: ["accepted", "declined", "tentative"] },
+        comment: { type: "string" },
+        sendUpdates: sendUpdatesSchema
+      },
+      required: ["eventId", "response"]
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        ok: { type: "boolean" },
+        id: { type: "string" },
+        email: { type: "string" },
+        response: { type: "string", enum: ["accepted", "declined", "tentative"] },
+      },
+      required: ["ok", "id", "email", "response"],
+    },
+  },
+  {
+    name: "calendar_find_free",
+    description: "Find ranked free slots for one or more attendees within working hours",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        durationMinutes: { type: "number" },
+        timeMin: { type: "string", description: timeDescription },
+        timeMax: { type: "string", description: timeDescription },
+        timeZone: { type: "string", description: "Zone for working hours and local times (default CALENDAR_DEFAULT_TZ)" },
+        attendees: { type: "array", items: { type: "string" }, description: "Other calendars (emails) whose busy times must be avoided" },
+        includePrimary: { type: "boolean", description: "Include your own primary calendar (default true)" },
+        workStart: { type: "string", description: "Start of working hours, HH:MM (default 09:00)" },
+        workEnd: { type: "string", description: "End of working hours, HH:MM (default 17:00)" },
+        workDays: { type: "array", items: { type: "number" }, description: "Allowed weekdays, 0 = Sunday ... 6 = Saturday (default Mon-Fri)" },
+        bufferMinutes: { type: "number", description: "Gap to keep before and after existing meetings (default 0)" },
+        granularityMinutes: { type: "number", description: "Candidate start times fall on this grid (default 15)" },
+        maxResults: { type: "number", description: "How many candidates to return (default 5)" }
+      },
+      required: ["durationMinutes", "timeMin", "timeMax"]
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        slots: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              rank: { type: "integer" },
+              start: { type: "string" },
+              end: { type: "string" },
+              startLocal: { type: "string" },
+              endLocal: { type: "string" },
+            },
+            required: ["rank", "start", "end", "startLocal", "endLocal"],
+          },
+        },
+        timeZone: { type: "string" },
+        calendars: stringList,
+        unavailable: {
+          type: "array",
+          items: { type: "object", properties: { calendar: { type: "string" }, reason: { type: "string" } }, required: ["calendar", "reason"] },
+        },
+      },
+      required: ["slots", "timeZone", "calendars", "unavailable"],
+    },
+  },
+  {
+    name: "calendar_export_ics",
+    description: "Write primary-calendar events in a time window to an .ics (RFC 5545) file",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        timeMin: { type: "string", description: timeDescription },
+        timeMax: { type: "string", description: timeDescription },
+        path: { type: "string", description: "Output file, e.g. exports/week.ics" },
+        q: { type: "string", description: "Only events matching this text" },
+        timeZone: { type: "string" }
+      },
+      required: ["timeMin", "timeMax", "path"]
+    },
+    outputSchema: {
+      type: "object",
+      properties: { path: { type: "string" }, count: { type: "integer" } },
+      required: ["path", "count"],
+    },
+  },
+  {
+    name: "calendar_import_ics",
+    description: "Import events from an .ics file into the primary calendar; events whose UID already exists are skipped",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "Local .ics file" },
+        timeZone: { type: "string", description: "Zone for floating times without TZID (default CALENDAR_DEFAULT_TZ)" },
+        dryRun: { type: "boolean", description: "Report what would be imported without creating anything" }
+      },
+      required: ["path"]
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        path: { type: "string" },
+        dryRun: { type: "boolean" },
+        counts: { type: "object", additionalProperties: { type: "integer" }, description: "Events per status" },
+        events: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              uid: { type: "string" },
+              summary: { type: "string" },
+              status: { type: "string", enum: ["created", "would_create", "skipped", "failed"] },
+              reason: { type: "string" },
+              id: { type: "string" },
+              htmlLink: { type: "string" },
+            },
+            required: ["summary", "status"],
+          },
+        },
+      },
+      required: ["path", "dryRun", "counts", "events"],
+    },
+  },
+];
+
+// ---------- Resources ----------
+// calendar://upcoming lists the next 7 days; calendar://event/<id> is one event in full
+
+const UPCOMING_DAYS = 7;
+
+const resources = [
+  {
+    uri: "calendar://upcoming",
+    name: "Upcoming events",
+    description: `Events on the primary calendar in the next ${UPCOMING_DAYS} days`,
+    mimeType: "application/json",
+  },
+];
+
+const resourceTemplates = [
+  { uriTemplate: "calendar://event/{eventId}", name: "Calendar event", description: "One event with attendees and description", mimeType: "application/json" },
+];
+
+function compactEvent(ev) {
+  return {
+    id: ev.id,
+    summary: ev.summary || "(no title)",
+    start: ev.start?.dateTime || ev.start?.date,
+    end: ev.end?.dateTime || ev.end?.date,
+    location: ev.location || undefined,
+    attendees: (ev.attendees || []).map(a => a.email),
+    meet: ev.hangoutLink || undefined,
+  };
+}
+
+const readResource = auth.guardRequest(async (uri) => {
+  if (uri === "calendar://upcoming") {
+    // Whole minutes so repeated reads within the cache TTL share an entry
+    const now = new Date(Math.floor(Date.now() / 60000) * 60000);
+    const until = new Date(now.getTime() + UPCOMING_DAYS * 24 * 3600 * 1000);
+    const items = await listEvents({ timeMin: now.toISOString(), timeMax: until.toISOString(), maxResults: 50, timeZone: DEFAULT_TZ });
+    return { uri, mimeType: "application/json", text: JSON.stringify({ timeZone: DEFAULT_TZ, events: items.map(compactEvent) }) };
+  }
+  const eventId = /^calendar:\/\/event\/([^/]+)$/.exec(uri)?.[1];
+  if (!eventId) throw new McpError(ErrorCode.InvalidParams, `Not a calendar resource: ${uri}`);
+  const cal = await getCalendar();
+  const res = await throttle(() => cal.events.get({ calendarId: "primary", eventId, timeZone: DEFAULT_TZ }), "calendar events.get");
+  return { uri, mimeType: "application/json", text: JSON.stringify(res.data) };
+});
+
+// ---------- Prompts ----------
+
+const prompts = [
+  {
+    name: "prepare_agenda",
+    description: "Prepare a timed agenda for a calendar event",
+    arguments: [
+      { name: "eventId", description: "Event id from calendar_list_events", required: true },
+      { name: "goals", description: "What the meeting should achieve, if not in the description", required: false },
+    ],
+  },
+];
+
+const getPrompt = auth.guardRequest(async (name, args = {}) => {
+  if (name !== "prepare_agenda") throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  if (!args.eventId) throw new McpError(ErrorCode.InvalidParams, "prepare_agenda needs an eventId");
+  const cal = await getCalendar();
+  const { data: ev } = await throttle(() => cal.events.get({ calendarId: "primary", eventId: args.eventId, timeZone: DEFAULT_TZ }), "calendar events.get");
+  const attendees = (ev.attendees || []).map(a => `${a.displayName ? `${a.displayName} ` : ""}<${a.email}> (${a.responseStatus})`);
+  const instructions = [
+    "Prepare an agenda for the meeting below.",
+    "Split the meeting's length into timed items that add up exactly, each with an owner from the attendees where it makes sense.",
+    "Start with the goal in one sentence and end with decisions and next steps; list any pre-reads the description mentions.",
+  ];
+  if (args.goals) instructions.push(`Goals: ${args.goals}`);
+  const details = [
+    `Title: ${ev.summary || "(no title)"}`,
+    `When: ${ev.start?.dateTime || ev.start?.date} → ${ev.end?.dateTime || ev.end?.date}`,
+    ...(ev.location ? [`Where: ${ev.location}`] : []),
+    `Organizer: ${ev.organizer?.email || "unknown"}`,
+    `Attendees: ${attendees.join(", ") || "none listed"}`,
+  ];
+  const text = [...instructions, "", ...details, "", ev.description || "(no description)"].join("\n");
+  return { description: `Agenda for ${ev.summary || args.eventId}`, messages: [{ role: "user", content: { type: "text", text } }] };
+});
+
+const handleCall = auth.guard(async (req) => {
+  const { name, arguments: args } = req.params ?? {};
+
+  if (name === "calendar_auth_status") {
+    const { login = false } = z.object({ login: z.boolean().optional() }).parse(args ?? {});
+    const status = auth.status();
+    if (login && (!status.authenticated || status.missingScopes.length)) status.pendingLogin = auth.startLogin();
+    return status;
+  }
+
+  if (name === "calendar_auth_submit_code") {
+    const { code } = z.object({ code: z.string().min(1) }).parse(args ?? {});
+    return auth.submitCode(code);
+  }
+
+  if (name === "calendar_profile") {
+    const cal = await getCalendar();
+    const settings = await throttle(() => cal.settings.get({ setting: "timezone" }), "calendar settings.get").catch(() => null);
+    return { timezone: settings?.data?.value || DEFAULT_TZ };
+  }
+
+  if (name === "calendar_list_events") {
+    const schema = z.object({
+      timeMin: z.string().min(1),
+      timeMax: z.string().min(1),
+      maxResults: z.number().int().min(1).max(50).optional(),
+      q: z.string().optional(),
+      timeZone: z.string().optional(),
+    });
+    const { timeMin, timeMax, maxResults = 10, q, timeZone = DEFAULT_TZ } = schema.parse(args ?? {});
+    const items = await listEvents({ timeMin, timeMax, maxResults, q, timeZone });
+    return { items };
+  }
+
+  if (name === "calendar_create_event") {
+    const schema = z.object({
+      summary: z.string(),
+      start: z.string().min(1),
+      end: z.string().optional(),
+      durationMinutes: z.number().int().min(1).optional(),
+      allDay: z.boolean().optional(),
+      attendees: z.array(z.string().email()).optional(),
+      location: z.string().optional(),
+      description: z.string().optional(),
+      timeZone: z.string().optional(),
+      recurrence: z.array(z.string()).optional(),
+      repeat: z.object({
+        frequency: z.enum(["daily", "weekly", "monthly", "yearly"]),
+        interval: z.number().int().min(1).optional(),
+        weekdays: z.array(z.string()).optional(),
+        until: z.string().optional(),
+        count: z.number().int().min(1).optional(),
+      }).optional(),
+      reminders: z.array(z.union([
+        z.number().int().min(0),
+        z.object({ method: z.enum(["popup", "email"]), minutes: z.number().int().min(0) }),
+      ])).max(5).optional(),
+      createMeet: z.boolean().optional(),
+      sendUpdates: SendUpdates.optional(),
+    });
+    const {
+      summary, start, end, durationMinutes, allDay, attendees = [], location, description,
+      timeZone = DEFAULT_TZ, recurrence, repeat, reminders, createMeet = false, sendUpdates = "all",
+    } = schema.parse(args ?? {});
+    const times = asValidation(() => resolveEventTimes({ start, end, durationMinutes, allDay, timeZone }));
+    const cal = await getCalendar();
+    const body = {
+      summary,
+      location,
+      description,
+      start: times.start,
+      end: times.end,
+      attendees: attendees.map(e => ({ email: e })),
+      recurrence: asValidation(() => buildRecurrence({ recurrence, repeat }, { allDay: times.allDay, timeZone })),
+      reminders: buildReminders(reminders),
+      conferenceData: createMeet ? meetRequest() : undefined,
+    };
+    const created = await throttle(() => cal.events.insert({
+      calendarId: "primary",
+      requestBody: body,
+      sendUpdates,
+      conferenceDataVersion: createMeet ? 1 : undefined,
+    }), "calendar events.insert", { idempotent: false });
+    invalidateReads();
+    return {
+      id: created.data.id,
+      htmlLink: created.data.htmlLink,
+      start: created.data.start,
+      end: created.data.end,
+      recurrence: created.data.recurrence || [],
+      hangoutLink: created.data.hangoutLink || null,
+    };
+  }
+
+  if (name === "calendar_get_event") {
+    const schema = z.object({ eventId: z.string().min(1), timeZone: z.string().optional() });
+    const { eventId, timeZone = DEFAULT_TZ } = schema.parse(args ?? {});
+    const cal = await getCalendar();
+    const res = await throttle(() => cal.events.get({ calendarId: "primary", eventId, timeZone }), "calendar events.get");
+    return res.data;
+  }
+
+  if (name === "calendar_update_event") {
+    const schema = z.object({
+      eventId: z.string().min(1),
+      summary: z.string().optional(),
+      start: z.string().optional(),
+      end: z.string().optional(),
+      attendees: z.array(z.string().email()).optional(),
+      addAttendees: z.array(z.string().email()).optional(),
+      removeAttendees: z.array(z.string().email()).optional(),
+      location: z.string().optional(),
+      description: z.string().optional(),
+      timeZone: z.string().optional(),
+      sendUpdates: SendUpdates.optional(),
+    });
+    const {
+      eventId, summary, start, end, attendees, addAttendees, removeAttendees,
+      location, description, timeZone = DEFAULT_TZ, sendUpdates = "all",
+    } = schema.parse(args ?? {});
+    const cal = await getCalendar();
+    let existing;
+    const currentEvent = async () =>
+      (existing ??= (await throttle(() => cal.events.get({ calendarId: "primary", eventId }), "calendar events.get")).data);
+
+    // Only the fields the caller passed end up in the patch body.
+    const body = { summary, location, description };
+    if (start !== undefined || end !== undefined) {
+      const event = await currentEvent();
+      const times = asValidation(() => rescheduleTimes({ start, end, current: event, timeZone }));
+      body.start = timePatch(times.start);
+      body.end = timePatch(times.end);
+    }
+    if (attendees || addAttendees || removeAttendees) {
+      // Start from the current list so existing attendees keep their RSVP status
+      const current = attendees ? attendees.map(email => ({ email })) : (await currentEvent()).attendees || [];
+      const drop = new Set((removeAttendees || []).map(e => e.toLowerCase()));
+      const next = current.filter(a => !drop.has(a.email.toLowerCase()));
+      for (const email of addAttendees || []) {
+        if (!next.some(a => a.email.toLowerCase() === email.toLowerCase())) next.push({ email });
+      }
+      body.attendees = next;
+    }
+    const updated = await throttle(() => cal.events.patch({ calendarId: "primary", eventId, requestBody: body, sendUpdates }), "calendar events.patch");
+    invalidateReads();
+    return {
+      id: updated.data.id,
+      htmlLink: updated.data.htmlLink,
+      start: updated.data.start,
+      end: updated.data.end,
+      attendees: (updated.data.attendees || []).map(a => a.email),
+    };
+  }
+
+  if (name === "calendar_delete_event") {
+    const schema = z.object({ eventId: z.string().min(1), sendUpdates: SendUpdates.optional() });
+    const { eventId, sendUpdates = "all" } = schema.parse(args ?? {});
+    const cal = await getCalendar();
+    await throttle(() => cal.events.delete({ calendarId: "primary", eventId, sendUpdates }), "calendar events.delete", { idempotent: false });
+    invalidateReads();
+    return { ok: true, id: eventId, deleted: true };
+  }
+
+  if (name === "calendar_respond") {
+    const schema = z.object({
+      eventId: z.string().min(1),
+      response: z.enum(["accepted", "declined", "tentative"]),
+      comment: z.string().optional(),
+      sendUpdates: SendUpdates.optional(),
+    });
+    const { eventId, response, comment, sendUpdates = "all" } = schema.parse(args ?? {});
+    const cal = await getCalendar();
+    const ev = await throttle(() => cal.events.get({ calendarId: "primary", eventId }), "calendar events.get");
+    const attendees = ev.data.attendees || [];
+    const me = attendees.find(a => a.self);
+    if (!me) {
+      throw new ToolError("validation", "You are not on this event's attendee list, so there is nothing to respond to.", {
+        hint: "Only invitations can be answered; use calendar_update_event for your own events.",
+      });
+    }
+    me.responseStatus = response;
+    if (comment !== undefined) me.comment = comment;
+    await throttle(() => cal.events.patch({ calendarId: "primary", eventId, requestBody: { attendees }, sendUpdates }), "calendar events.patch");
+    invalidateReads();
+    return { ok: true, id: eventId, email: me.email, response };
+  }
+
+  if (name === "calendar_find_free") {
+    const schema = z.object({
+      durationMinutes: z.number().int().min(1),
+      timeMin: z.string(),
+      timeMax: z.string(),
+      timeZone: z.string().optional(),
+      attendees: z.array(z.string().email()).optional(),
+      includePrimary: z.boolean().optional(),
+      workStart: z.string().regex(/^\d{1,2}:\d{2}$/).optional(),
+      workEnd: z.string().regex(/^\d{1,2}:\d{2}$/).optional(),
+      workDays: z.array(z.number().int().min(0).max(6)).min(1).optional(),
+      bufferMinutes: z.number().int().min(0).max(240).optional(),
+      granularityMinutes: z.number().int().min(5).max(240).optional(),
+      maxResults: z.number().int().min(1).max(20).optional(),
+    });
+    const { timeMin, timeMax, timeZone = DEFAULT_TZ, attendees = [], includePrimary = true, ...opts } = schema.parse(args ?? {});
+    const ids = [...(includePrimary ? ["primary"] : []), ...attendees];
+    if (!ids.length) throw new ToolError("validation", "Nothing to check", { hint: "Pass attendees or keep includePrimary." });
+    const cal = await getCalendar();
+    const from = resolveTime(timeMin, timeZone);
+    const to = resolveTime(timeMax, timeZone);
+    const calendars = await cache.wrap("calendar_find_free", { from, to, timeZone, ids }, ttlFor("calendar_find_free", 60), async () => {
+      const fb = await throttle(() => cal.freebusy.query({
+        requestBody: { timeMin: from, timeMax: to, timeZone, items: ids.map(id => ({ id })) },
+      }), "calendar freebusy.query");
+      return fb.data.calendars || {};
+    });
+    // Calendars we can't see come back with errors instead of busy blocks
+    const busy = [];
+    const unavailable = [];
+    for (const id of ids) {
+      const entry = calendars[id];
+      if (entry?.errors?.length) unavailable.push({ calendar: id, reason: entry.errors.map(e => e.reason).join(", ") });
+      else busy.push(...(entry?.busy || []));
+    }
+    const slots = asValidation(() => findFreeSlots({ busy, timeMin: from, timeMax: to, timeZone, ...opts }));
+    return { slots, timeZone, calendars: ids, unavailable };
+  }
+
+  if (name === "calendar_export_ics") {
+    const schema = z.object({
+      timeMin: z.string().min(1),
+      timeMax: z.string().min(1),
+      path: z.string().min(1),
+      q: z.string().optional(),
+      timeZone: z.string().optional(),
+    });
+    const { timeMin, timeMax, path: out, q, timeZone = DEFAULT_TZ } = schema.parse(args ?? {});
+    const cal = await getCalendar();
+    // singleEvents=false keeps recurring series as one VEVENT with its RRULE
+    const items = [];
+    let pageToken;
+    do {
+      const res = await throttle(() => cal.events.list({
+        calendarId: "primary",
+        timeMin: resolveTime(timeMin, timeZone),
+        timeMax: resolveTime(timeMax, timeZone),
+        q: q || undefined,
+        singleEvents: false,
+        maxResults: 250,
+        pageToken,
+      }), "calendar events.list");
+      items.push(...(res.data.items || []));
+      pageToken = res.data.nextPageToken || undefined;
+    } while (pageToken);
+    const abs = path.resolve(out);
+    fs.mkdirSync(path.dirname(abs), { recursive: true });
+    fs.writeFileSync(abs, toIcs(items, { calName: `Calendar ${timeMin} – ${timeMax}` }));
+    return { path: abs, count: items.length };
+  }
+
+  if (name === "calendar_import_ics") {
+    const schema = z.object({
+      path: z.string().min(1),
+      timeZone: z.string().optional(),
+      dryRun: z.boolean().optional(),
+    });
+    const { path: file, timeZone = DEFAULT_TZ, dryRun = false } = schema.parse(args ?? {});
+    const abs = path.resolve(file);
+    if (!fs.existsSync(abs)) throw new ToolError("not_found", `File not found: ${abs}`, { hint: "Relative paths resolve against the server's working directory." });
+    const parsed = parseIcs(fs.readFileSync(abs, "utf8"), { defaultZone: timeZone });
+    const cal = await getCalendar();
+
+    const report = [];
+    const seen = new Set();
+    for (const p of parsed) {
+      const row = { uid: p.uid, summary: p.summary };
+      if (p.error) {
+        report.push({ ...row, status: "failed", reason: p.error });
+        continue;
+      }
+      if (p.recurrenceId) {
+        report.push({ ...row, status: "skipped", reason: "modified occurrence of a recurring event (RECURRENCE-ID) is not imported" });
+        continue;
+      }
+      // Google requires an iCalUID for import; make one for events that have none
+      const uid = p.uid || `${crypto.randomUUID()}@calendar-mcp`;
+      if (seen.has(uid)) {
+        report.push({ ...row, status: "skipped", reason: "duplicate UID in file" });
+        continue;
+      }
+      seen.add(uid);
+      if (p.uid) {
+        const existing = await throttle(() => cal.events.list({ calendarId: "primary", iCalUID: uid, showDeleted: false, maxResults: 1 }), "calendar events.list");
+        const hit = existing.data.items?.[0];
+        if (hit) {
+          report.push({ ...row, status: "skipped", reason: "already in calendar", id: hit.id });
+          continue;
+        }
+      }
+      if (dryRun) {
+        report.push({ ...row, uid, status: "would_create" });
+        continue;
+      }
+      try {
+        // events.import copies the event without sending invitations to its attendees
+        const created = await throttle(() => cal.events.import({ calendarId: "primary", requestBody: { ...p.event, iCalUID: uid } }), "calendar events.import", { idempotent: false });
+        report.push({ ...row, uid, status: "created", id: created.data.id, htmlLink: created.data.htmlLink });
+      } catch (e) {
+        report.push({ ...row, uid, status: "failed", reason: e instanceof Error ? e.message : String(e) });
+      }
+    }
+    const counts = {};
+    for (const r of report) counts[r.status] = (counts[r.status] || 0) + 1;
+    if (counts.created) invalidateReads();
+    return { path: abs, dryRun, counts, events: report };
+  }
+
+  throw unknownTool(name);
+});
+
+/**
+ * @param {{ calendar?: object }} [options] `calendar` stands in for the googleapis
+ *   Calendar client (`events.*`, `freebusy.query`, `settings.get`); like the rest
+ *   of this module's state it is shared by every session.
+ */
+export function createServer({ calendar } = {}) {
+  if (calendar) calendarBackend = calendar;
+  const server = new Server(
+    { name: "calendar-mcp", version: "0.1.0", description: "Google Calendar tools" },
+    { capabilities: { tools: {}, resources: {}, prompts: {} } }
+  );
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools }));
+  server.setRequestHandler(CallToolRequestSchema, toolHandler(handleCall));
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({ resources }));
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates }));
+  server.setRequestHandler(ReadResourceRequestSchema, async (req) => ({ contents: [await readResource(req.params.uri)] }));
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts }));
+  server.setRequestHandler(GetPromptRequestSchema, async (req) => getPrompt(req.params.name, req.params.arguments));
+  return server;
+}
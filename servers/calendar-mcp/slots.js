@@ -0,0 +1,120 @@
+// Free-slot search over merged busy intervals, limited to working hours in a time zone.
+
+import { zonedParts, zonedTimeToUtc, toZonedISO, parseClock } from "../shared/time.js";
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Sort and merge overlapping or touching intervals.
+ * @param {{ start: number, end: number }[]} intervals epoch ms
+ */
+export function mergeIntervals(intervals) {
+  const sorted = intervals.filter(i => i.end > i.start).sort((a, b) => a.start - b.start);
+  const out = [];
+  for (const i of sorted) {
+    const last = out[out.length - 1];
+    if (last && i.start <= last.end) last.end = Math.max(last.end, i.end);
+    else out.push({ start: i.start, end: i.end });
+  }
+  return out;
+}
+
+/**
+ * Working-hour windows for each allowed local day that overlaps [from, to).
+ * @param {number} from epoch ms
+ * @param {number} to epoch ms
+ * @param {{ timeZone: string, start: string, end: string, days: number[] }} hours days use 0 = Sunday
+ */
+export function workingWindows(from, to, { timeZone, start, end, days }) {
+  const open = parseClock(start);
+  const close = parseClock(end);
+  const first = zonedParts(from, timeZone);
+  const windows = [];
+  // Walk calendar days in the target zone; Date.UTC normalizes day overflow across months
+  for (let offset = 0; ; offset++) {
+    const d = new Date(Date.UTC(first.year, first.month - 1, first.day + offset));
+    const date = { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+    const dayStart = zonedTimeToUtc({ ...date, hour: 0 }, timeZone);
+    if (dayStart >= to) break;
+    if (!days.includes(d.getUTCDay())) continue;
+    const wStart = Math.max(from, zonedTimeToUtc({ ...date, ...open }, timeZone));
+    const wEnd = Math.min(to, zonedTimeToUtc({ ...date, ...close }, timeZone));
+    if (wEnd > wStart) windows.push({ start: wStart, end: wEnd, date });
+  }
+  return windows;
+}
+
+/**
+ * Rank free slots of `durationMinutes` inside working hours.
+ *
+ * Busy intervals are padded by `bufferMinutes` and merged, so input order and
+ * overlaps don't matter. Candidate starts sit on a `granularityMinutes` grid.
+ * Ranking: earlier days first; within a day, slots that sit flush against a
+ * meeting or the edge of working hours (leaving the rest of the gap in one
+ * piece) beat slots in the middle of a gap; ties go to the earlier start.
+ * Returned slots never overlap each other.
+ */
+export function findFreeSlots({
+  busy,
+  timeMin,
+  timeMax,
+  durationMinutes,
+  timeZone,
+  workStart = "09:00",
+  workEnd = "17:00",
+  workDays = [1, 2, 3, 4, 5],
+  bufferMinutes = 0,
+  granularityMinutes = 15,
+  maxResults = 5,
+}) {
+  const from = new Date(timeMin).getTime();
+  const to = new Date(timeMax).getTime();
+  if (!Number.isFinite(from) || !Number.isFinite(to)) throw new Error("timeMin and timeMax must be valid ISO timestamps");
+  if (to <= from) throw new Error("timeMax must be after timeMin");
+
+  const dur = durationMinutes * MINUTE;
+  const pad = bufferMinutes * MINUTE;
+  const step = granularityMinutes * MINUTE;
+  const blocked = mergeIntervals(
+    busy.map(b => ({ start: new Date(b.start).getTime() - pad, end: new Date(b.end).getTime() + pad }))
+  );
+
+  const candidates = [];
+  for (const [dayIndex, w] of workingWindows(from, to, { timeZone, start: workStart, end: workEnd, days: workDays }).entries()) {
+    // Free gaps inside this window
+    let cursor = w.start;
+    const gaps = [];
+    for (const b of blocked) {
+      if (b.end <= cursor || b.start >= w.end) continue;
+      if (b.start > cursor) gaps.push({ start: cursor, end: b.start });
+      cursor = Math.max(cursor, b.end);
+    }
+    if (cursor < w.end) gaps.push({ start: cursor, end: w.end });
+
+    for (const g of gaps) {
+      // Snap to the grid in wall-clock terms so half-hour zones still land on :00/:30
+      const offset = g.start - zonedTimeToUtc({ ...w.date, hour: 0 }, timeZone);
+      let s = g.start + ((step - (offset % step)) % step);
+      for (; s + dur <= g.end; s += step) {
+        const slack = Math.min(s - g.start, g.end - (s + dur));
+        candidates.push({ start: s, end: s + dur, dayIndex, slack });
+      }
+    }
+  }
+
+  candidates.sort((a, b) => a.dayIndex - b.dayIndex || a.slack - b.slack || a.start - b.start);
+  const picked = [];
+  for (const c of candidates) {
+    if (picked.length >= maxResults) break;
+    if (picked.some(p => c.start < p.end && p.start < c.end)) continue;
+    picked.push(c);
+  }
+
+  return picked.map((c, i) => ({
+    rank: i + 1,
+    start: new Date(c.start).toISOString(),
+    end: new Date(c.end).toISOString(),
+    startLocal: toZonedISO(c.start, timeZone),
+    endLocal: toZonedISO(c.end, timeZone),
+  }));
+}
@@ -0,0 +1,116 @@
+// Helpers for turning Gmail API message resources into plain objects.
+
+export function decodeBase64Url(data) {
+  if (!data) return "";
+  return Buffer.from(data.replace(/-/g, "+").replace(/_/g, "/"), "base64").toString("utf8");
+}
+
+// Header names are case-insensitive; the last occurrence wins.
+export function headerMap(headers = []) {
+  const map = {};
+  for (const h of headers) map[h.name.toLowerCase()] = h.value;
+  return map;
+}
+
+// Split "Name <a@b.com>, c@d.com" into addresses, ignoring commas inside quotes.
+export function parseAddressList(value = "") {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (const ch of value) {
+    if (ch === '"') quoted = !quoted;
+    if (ch === "," && !quoted) {
+      if (cur.trim()) out.push(cur.trim());
+      cur = "";
+    } else cur += ch;
+  }
+  if (cur.trim()) out.push(cur.trim());
+  return out;
+}
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+// Good-enough HTML to text for email bodies: keep line structure and link targets.
+export function htmlToText(html = "") {
+  return html
+    .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, text) => (text.trim() === href ? href : `${text} (${href})`))
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li[^>]*>/gi, "\n- ")
+    .replace(/<\/(p|div|h[1-6]|tr|li|blockquote)>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(#\d+|#x[0-9a-f]+|\w+);/gi, (m, code) => {
+      if (code[0] === "#") {
+        const n = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(n) ? String.fromCodePoint(n) : m;
+      }
+      return ENTITIES[code.toLowerCase()] ?? m;
+    })
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Depth-first search for the first part with the given MIME type.
+function findPart(part, mimeType) {
+  if (!part) return null;
+  if (part.mimeType === mimeType && part.body?.data) return part;
+  for (const p of part.parts || []) {
+    const hit = findPart(p, mimeType);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+function listAttachments(part, out = []) {
+  if (!part) return out;
+  if (part.filename && part.body?.attachmentId) {
+    out.push({ filename: part.filename, mimeType: part.mimeType, size: part.body.size, attachmentId: part.body.attachmentId });
+  }
+  for (const p of part.parts || []) listAttachments(p, out);
+  return out;
+}
+
+// Prefer text/plain; fall back to converting text/html.
+export function extractBody(payload) {
+  const plain = findPart(payload, "text/plain");
+  if (plain) return decodeBase64Url(plain.body.data);
+  const html = findPart(payload, "text/html");
+  if (html) return htmlToText(decodeBase64Url(html.body.data));
+  return "";
+}
+
+// Compact listing row for search results
+export function summarizeMessage(msg) {
+  const h = headerMap(msg.payload?.headers);
+  return {
+    id: msg.id,
+    threadId: msg.threadId,
+    from: h.from || "",
+    subject: h.subject || "",
+    date: h.date || "",
+    snippet: msg.snippet || "",
+    labelIds: msg.labelIds || [],
+  };
+}
+
+// Full message with decoded body and parsed headers
+export function parseMessage(msg) {
+  const h = headerMap(msg.payload?.headers);
+  return {
+    id: msg.id,
+    threadId: msg.threadId,
+    labelIds: msg.labelIds || [],
+    from: h.from || "",
+    to: parseAddressList(h.to),
+    cc: parseAddressList(h.cc),
+    replyTo: h["reply-to"] || "",
+    subject: h.subject || "",
+    date: h.date || "",
+    messageId: h["message-id"] || "",
+    inReplyTo: h["in-reply-to"] || "",
+    references: h.references || "",
+    body: extractBody(msg.payload),
+    attachments: listAttachments(msg.payload),
+  };
+}
@@ -0,0 +1,129 @@
+// Minimal RFC 5322 / MIME message builder for the Gmail API `raw` field.
+
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { ToolError } from "../shared/result.js";
+
+const CONTENT_TYPES = {
+  ".pdf": "application/pdf",
+  ".txt": "text/plain",
+  ".md": "text/markdown",
+  ".csv": "text/csv",
+  ".html": "text/html",
+  ".json": "application/json",
+  ".ics": "text/calendar",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".zip": "application/zip",
+  ".doc": "application/msword",
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".pptx": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+};
+
+export function contentTypeFor(filename) {
+  return CONTENT_TYPES[path.extname(filename).toLowerCase()] || "application/octet-stream";
+}
+
+// RFC 2047 encoded-word for header text that is not plain ASCII
+export function encodeHeader(value = "") {
+  if (/^[\x20-\x7e]*$/.test(value)) return value;
+  return `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+// Encode only the display-name part of "Name <addr>"
+export function encodeAddress(addr) {
+  const m = addr.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+  if (!m || !m[1]) return addr.trim();
+  const name = /^[\x20-\x7e]*$/.test(m[1]) ? `"${m[1].replace(/"/g, "")}"` : encodeHeader(m[1]);
+  return `${name} <${m[2]}>`;
+}
+
+export function bareAddress(addr) {
+  const m = addr.match(/<([^>]+)>/);
+  return (m ? m[1] : addr).trim().toLowerCase();
+}
+
+function wrapBase64(buf) {
+  return buf.toString("base64").replace(/.{76}(?=.)/g, "$&\r\n");
+}
+
+function boundary() {
+  return `=_mcp_${crypto.randomBytes(12).toString("hex")}`;
+}
+
+function textPart(mimeType, content) {
+  return [
+    `Content-Type: ${mimeType}; charset=utf-8`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    wrapBase64(Buffer.from(content, "utf8")),
+  ].join("\r\n");
+}
+
+function multipart(subtype, parts) {
+  const b = boundary();
+  return [
+    `Content-Type: multipart/${subtype}; boundary="${b}"`,
+    "",
+    ...parts.flatMap(p => [`--${b}`, p]),
+    `--${b}--`,
+  ].join("\r\n");
+}
+
+/**
+ * Load attachments given either a local path or inline data.
+ * @param {({ path: string, filename?: string, contentType?: string } | { filename: string, data: Buffer, contentType?: string })[]} list
+ */
+export function loadAttachments(list = []) {
+  return list.map(a => {
+    if ("data" in a) return { filename: a.filename, contentType: a.contentType || contentTypeFor(a.filename), data: a.data };
+    const abs = path.isAbsolute(a.path) ? a.path : path.resolve(process.cwd(), a.path);
+    if (!fs.existsSync(abs)) throw new ToolError("not_found", `Attachment not found: ${abs}`, { hint: "Attachments are local file paths, relative to the server's working directory." });
+    const filename = a.filename || path.basename(abs);
+    return { filename, contentType: a.contentType || contentTypeFor(filename), data: fs.readFileSync(abs) };
+  });
+}
+
+function attachmentPart(a) {
+  const name = encodeHeader(a.filename).replace(/"/g, "");
+  return [
+    `Content-Type: ${a.contentType}; name="${name}"`,
+    `Content-Disposition: attachment; filename="${name}"`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    wrapBase64(a.data),
+  ].join("\r\n");
+}
+
+/**
+ * Build a complete MIME message.
+ * `text` is always sent; with `html` the body becomes multipart/alternative,
+ * and attachments wrap everything in multipart/mixed.
+ */
+export function buildMime({ from, to = [], cc = [], bcc = [], subject = "", text = "", html, attachments = [], inReplyTo, references, date = new Date() }) {
+  const headers = [];
+  if (from) headers.push(`From: ${encodeAddress(from)}`);
+  if (to.length) headers.push(`To: ${to.map(encodeAddress).join(", ")}`);
+  if (cc.length) headers.push(`Cc: ${cc.map(encodeAddress).join(", ")}`);
+  // Gmail reads Bcc from the raw message and strips it before delivery
+  if (bcc.length) headers.push(`Bcc: ${bcc.map(encodeAddress).join(", ")}`);
+  headers.push(`Subject: ${encodeHeader(subject)}`);
+  headers.push(`Date: ${date.toUTCString().replace("GMT", "+0000")}`);
+  if (inReplyTo) headers.push(`In-Reply-To: ${inReplyTo}`);
+  if (references) headers.push(`References: ${references}`);
+  headers.push("MIME-Version: 1.0");
+
+  let body = html ? multipart("alternative", [textPart("text/plain", text), textPart("text/html", html)]) : textPart("text/plain", text);
+  const files = loadAttachments(attachments);
+  if (files.length) body = multipart("mixed", [body, ...files.map(attachmentPart)]);
+
+  return `${headers.join("\r\n")}\r\n${body}`;
+}
+
+export function toBase64Url(raw) {
+  return Buffer.from(raw, "utf8").toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
@@ -0,0 +1,550 @@
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import {
+  ListToolsRequestSchema,
+  CallToolRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode,
+} from "@modelcontextprotocol/sdk/types.js";
+import { google } from "googleapis";
+import { z } from "zod";
+import { createGoogleAuth, authStatusSchema } from "../shared/google-auth.js";
+import { createThrottle } from "../shared/rate-limit.js";
+import { toolHandler, unknownTool } from "../shared/result.js";
+import { summarizeMessage, parseMessage, parseAddressList } from "./message.js";
+import { buildMime, toBase64Url, bareAddress } from "./mime.js";
+
+const SCOPES = [
+  "https://www.googleapis.com/auth/gmail.compose",
+  "https://www.googleapis.com/auth/gmail.send",
+  "https://www.googleapis.com/auth/gmail.readonly",
+];
+
+const auth = createGoogleAuth({ service: "gmail", tokenPath: ".tokens/gmail.json", scopes: SCOPES });
+
+// Replaced through createServer({ gmail }) by tests, which pass an in-memory fake
+let gmailBackend = null;
+
+async function getGmail() {
+  return gmailBackend ?? google.gmail({ version: "v1", auth: auth.getClient() });
+}
+
+// Gmail's per-user quota is 250 units/s (a messages.get costs 5); a search fans out one get per hit
+const throttle = createThrottle({ ratePerSec: 10, burst: 20 });
+
+const Address = z.string().refine(a => z.string().email().safeParse(bareAddress(a)).success, {
+  message: "Invalid email address",
+});
+// Accept "a@x.com", "a@x.com, b@y.com" or ["a@x.com", "Bob <b@y.com>"]
+const AddressList = z
+  .union([z.string(), z.array(z.string())])
+  .transform(v => (Array.isArray(v) ? v : parseAddressList(v)))
+  .pipe(z.array(Address));
+
+const ComposeSchema = z.object({
+  to: AddressList,
+  cc: AddressList.optional(),
+  bcc: AddressList.optional(),
+  subject: z.string(),
+  body: z.string(),
+  html: z.string().optional(),
+  attachments: z.array(z.string()).optional(),
+});
+
+// Shared JSON Schema properties for every tool that composes a message
+const addressListSchema = {
+  anyOf: [{ type: "string" }, { type: "array", items: { type: "string" } }],
+  description: "One address, a comma-separated list or an array",
+};
+const bodyProperties = {
+  body: { type: "string", description: "Plain-text body" },
+  html: { type: "string", description: "Optional HTML body (sent as multipart/alternative)" },
+  attachments: { type: "array", items: { type: "string" }, description: "Local file paths to attach" },
+};
+const composeProperties = {
+  to: addressListSchema,
+  cc: addressListSchema,
+  bcc: addressListSchema,
+  subject: { type: "string" },
+  ...bodyProperties,
+};
+
+// Output schemas
+const stringList = { type: "array", items: { type: "string" } };
+const messageSummarySchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    threadId: { type: "string" },
+    from: { type: "string" },
+    subject: { type: "string" },
+    date: { type: "string" },
+    snippet: { type: "string" },
+    labelIds: stringList,
+  },
+  required: ["id", "threadId", "from", "subject", "date"],
+};
+const messageSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    threadId: { type: "string" },
+    labelIds: stringList,
+    from: { type: "string" },
+    to: stringList,
+    cc: stringList,
+    replyTo: { type: "string" },
+    subject: { type: "string" },
+    date: { type: "string" },
+    messageId: { type: "string" },
+    inReplyTo: { type: "string" },
+    references: { type: "string" },
+    body: { type: "string" },
+    attachments: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { filename: { type: "string" }, mimeType: { type: "string" }, size: { type: "number" }, attachmentId: { type: "string" } },
+      },
+    },
+  },
+  required: ["id", "threadId", "from", "to", "cc", "subject", "date", "body", "attachments"],
+};
+// A sent message has `id`; a saved draft has `draftId`
+const deliveryProperties = {
+  id: { type: "string" },
+  draftId: { type: "string" },
+  threadId: { type: ["string", "null"] },
+  labelIds: stringList,
+};
+
+function quote(text) {
+  return text.split("\n").map(l => `> ${l}`).join("\n");
+}
+
+// Drafts keep the thread too, so a reply draft shows up under the original conversation
+async function deliver(gmail, raw, { threadId, asDraft = false } = {}) {
+  const message = { raw: toBase64Url(raw), threadId: threadId || undefined };
+  if (asDraft) {
+    const draft = await throttle(() => gmail.users.drafts.create({ userId: "me", requestBody: { message } }), "gmail users.drafts.create", { idempotent: false });
+    return { draftId: draft.data.id, threadId: draft.data.message?.threadId ?? threadId ?? null };
+  }
+  const sent = await throttle(() => gmail.users.messages.send({ userId: "me", requestBody: message }), "gmail users.messages.send", { idempotent: false });
+  return { id: sent.data.id, threadId: sent.data.threadId, labelIds: sent.data.labelIds };
+}
+
+async function getOriginal(gmail, messageId) {
+  const res = await throttle(() => gmail.users.messages.get({ userId: "me", id: messageId, format: "full" }), "gmail users.messages.get");
+  return parseMessage(res.data);
+}
+
+// Recipients and subject of a reply: Reply-To (or From), plus for reply-all the original
+// To/Cc without me or duplicates. Shared with gmail_reply_preview so the preview can't drift.
+async function replyHeaders(gmail, orig, replyAll) {
+  const me = (await throttle(() => gmail.users.getProfile({ userId: "me" }), "gmail users.getProfile")).data.emailAddress?.toLowerCase();
+  const to = parseAddressList(orig.replyTo || orig.from);
+  const seen = new Set([me, ...to.map(bareAddress)]);
+  const cc = replyAll
+    ? [...orig.to, ...orig.cc].filter(a => {
+        const addr = bareAddress(a);
+        if (seen.has(addr)) return false;
+        seen.add(addr);
+        return true;
+      })
+    : [];
+  const subject = /^re:/i.test(orig.subject) ? orig.subject : `Re: ${orig.subject}`;
+  return { to, cc, subject };
+}
+
+function forwardSubject(orig) {
+  return /^fwd?:/i.test(orig.subject) ? orig.subject : `Fwd: ${orig.subject}`;
+}
+
+const tools = [
+  {
+    name: "gmail_auth_status",
+    description: "Show Gmail authorization state (granted scopes, token expiry, pending login URL); login=true starts consent",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        login: { type: "boolean", description: "Start a consent flow if scopes are missing" }
+      }
+    },
+    outputSchema: authStatusSchema,
+  },
+  {
+    name: "gmail_auth_submit_code",
+    description: "Finish Gmail login on a machine without a browser: paste the redirect URL (or its code) from the consent page",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        code: { type: "string", description: "Full redirect URL or the bare authorization code" }
+      },
+      required: ["code"]
+    },
+    outputSchema: authStatusSchema,
+  },
+  {
+    name: "gmail_profile",
+    description: "Get Gmail profile (email address)",
+    annotations: { readOnlyHint: true },
+    inputSchema: { type: "object", properties: {} },
+    outputSchema: {
+      type: "object",
+      properties: {
+        emailAddress: { type: "string" },
+        messagesTotal: { type: "number" },
+        threadsTotal: { type: "number" },
+        historyId: { type: "string" },
+      },
+      required: ["emailAddress"],
+    },
+  },
+  {
+    name: "gmail_search",
+    description: "Search mail with Gmail query syntax (e.g. 'is:unread from:alice newer_than:7d'); returns sender, subject, date and snippet",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Gmail search query (default: in:inbox)" },
+        maxResults: { type: "number", description: "Page size, 1-50 (default 10)" },
+        pageToken: { type: "string", description: "nextPageToken from a previous call" },
+      },
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string" },
+        messages: { type: "array", items: messageSummarySchema },
+        nextPageToken: { type: ["string", "null"] },
+        resultSizeEstimate: { type: "number" },
+      },
+      required: ["query", "messages", "nextPageToken"],
+    },
+  },
+  {
+    name: "gmail_get_message",
+    description: "Read one message: parsed headers and decoded text body",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: { id: { type: "string", description: "Message id" } },
+      required: ["id"],
+    },
+    outputSchema: messageSchema,
+  },
+  {
+    name: "gmail_get_thread",
+    description: "Read every message in a thread, oldest first",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: { threadId: { type: "string", description: "Thread id" } },
+      required: ["threadId"],
+    },
+    outputSchema: {
+      type: "object",
+      properties: { threadId: { type: "string" }, messages: { type: "array", items: messageSchema } },
+      required: ["threadId", "messages"],
+    },
+  },
+  {
+    name: "gmail_create_draft",
+    description: "Create a Gmail draft (to/cc/bcc, optional HTML body and file attachments)",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: composeProperties,
+      required: ["to", "subject", "body"],
+    },
+    outputSchema: { type: "object", properties: deliveryProperties, required: ["draftId"] },
+  },
+  {
+    name: "gmail_send_message",
+    description: "Send an email immediately (use with confirmation!)",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: composeProperties,
+      required: ["to", "subject", "body"],
+    },
+    outputSchema: { type: "object", properties: deliveryProperties, required: ["id"] },
+  },
+  {
+    name: "gmail_reply",
+    description: "Reply to a message in its thread (sets In-Reply-To/References); sends unless asDraft is true",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        messageId: { type: "string", description: "Id of the message being answered" },
+        replyAll: { type: "boolean", description: "Also include the original To/Cc recipients" },
+        asDraft: { type: "boolean", description: "Save as a draft instead of sending" },
+        ...bodyProperties,
+      },
+      required: ["messageId", "body"],
+    },
+    outputSchema: {
+      type: "object",
+      properties: { ...deliveryProperties, to: stringList, cc: stringList, subject: { type: "string" } },
+      required: ["to", "cc", "subject"],
+    },
+  },
+  {
+    name: "gmail_forward",
+    description: "Forward a message (with its attachments) to new recipients; sends unless asDraft is true",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        messageId: { type: "string", description: "Id of the message to forward" },
+        to: addressListSchema,
+        cc: addressListSchema,
+        bcc: addressListSchema,
+        body: { type: "string", description: "Note to put above the forwarded message" },
+        includeAttachments: { type: "boolean", description: "Forward the original attachments (default true)" },
+        asDraft: { type: "boolean", description: "Save as a draft instead of sending" },
+      },
+      required: ["messageId", "to"],
+    },
+    outputSchema: {
+      type: "object",
+      properties: { ...deliveryProperties, subject: { type: "string" }, attachments: stringList },
+      required: ["subject", "attachments"],
+    },
+  },
+  {
+    name: "gmail_reply_preview",
+    description: "Recipients and subject a gmail_reply (or the subject and attachments a gmail_forward) would use, without sending",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        messageId: { type: "string", description: "Id of the message being answered or forwarded" },
+        kind: { type: "string", enum: ["reply", "replyAll", "forward"], description: "Default reply" },
+      },
+      required: ["messageId"],
+    },
+    outputSchema: {
+      type: "object",
+      properties: { messageId: { type: "string" }, to: stringList, cc: stringList, subject: { type: "string" }, attachments: stringList },
+      required: ["messageId", "to", "cc", "subject", "attachments"],
+    },
+  },
+];
+
+// ---------- Prompts ----------
+
+const prompts = [
+  {
+    name: "draft_reply",
+    description: "Draft a reply to an email and save it as a draft in the same thread",
+    arguments: [
+      { name: "messageId", description: "Message id from gmail_search", required: true },
+      { name: "intent", description: "What the reply should say, e.g. 'accept, propose Thursday instead'", required: false },
+      { name: "tone", description: "Tone of the reply (default: friendly and concise)", required: false },
+    ],
+  },
+];
+
+const getPrompt = auth.guardRequest(async (name, args = {}) => {
+  if (name !== "draft_reply") throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  if (!args.messageId) throw new McpError(ErrorCode.InvalidParams, "draft_reply needs a messageId");
+  const orig = await getOriginal(await getGmail(), args.messageId);
+  const instructions = [
+    "Write a reply to the email below.",
+    args.intent ? `The reply should: ${args.intent}` : "Answer its questions and requests; ask about anything that is unclear.",
+    `Tone: ${args.tone || "friendly and concise"}. Match the language of the email and sign off without inventing a name.`,
+    `Then save it with gmail_reply { "messageId": "${args.messageId}", "body": <your reply>, "asDraft": true }. Do not send it.`,
+  ];
+  const email = [
+    `From: ${orig.from}`,
+    `To: ${orig.to.join(", ")}`,
+    ...(orig.cc.length ? [`Cc: ${orig.cc.join(", ")}`] : []),
+    `Date: ${orig.date}`,
+    `Subject: ${orig.subject}`,
+    "",
+    orig.body,
+  ];
+  const text = [...instructions, "", "---", ...email].join("\n");
+  return { description: `Reply to "${orig.subject}"`, messages: [{ role: "user", content: { type: "text", text } }] };
+});
+
+const handleCall = auth.guard(async (req) => {
+  const { name, arguments: args } = req.params ?? {};
+
+  if (name === "gmail_auth_status") {
+    const { login = false } = z.object({ login: z.boolean().optional() }).parse(args ?? {});
+    const status = auth.status();
+    if (login && (!status.authenticated || status.missingScopes.length)) status.pendingLogin = auth.startLogin();
+    return status;
+  }
+
+  if (name === "gmail_auth_submit_code") {
+    const { code } = z.object({ code: z.string().min(1) }).parse(args ?? {});
+    return auth.submitCode(code);
+  }
+
+  if (name === "gmail_profile") {
+    const gmail = await getGmail();
+    const me = await throttle(() => gmail.users.getProfile({ userId: "me" }), "gmail users.getProfile");
+    return me.data;
+  }
+
+  if (name === "gmail_search") {
+    const schema = z.object({
+      query: z.string().optional(),
+      maxResults: z.number().int().min(1).max(50).optional(),
+      pageToken: z.string().optional(),
+    });
+    const { query = "in:inbox", maxResults = 10, pageToken } = schema.parse(args ?? {});
+    const gmail = await getGmail();
+    const list = await throttle(() => gmail.users.messages.list({ userId: "me", q: query, maxResults, pageToken }), "gmail users.messages.list");
+    const messages = await Promise.all(
+      (list.data.messages || []).map(m =>
+        throttle(() => gmail.users.messages.get({
+          userId: "me",
+          id: m.id,
+          format: "metadata",
+          metadataHeaders: ["From", "Subject", "Date"],
+        }), "gmail users.messages.get")
+      )
+    );
+    return {
+      query,
+      messages: messages.map(m => summarizeMessage(m.data)),
+      nextPageToken: list.data.nextPageToken || null,
+      resultSizeEstimate: list.data.resultSizeEstimate ?? 0,
+    };
+  }
+
+  if (name === "gmail_get_message") {
+    const schema = z.object({ id: z.string().min(1) });
+    const { id } = schema.parse(args ?? {});
+    const gmail = await getGmail();
+    const msg = await throttle(() => gmail.users.messages.get({ userId: "me", id, format: "full" }), "gmail users.messages.get");
+    return parseMessage(msg.data);
+  }
+
+  if (name === "gmail_get_thread") {
+    const schema = z.object({ threadId: z.string().min(1) });
+    const { threadId } = schema.parse(args ?? {});
+    const gmail = await getGmail();
+    const thread = await throttle(() => gmail.users.threads.get({ userId: "me", id: threadId, format: "full" }), "gmail users.threads.get");
+    const messages = (thread.data.messages || []).map(parseMessage);
+    return { threadId, messages };
+  }
+
+  if (name === "gmail_create_draft" || name === "gmail_send_message") {
+    const { to, cc = [], bcc = [], subject, body, html, attachments = [] } = ComposeSchema.parse(args ?? {});
+    const gmail = await getGmail();
+    const raw = buildMime({ to, cc, bcc, subject, text: body, html, attachments: attachments.map(p => ({ path: p })) });
+    return deliver(gmail, raw, { asDraft: name === "gmail_create_draft" });
+  }
+
+  if (name === "gmail_reply") {
+    const schema = z.object({
+      messageId: z.string().min(1),
+      body: z.string(),
+      html: z.string().optional(),
+      attachments: z.array(z.string()).optional(),
+      replyAll: z.boolean().optional(),
+      asDraft: z.boolean().optional(),
+    });
+    const { messageId, body, html, attachments = [], replyAll = false, asDraft = false } = schema.parse(args ?? {});
+    const gmail = await getGmail();
+    const orig = await getOriginal(gmail, messageId);
+    const { to, cc, subject } = await replyHeaders(gmail, orig, replyAll);
+    const references = [orig.references, orig.messageId].filter(Boolean).join(" ");
+    const text = `${body}\n\nOn ${orig.date}, ${orig.from} wrote:\n${quote(orig.body)}`;
+
+    const raw = buildMime({
+      to, cc, subject, text, html,
+      attachments: attachments.map(p => ({ path: p })),
+      inReplyTo: orig.messageId || undefined,
+      references: references || undefined,
+    });
+    const result = await deliver(gmail, raw, { threadId: orig.threadId, asDraft });
+    return { ...result, to, cc, subject };
+  }
+
+  if (name === "gmail_reply_preview") {
+    const schema = z.object({ messageId: z.string().min(1), kind: z.enum(["reply", "replyAll", "forward"]).optional() });
+    const { messageId, kind = "reply" } = schema.parse(args ?? {});
+    const gmail = await getGmail();
+    const orig = await getOriginal(gmail, messageId);
+    if (kind === "forward") {
+      return { messageId, to: [], cc: [], subject: forwardSubject(orig), attachments: orig.attachments.map(a => a.filename) };
+    }
+    return { messageId, ...(await replyHeaders(gmail, orig, kind === "replyAll")), attachments: [] };
+  }
+
+  if (name === "gmail_forward") {
+    const schema = z.object({
+      messageId: z.string().min(1),
+      to: AddressList,
+      cc: AddressList.optional(),
+      bcc: AddressList.optional(),
+      body: z.string().optional(),
+      includeAttachments: z.boolean().optional(),
+      asDraft: z.boolean().optional(),
+    });
+    const { messageId, to, cc = [], bcc = [], body = "", includeAttachments = true, asDraft = false } = schema.parse(args ?? {});
+    const gmail = await getGmail();
+    const orig = await getOriginal(gmail, messageId);
+
+    const attachments = [];
+    if (includeAttachments) {
+      for (const a of orig.attachments) {
+        const res = await throttle(() => gmail.users.messages.attachments.get({ userId: "me", messageId, id: a.attachmentId }), "gmail users.messages.attachments.get");
+        attachments.push({ filename: a.filename, contentType: a.mimeType, data: Buffer.from(res.data.data || "", "base64url") });
+      }
+    }
+    const subject = forwardSubject(orig);
+    const text = [
+      body,
+      "",
+      "---------- Forwarded message ---------",
+      `From: ${orig.from}`,
+      `Date: ${orig.date}`,
+      `Subject: ${orig.subject}`,
+      `To: ${orig.to.join(", ")}`,
+      ...(orig.cc.length ? [`Cc: ${orig.cc.join(", ")}`] : []),
+      "",
+      orig.body,
+    ].join("\n");
+    const references = [orig.references, orig.messageId].filter(Boolean).join(" ");
+
+    const raw = buildMime({
+      to, cc, bcc, subject, text, attachments,
+      inReplyTo: orig.messageId || undefined,
+      references: references || undefined,
+    });
+    const result = await deliver(gmail, raw, { threadId: orig.threadId, asDraft });
+    return { ...result, subject, attachments: attachments.map(a => a.filename) };
+  }
+
+  throw unknownTool(name);
+});
+
+/**
+ * @param {{ gmail?: object }} [options] `gmail` stands in for the googleapis Gmail
+ *   client (same `users.*` methods); like the rest of this module's state it is
+ *   shared by every session.
+ */
+export function createServer({ gmail } = {}) {
+  if (gmail) gmailBackend = gmail;
+  const server = new Server(
+    { name: "gmail-mcp", version: "0.1.0", description: "Gmail search/read/draft/send tools" },
+    { capabilities: { tools: {}, prompts: {} } }
+  );
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools }));
+  server.setRequestHandler(CallToolRequestSchema, toolHandler(handleCall));
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts }));
+  server.setRequestHandler(GetPromptRequestSchema, async (req) => getPrompt(req.params.name, req.params.arguments));
+  return server;
+}
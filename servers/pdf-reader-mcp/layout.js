@@ -0,0 +1,135 @@
+// Rebuild lines, paragraphs and simple tables from pdfjs text items.
+// pdfjs gives positioned fragments (transform[4] = x, transform[5] = y); we group
+// them by baseline, order them left to right and use the gaps between them.
+
+/**
+ * @typedef {{ str: string, transform: number[], width: number, height: number, hasEOL?: boolean }} TextItem
+ * @typedef {{ x: number, end: number, text: string }} Segment
+ * @typedef {{ y: number, size: number, items: TextItem[] }} Line
+ */
+
+/**
+ * Group text items into visual lines, top to bottom.
+ * @param {TextItem[]} items
+ * @returns {Line[]}
+ */
+export function groupLines(items) {
+  /** @type {Line[]} */
+  const lines = [];
+  let current = null;
+  let forceBreak = false;
+
+  for (const it of items) {
+    if (!("str" in it)) continue;
+    const y = it.transform[5];
+    const size = Math.abs(it.transform[3]) || it.height || 10;
+    const fits = (l) => Math.abs(l.y - y) < Math.max(l.size, size) * 0.5;
+    // Whitespace items only bridge gaps; dropping them lets the real gap decide spacing
+    if (it.str.trim()) {
+      if (current && !forceBreak && fits(current)) current.items.push(it);
+      else {
+        // Text streams sometimes revisit a baseline (e.g. columns written in two passes)
+        current = (!forceBreak && lines.find(fits)) || null;
+        if (current) current.items.push(it);
+        else {
+          current = { y, size, items: [it] };
+          lines.push(current);
+        }
+      }
+    }
+    forceBreak = Boolean(it.hasEOL);
+  }
+
+  for (const l of lines) l.items.sort((a, b) => a.transform[4] - b.transform[4]);
+  return lines.sort((a, b) => b.y - a.y);
+}
+
+/**
+ * Split a line into segments wherever the horizontal gap is wider than `gapFactor` × font size.
+ * @param {Line} line
+ * @returns {Segment[]}
+ */
+export function lineSegments(line, gapFactor = 1.5) {
+  /** @type {Segment[]} */
+  const segments = [];
+  for (const it of line.items) {
+    const x = it.transform[4];
+    const end = x + (it.width || 0);
+    const last = segments[segments.length - 1];
+    if (last && x - last.end < line.size * gapFactor) {
+      const joiner = x - last.end > line.size * 0.15 && !last.text.endsWith(" ") && !it.str.startsWith(" ") ? " " : "";
+      last.text += joiner + it.str;
+      last.end = Math.max(last.end, end);
+    } else {
+      segments.push({ x, end, text: it.str });
+    }
+  }
+  return segments.map(s => ({ ...s, text: s.text.replace(/\s+/g, " ").trim() })).filter(s => s.text);
+}
+
+/**
+ * Render lines as text: one line per visual line, blank line between paragraphs.
+ * @param {Line[]} lines
+ */
+export function linesToText(lines) {
+  const out = [];
+  let prev = null;
+  for (const line of lines) {
+    const text = lineSegments(line, 4).map(s => s.text).join("  ");
+    if (!text) continue;
+    // A vertical gap well beyond normal leading starts a new paragraph
+    if (prev && prev.y - line.y > Math.max(prev.size, line.size) * 1.8) out.push("");
+    out.push(text);
+    prev = line;
+  }
+  return out.join("\n");
+}
+
+/**
+ * Best-effort table detection: runs of two or more consecutive lines that
+ * split into the same number (≥ 2) of column segments.
+ * @param {Line[]} lines
+ * @returns {{ columns: number, rows: string[][] }[]}
+ */
+export function detectTables(lines) {
+  const tables = [];
+  let run = [];
+
+  const flush = () => {
+    if (run.length >= 2) tables.push(alignRun(run));
+    run = [];
+  };
+
+  for (const line of lines) {
+    const segs = lineSegments(line);
+    if (segs.length < 2) {
+      flush();
+      continue;
+    }
+    // Allow ragged rows (a missing cell) but not a completely different shape
+    if (run.length && Math.abs(run[run.length - 1].length - segs.length) > 1) flush();
+    run.push(segs);
+  }
+  flush();
+  return tables;
+}
+
+// Snap each segment to the nearest column anchor so ragged rows line up.
+function alignRun(rows) {
+  const widest = rows.reduce((a, r) => (r.length > a.length ? r : a), rows[0]);
+  const anchors = widest.map(s => s.x);
+  return {
+    columns: anchors.length,
+    rows: rows.map(segs => {
+      const cells = anchors.map(() => "");
+      for (const s of segs) {
+        let best = 0;
+        for (let i = 1; i < anchors.length; i++) {
+          if (Math.abs(anchors[i] - s.x) < Math.abs(anchors[best] - s.x)) best = i;
+        }
+        cells[best] = cells[best] ? `${cells[best]} ${s.text}` : s.text;
+      }
+      return cells;
+    }),
+  };
+}
@@ -0,0 +1,69 @@
+// Offline lexical retrieval for loaded PDFs: page-aware chunking plus a BM25 index.
+
+const STOPWORDS = new Set(
+  "a an and are as at be but by for from has have if in into is it its of on or that the their there these this to was were will with what which who how when where why does do".split(" ")
+);
+
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(t => t.length > 1 && !STOPWORDS.has(t));
+}
+
+/**
+ * Split each page into overlapping word windows. Chunks never cross a page
+ * boundary, so every chunk can be cited by its page number.
+ * @param {string[]} pages
+ * @returns {{ page: number, index: number, text: string }[]}
+ */
+export function chunkPages(pages, { size = 180, overlap = 40 } = {}) {
+  const step = Math.max(1, size - overlap);
+  const chunks = [];
+  pages.forEach((pageText, i) => {
+    const words = pageText.split(/\s+/).filter(Boolean);
+    for (let start = 0; start < words.length; start += step) {
+      chunks.push({ page: i + 1, index: chunks.length, text: words.slice(start, start + size).join(" ") });
+      if (start + size >= words.length) break;
+    }
+  });
+  return chunks;
+}
+
+/**
+ * Precompute term frequencies and document frequencies for BM25.
+ * @param {{ page: number, index: number, text: string }[]} chunks
+ */
+export function buildIndex(chunks) {
+  const docFreq = new Map();
+  const entries = chunks.map(chunk => {
+    const terms = tokenize(chunk.text);
+    const tf = new Map();
+    for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const t of tf.keys()) docFreq.set(t, (docFreq.get(t) || 0) + 1);
+    return { chunk, tf, length: terms.length };
+  });
+  const avgLength = entries.reduce((sum, e) => sum + e.length, 0) / (entries.length || 1);
+  return { entries, docFreq, avgLength };
+}
+
+/**
+ * Rank chunks against a query with Okapi BM25.
+ * @returns {{ page: number, index: number, text: string, score: number }[]}
+ */
+export function searchIndex(index, query, { k = 5, k1 = 1.2, b = 0.75 } = {}) {
+  const terms = [...new Set(tokenize(query))];
+  const n = index.entries.length;
+  if (!terms.length || !n) return [];
+
+  const scored = [];
+  for (const e of index.entries) {
+    let score = 0;
+    for (const t of terms) {
+      const f = e.tf.get(t);
+      if (!f) continue;
+      const df = index.docFreq.get(t) || 0;
+      const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+      score += idf * (f * (k1 + 1)) / (f + k1 * (1 - b + b * (e.length / (index.avgLength || 1))));
+    }
+    if (score > 0) scored.push({ ...e.chunk, score: Number(score.toFixed(4)) });
+  }
+  return scored.sort((x, y) => y.score - x.score).slice(0, k);
+}
@@ -0,0 +1,536 @@
+// Minimal MCP PDF server using pdfjs-dist for per-page text extraction.
+
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { z } from "zod";
+import fs from "node:fs";
+import path from "node:path";
+import * as pdfjs from "pdfjs-dist/legacy/build/pdf.mjs";
+import { chunkPages, buildIndex, searchIndex } from "./search.js";
+import { groupLines, linesToText, detectTables } from "./layout.js";
+import { createCache, ttlFor } from "../shared/cache.js";
+import { withRetry, HttpError } from "../shared/rate-limit.js";
+import { toolHandler, unknownTool, ToolError } from "../shared/result.js";
+import {
+  ListToolsRequestSchema,
+  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode,
+} from "@modelcontextprotocol/sdk/types.js";
+
+// ---------- In-memory state ----------
+// Every loaded PDF stays in memory under its own id until it is unloaded.
+/** @type {Map<string, { id: string, source: string, pages: string[], pageCount: number, loadedAt: string, index: ReturnType<typeof buildIndex>, pdf: any }>} */
+const documents = new Map();
+let nextDocNumber = 1;
+let activeDocId = "";
+
+// Look up a document by id, falling back to the most recently loaded one
+function resolveDoc(docId) {
+  const id = docId || activeDocId;
+  if (!id) throw new ToolError("not_found", "No PDF loaded", { hint: "Call load_pdf first." });
+  const doc = documents.get(id);
+  if (!doc) throw new ToolError("not_found", `Unknown docId: ${id}`, { hint: "Call list_documents to see loaded PDFs." });
+  return doc;
+}
+
+// Downloaded PDFs, base64 so entries can go to the disk store; re-loading a URL skips the network
+const downloads = createCache({ name: "pdf-reader", max: 10 });
+
+async function downloadPdf(target) {
+  const b64 = await downloads.wrap("load_pdf", { url: target }, ttlFor("load_pdf", 3600), () =>
+    withRetry(async () => {
+      const res = await fetch(target);
+      if (!res.ok) throw new HttpError(`Failed to fetch PDF: ${res.status} ${res.statusText}`, { status: res.status, headers: res.headers });
+      return Buffer.from(await res.arrayBuffer()).toString("base64");
+    }, { label: "pdf download" })
+  );
+  return new Uint8Array(Buffer.from(b64, "base64"));
+}
+
+// Load a PDF from local path or URL and extract per-page text with line/paragraph breaks
+async function loadPdfToMemory(target) {
+  let data;
+  if (/^https?:\/\//i.test(target)) {
+    data = await downloadPdf(target);
+  } else {
+    const abs = path.isAbsolute(target) ? target : path.resolve(process.cwd(), target);
+    if (!fs.existsSync(abs)) throw new ToolError("not_found", `File not found: ${abs}`, { hint: "Relative paths resolve against the server's working directory." });
+    data = new Uint8Array(fs.readFileSync(abs));
+  }
+
+  const doc = await pdfjs.getDocument({ data }).promise.catch((e) => {
+    if (e?.name === "InvalidPDFException") throw new ToolError("validation", `Not a PDF: ${target}`, { hint: "load_pdf only reads PDF files; use fetch_url for web pages." });
+    throw e;
+  });
+  const pageCount = doc.numPages;
+  const pages = [];
+
+  for (let i = 1; i <= pageCount; i++) {
+    const page = await doc.getPage(i);
+    const content = await page.getTextContent();
+    pages.push(linesToText(groupLines(content.items)));
+  }
+
+  const id = `doc${nextDocNumber++}`;
+  const index = buildIndex(chunkPages(pages));
+  // Keep the pdfjs handle for metadata, outline and table requests
+  documents.set(id, { id, source: target, pages, pageCount, loadedAt: new Date().toISOString(), index, pdf: doc });
+  activeDocId = id;
+  return { docId: id, pageCount };
+}
+
+// Resolve an outline destination (named or explicit) to a 1-based page number
+async function destinationPage(pdf, dest) {
+  try {
+    const explicit = typeof dest === "string" ? await pdf.getDestination(dest) : dest;
+    if (!Array.isArray(explicit) || !explicit[0]) return null;
+    const ref = explicit[0];
+    return typeof ref === "number" ? ref + 1 : (await pdf.getPageIndex(ref)) + 1;
+  } catch {
+    return null;
+  }
+}
+
+async function outlineTree(pdf, items) {
+  const out = [];
+  for (const it of items || []) {
+    out.push({
+      title: it.title,
+      page: it.dest ? await destinationPage(pdf, it.dest) : null,
+      url: it.url || undefined,
+      items: await outlineTree(pdf, it.items),
+    });
+  }
+  return out;
+}
+
+// Output schemas
+const outlineItemSchema = {
+  type: "object",
+  properties: {
+    title: { type: "string" },
+    page: { type: ["integer", "null"] },
+    url: { type: "string" },
+    items: { type: "array", items: { type: "object" } },
+  },
+  required: ["title", "page", "items"],
+};
+
+// Declare tool metadata once
+const tools = [
+  {
+    name: "load_pdf",
+    description: "Load a PDF from a local path or URL into memory; returns a docId",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: { target: { type: "string", description: "Path or HTTP(S) URL to a PDF" } },
+      required: ["target"],
+    },
+    outputSchema: {
+      type: "object",
+      properties: { ok: { type: "boolean" }, docId: { type: "string" }, pages: { type: "integer" }, source: { type: "string" } },
+      required: ["ok", "docId", "pages", "source"],
+    },
+  },
+  {
+    name: "list_documents",
+    description: "List loaded PDFs with their docId, source and page count",
+    annotations: { readOnlyHint: true },
+    inputSchema: { type: "object", properties: {} },
+    outputSchema: {
+      type: "object",
+      properties: {
+        documents: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              docId: { type: "string" },
+              source: { type: "string" },
+              pages: { type: "integer" },
+              loadedAt: { type: "string" },
+              active: { type: "boolean" },
+            },
+            required: ["docId", "source", "pages", "active"],
+          },
+        },
+      },
+      required: ["documents"],
+    },
+  },
+  {
+    name: "unload_document",
+    description: "Remove a loaded PDF from memory",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: { docId: { type: "string", description: "Document id returned by load_pdf" } },
+      required: ["docId"],
+    },
+    outputSchema: {
+      type: "object",
+      properties: { ok: { type: "boolean" }, docId: { type: "string" }, activeDocId: { type: ["string", "null"] } },
+      required: ["ok", "docId", "activeDocId"],
+    },
+  },
+  {
+    name: "page_count",
+    description: "Get page count of a loaded PDF (defaults to the most recently loaded)",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: { docId: { type: "string", description: "Document id returned by load_pdf" } },
+    },
+    outputSchema: {
+      type: "object",
+      properties: { docId: { type: "string" }, pages: { type: "integer" } },
+      required: ["docId", "pages"],
+    },
+  },
+  {
+    name: "extract_text",
+    description: "Extract text for a specific page (1-based) of a loaded PDF",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        page: { type: "number", description: "1-based page index" },
+        docId: { type: "string", description: "Document id (defaults to the most recently loaded)" },
+      },
+      required: ["page"],
+    },
+    outputSchema: {
+      type: "object",
+      properties: { docId: { type: "string" }, page: { type: "integer" }, text: { type: "string" } },
+      required: ["docId", "page", "text"],
+    },
+  },
+  {
+    name: "pdf_metadata",
+    description: "Get document info (title, author, dates, producer) and XMP metadata of a loaded PDF",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: { docId: { type: "string", description: "Document id (defaults to the most recently loaded)" } },
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        docId: { type: "string" },
+        pages: { type: "integer" },
+        info: { type: "object", description: "Document info dictionary (Title, Author, CreationDate, ...)" },
+        metadata: { type: "object", description: "XMP metadata as key/value pairs" },
+      },
+      required: ["docId", "pages", "info", "metadata"],
+    },
+  },
+  {
+    name: "pdf_outline",
+    description: "Get the outline/bookmarks of a loaded PDF with target page numbers",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: { docId: { type: "string", description: "Document id (defaults to the most recently loaded)" } },
+    },
+    outputSchema: {
+      type: "object",
+      properties: { docId: { type: "string" }, outline: { type: "array", items: outlineItemSchema } },
+      required: ["docId", "outline"],
+    },
+  },
+  {
+    name: "extract_tables",
+    description: "Best-effort table detection for one page; returns each table as rows of cell strings",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        page: { type: "number", description: "1-based page index" },
+        docId: { type: "string", description: "Document id (defaults to the most recently loaded)" },
+      },
+      required: ["page"],
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        docId: { type: "string" },
+        page: { type: "integer" },
+        tables: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              columns: { type: "integer" },
+              rows: { type: "array", items: { type: "array", items: { type: "string" } } },
+            },
+            required: ["columns", "rows"],
+          },
+        },
+      },
+      required: ["docId", "page", "tables"],
+    },
+  },
+  {
+    name: "search_pdf",
+    description: "Rank passages of loaded PDFs against a query (BM25); results carry page numbers for citation",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "What to look for" },
+        docId: { type: "string", description: "Document id (defaults to the most recently loaded)" },
+        allDocuments: { type: "boolean", description: "Search every loaded PDF instead of one" },
+        k: { type: "number", description: "Max passages to return (default 5)" },
+      },
+      required: ["query"],
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string" },
+        results: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              docId: { type: "string" },
+              page: { type: "integer" },
+              index: { type: "integer" },
+              text: { type: "string" },
+              score: { type: "number" },
+            },
+            required: ["docId", "page", "text", "score"],
+          },
+        },
+      },
+      required: ["query", "results"],
+    },
+  },
+];
+
+// ---------- Resources ----------
+// pdf://<docId> describes a loaded document; pdf://<docId>/page/<n> is the text of one page
+
+const resourceTemplates = [
+  { uriTemplate: "pdf://{docId}/page/{page}", name: "PDF page", description: "Extracted text of one page of a loaded PDF", mimeType: "text/plain" },
+];
+
+function listResources() {
+  return [...documents.values()].flatMap(d => [
+    { uri: `pdf://${d.id}`, name: `${path.basename(d.source)} (${d.id})`, description: `${d.pageCount} pages from ${d.source}`, mimeType: "application/json" },
+    ...d.pages.map((_, i) => ({ uri: `pdf://${d.id}/page/${i + 1}`, name: `${d.id} page ${i + 1}`, mimeType: "text/plain" })),
+  ]);
+}
+
+async function readResource(uri) {
+  const m = /^pdf:\/\/([^/]+)(?:\/page\/(\d+))?$/.exec(uri);
+  if (!m) throw new McpError(ErrorCode.InvalidParams, `Not a pdf-reader resource: ${uri}`);
+  const doc = documents.get(m[1]);
+  if (!doc) throw new McpError(ErrorCode.InvalidParams, `Unknown docId: ${m[1]}`);
+  if (!m[2]) {
+    const outline = await outlineTree(doc.pdf, await doc.pdf.getOutline());
+    const info = { docId: doc.id, source: doc.source, pages: doc.pageCount, loadedAt: doc.loadedAt, outline };
+    return { uri, mimeType: "application/json", text: JSON.stringify(info) };
+  }
+  const page = Number(m[2]);
+  if (page < 1 || page > doc.pageCount) throw new McpError(ErrorCode.InvalidParams, `Page out of range (1..${doc.pageCount})`);
+  return { uri, mimeType: "text/plain", text: doc.pages[page - 1] || "" };
+}
+
+// Every connected session hears about loads and unloads
+const liveServers = new Set();
+function notifyResourcesChanged() {
+  for (const s of liveServers) s.sendResourceListChanged().catch(() => {});
+}
+
+// ---------- Prompts ----------
+
+const PROMPT_TEXT_LIMIT = 24000;
+
+const prompts = [
+  {
+    name: "summarize_pdf",
+    description: "Summarize a loaded PDF, optionally focusing on one aspect",
+    arguments: [
+      { name: "docId", description: "Document id (defaults to the most recently loaded)", required: false },
+      { name: "focus", description: "What the summary should concentrate on, e.g. 'methods' or 'risks'", required: false },
+    ],
+  },
+  {
+    name: "answer_from_pdf",
+    description: "Answer a question from the best-matching passages of a loaded PDF, citing pages",
+    arguments: [
+      { name: "question", description: "The question to answer", required: true },
+      { name: "docId", description: "Only search this document (defaults to the most recently loaded)", required: false },
+    ],
+  },
+];
+
+function userMessage(text) {
+  return { role: "user", content: { type: "text", text } };
+}
+
+function getPrompt(name, args = {}) {
+  if (name === "summarize_pdf") {
+    const doc = resolveDoc(args.docId);
+    let text = doc.pages.map((p, i) => `[Page ${i + 1}]\n${p}`).join("\n\n");
+    const truncated = text.length > PROMPT_TEXT_LIMIT;
+    if (truncated) text = text.slice(0, PROMPT_TEXT_LIMIT);
+    const instructions = [
+      `Summarize the PDF "${doc.source}" (${doc.id}, ${doc.pageCount} pages).`,
+      args.focus ? `Concentrate on: ${args.focus}.` : "Cover its purpose, main points and conclusions.",
+      "Use short sections with bullet points and cite page numbers like (p.2).",
+    ];
+    if (truncated) instructions.push(`The text below stops early; use extract_text or search_pdf with docId "${doc.id}" for later pages.`);
+    return {
+      description: `Summary of ${doc.source}`,
+      messages: [userMessage([...instructions, "", text].join("\n"))],
+    };
+  }
+
+  if (name === "answer_from_pdf") {
+    if (!args.question) throw new McpError(ErrorCode.InvalidParams, "answer_from_pdf needs a question");
+    const doc = resolveDoc(args.docId);
+    const hits = searchIndex(doc.index, args.question, { k: 6 });
+    if (!hits.length) throw new McpError(ErrorCode.InvalidParams, "No passages in the loaded PDF match that question.");
+    // Present passages in reading order so the model sees them in context
+    const context = hits
+      .sort((x, y) => x.page - y.page || x.index - y.index)
+      .map(h => `[Page ${h.page}]\n${h.text}`)
+      .join("\n\n");
+    return {
+      description: `Answer from ${doc.source}`,
+      messages: [userMessage([
+        "Answer based ONLY on the PDF excerpts below. Cite the page numbers like (p.2).",
+        "If the excerpts don't contain the answer, say so.",
+        "",
+        `Question: ${args.question}`,
+        "",
+        "PDF Excerpts:",
+        context,
+      ].join("\n"))],
+    };
+  }
+
+  throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+}
+
+async function handleCall(req) {
+  const { name, arguments: args } = req.params ?? {};
+
+  if (name === "load_pdf") {
+    const schema = z.object({ target: z.string().min(1) });
+    const { target } = schema.parse(args ?? {});
+    const { docId, pageCount } = await loadPdfToMemory(target);
+    notifyResourcesChanged();
+    return { ok: true, docId, pages: pageCount, source: target };
+  }
+
+  if (name === "list_documents") {
+    const docs = [...documents.values()].map(d => ({
+      docId: d.id,
+      source: d.source,
+      pages: d.pageCount,
+      loadedAt: d.loadedAt,
+      active: d.id === activeDocId,
+    }));
+    return { documents: docs };
+  }
+
+  if (name === "unload_document") {
+    const schema = z.object({ docId: z.string().min(1) });
+    const { docId } = schema.parse(args ?? {});
+    const doc = resolveDoc(docId);
+    documents.delete(doc.id);
+    await doc.pdf.destroy();
+    notifyResourcesChanged();
+    // Fall back to the newest remaining document
+    if (activeDocId === doc.id) activeDocId = [...documents.keys()].pop() ?? "";
+    return { ok: true, docId: doc.id, activeDocId: activeDocId || null };
+  }
+
+  if (name === "page_count") {
+    const schema = z.object({ docId: z.string().optional() });
+    const { docId } = schema.parse(args ?? {});
+    const doc = resolveDoc(docId);
+    return { docId: doc.id, pages: doc.pageCount };
+  }
+
+  if (name === "extract_text") {
+    const schema = z.object({ page: z.number().int().min(1), docId: z.string().optional() });
+    const { page, docId } = schema.parse(args ?? {});
+    const doc = resolveDoc(docId);
+    if (page > doc.pageCount) throw new ToolError("validation", `Page out of range (1..${doc.pageCount})`, { hint: "Pages are 1-based; page_count gives the total." });
+    const text = doc.pages[page - 1] || "";
+    return { docId: doc.id, page, text };
+  }
+
+  if (name === "pdf_metadata") {
+    const schema = z.object({ docId: z.string().optional() });
+    const { docId } = schema.parse(args ?? {});
+    const doc = resolveDoc(docId);
+    const { info, metadata } = await doc.pdf.getMetadata();
+    const xmp = metadata ? Object.fromEntries(metadata) : {};
+    return { docId: doc.id, pages: doc.pageCount, info, metadata: xmp };
+  }
+
+  if (name === "pdf_outline") {
+    const schema = z.object({ docId: z.string().optional() });
+    const { docId } = schema.parse(args ?? {});
+    const doc = resolveDoc(docId);
+    const outline = await outlineTree(doc.pdf, await doc.pdf.getOutline());
+    return { docId: doc.id, outline };
+  }
+
+  if (name === "extract_tables") {
+    const schema = z.object({ page: z.number().int().min(1), docId: z.string().optional() });
+    const { page, docId } = schema.parse(args ?? {});
+    const doc = resolveDoc(docId);
+    if (page > doc.pageCount) throw new ToolError("validation", `Page out of range (1..${doc.pageCount})`, { hint: "Pages are 1-based; page_count gives the total." });
+    const content = await (await doc.pdf.getPage(page)).getTextContent();
+    const tables = detectTables(groupLines(content.items));
+    return { docId: doc.id, page, tables };
+  }
+
+  if (name === "search_pdf") {
+    const schema = z.object({
+      query: z.string().min(1),
+      docId: z.string().optional(),
+      allDocuments: z.boolean().optional(),
+      k: z.number().int().min(1).max(20).optional(),
+    });
+    const { query, docId, allDocuments = false, k = 5 } = schema.parse(args ?? {});
+    const docs = allDocuments ? [...documents.values()] : [resolveDoc(docId)];
+    if (!docs.length) throw new ToolError("not_found", "No PDF loaded", { hint: "Call load_pdf first." });
+    const results = docs
+      .flatMap(d => searchIndex(d.index, query, { k }).map(r => ({ docId: d.id, ...r })))
+      .sort((x, y) => y.score - x.score)
+      .slice(0, k);
+    return { query, results };
+  }
+
+  throw unknownTool(name);
+}
+
+export function createServer() {
+  const server = new Server(
+    { name: "pdf-reader-mcp", version: "0.1.0", description: "Loads PDFs and exposes simple per-page text extraction" },
+    { capabilities: { tools: {}, resources: { listChanged: true }, prompts: {} } }
+  );
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools }));
+  server.setRequestHandler(CallToolRequestSchema, toolHandler(handleCall));
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({ resources: listResources() }));
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates }));
+  server.setRequestHandler(ReadResourceRequestSchema, async (req) => ({ contents: [await readResource(req.params.uri)] }));
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts }));
+  server.setRequestHandler(GetPromptRequestSchema, async (req) => getPrompt(req.params.name, req.params.arguments));
+  liveServers.add(server);
+  server.onclose = () => liveServers.delete(server);
+  return server;
+}
@@ -0,0 +1,142 @@
+// Response cache shared by the MCP servers: in-memory LRU with TTLs and an optional on-disk store.
+//
+// Keys are built from a namespace (usually the tool name) plus normalized arguments, so
+// { q: " cats ", num: 5 } and { num: 5, q: "cats" } hit the same entry.
+// MCP_CACHE=off disables caching; MCP_CACHE_DIR turns on the disk store.
+
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+
+// Sorted keys, no undefined/null, trimmed and whitespace-collapsed strings
+export function normalize(value) {
+  if (typeof value === "string") return value.trim().replace(/\s+/g, " ");
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const key of Object.keys(value).sort()) {
+      if (value[key] === undefined || value[key] === null) continue;
+      out[key] = normalize(value[key]);
+    }
+    return out;
+  }
+  return value;
+}
+
+export function cacheKey(namespace, args = {}) {
+  return `${namespace}:${JSON.stringify(normalize(args))}`;
+}
+
+/**
+ * @param {{ name: string, max?: number, dir?: string, enabled?: boolean }} opts
+ *   `dir` defaults to $MCP_CACHE_DIR/<name>; entries there survive restarts.
+ */
+export function createCache({ name, max = 200, dir, enabled = process.env.MCP_CACHE !== "off" }) {
+  const memory = new Map(); // insertion order doubles as LRU order
+  const diskDir = dir || (process.env.MCP_CACHE_DIR ? path.resolve(process.env.MCP_CACHE_DIR, name) : null);
+  const stats = { hits: 0, misses: 0 };
+  const inflight = new Map();
+
+  const diskFile = key => path.join(diskDir, `${crypto.createHash("sha256").update(key).digest("hex")}.json`);
+
+  function readDisk(key) {
+    if (!diskDir) return undefined;
+    try {
+      const entry = JSON.parse(fs.readFileSync(diskFile(key), "utf8"));
+      return entry.key === key ? entry : undefined;
+    } catch {
+      return undefined;
+    }
+  }
+
+  function remember(key, entry) {
+    memory.delete(key);
+    memory.set(key, entry);
+    while (memory.size > max) memory.delete(memory.keys().next().value);
+  }
+
+  function get(key) {
+    if (!enabled) return undefined;
+    let entry = memory.get(key);
+    if (!entry) {
+      entry = readDisk(key);
+      if (entry) remember(key, entry);
+    }
+    if (!entry) {
+      stats.misses++;
+      return undefined;
+    }
+    if (entry.expires <= Date.now()) {
+      remove(key);
+      stats.misses++;
+      return undefined;
+    }
+    remember(key, entry); // refresh LRU position
+    stats.hits++;
+    return entry.value;
+  }
+
+  function set(key, value, ttlMs) {
+    if (!enabled || !(ttlMs > 0)) return;
+    const entry = { key, expires: Date.now() + ttlMs, value };
+    remember(key, entry);
+    if (diskDir) {
+      try {
+        fs.mkdirSync(diskDir, { recursive: true });
+        fs.writeFileSync(diskFile(key), JSON.stringify(entry));
+      } catch (e) {
+        console.error(`[cache:${name}] disk write failed: ${e.message}`);
+      }
+    }
+  }
+
+  function remove(key) {
+    memory.delete(key);
+    if (diskDir) fs.rmSync(diskFile(key), { force: true });
+  }
+
+  /** Drop every entry whose key starts with `prefix` (e.g. "calendar_list_events:"). */
+  function invalidate(prefix) {
+    for (const key of [...memory.keys()]) if (key.startsWith(prefix)) remove(key);
+    if (!diskDir || !fs.existsSync(diskDir)) return;
+    for (const file of fs.readdirSync(diskDir)) {
+      const full = path.join(diskDir, file);
+      try {
+        if (JSON.parse(fs.readFileSync(full, "utf8")).key.startsWith(prefix)) fs.rmSync(full, { force: true });
+      } catch {
+        fs.rmSync(full, { force: true });
+      }
+    }
+  }
+
+  /**
+   * Return the cached value for (namespace, args) or compute, store and return it.
+   * Concurrent misses for the same key share one upstream call.
+   */
+  async function wrap(namespace, args, ttlMs, compute) {
+    const key = cacheKey(namespace, args);
+    const cached = get(key);
+    if (cached !== undefined) return cached;
+    if (inflight.has(key)) return inflight.get(key);
+    const p = (async () => {
+      try {
+        const value = await compute();
+        set(key, value, ttlMs);
+        return value;
+      } finally {
+        inflight.delete(key);
+      }
+    })();
+    inflight.set(key, p);
+    return p;
+  }
+
+  return { get, set, remove, invalidate, wrap, stats: () => ({ ...stats, size: memory.size, disk: diskDir }) };
+}
+
+/** TTL in ms for a tool: MCP_CACHE_TTL_<TOOL> (seconds) overrides the default. */
+export function ttlFor(tool, defaultSeconds) {
+  const raw = process.env[`MCP_CACHE_TTL_${tool.toUpperCase()}`];
+  const seconds = raw === undefined || raw === "" ? defaultSeconds : Number(raw);
+  return Number.isFinite(seconds) ? seconds * 1000 : defaultSeconds * 1000;
+}
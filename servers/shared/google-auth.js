@@ -0,0 +1,294 @@
+// Google OAuth for the stdio MCP servers: cached tokens, refresh persistence and non-blocking login.
+//
+// A tool call never waits for the user to log in. When consent is needed the call returns an
+// `auth_required` result with the consent URL, and a loopback listener finishes the login in the
+// background. On machines without a browser (SSH), the user opens the URL elsewhere and pastes the
+// redirect URL (or just its `code`) into the `<service>_auth_submit_code` tool. Google's device flow
+// is not an option here because it does not allow Gmail scopes.
+
+import { google } from "googleapis";
+import http from "node:http";
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import open from "open";
+import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+import { ToolError } from "./result.js";
+
+const DEFAULT_REDIRECT = "http://127.0.0.1:53682/oauth2callback";
+const LOGIN_TTL_MS = 10 * 60 * 1000;
+
+// outputSchema of the <service>_auth_status and <service>_auth_submit_code tools
+export const authStatusSchema = {
+  type: "object",
+  properties: {
+    service: { type: "string" },
+    authenticated: { type: "boolean" },
+    hasRefreshToken: { type: "boolean" },
+    accessTokenExpires: { type: ["string", "null"] },
+    grantedScopes: { type: "array", items: { type: "string" } },
+    missingScopes: { type: "array", items: { type: "string" } },
+    tokenPath: { type: "string" },
+    loginMode: { type: "string", enum: ["browser", "manual"] },
+    pendingLogin: {
+      type: ["object", "null"],
+      properties: {
+        url: { type: "string" },
+        scopes: { type: "array", items: { type: "string" } },
+        expiresAt: { type: "string" },
+        instructions: { type: "string" },
+      },
+    },
+  },
+  required: ["service", "authenticated", "missingScopes", "pendingLogin"],
+};
+
+export class AuthRequiredError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "AuthRequiredError";
+    this.code = "auth_required";
+    this.details = details;
+  }
+}
+
+// Refresh failures surface as gaxios errors whose body is { error: "invalid_grant" }
+export function isInvalidGrant(e) {
+  return e?.response?.data?.error === "invalid_grant" || /invalid_grant/.test(e?.message || "");
+}
+
+// "browser" opens the consent page; "manual" only prints it (SSH sessions, containers)
+function loginMode() {
+  const mode = (process.env.GOOGLE_AUTH_MODE || "").toLowerCase();
+  if (mode === "browser" || mode === "manual") return mode;
+  if (process.env.SSH_CONNECTION) return "manual";
+  if (process.platform === "linux" && !process.env.DISPLAY && !process.env.WAYLAND_DISPLAY) return "manual";
+  return "browser";
+}
+
+/**
+ * OAuth state for one service (one token file).
+ * @param {{ service: string, tokenPath: string, scopes: string[] }} opts
+ */
+export function createGoogleAuth({ service, tokenPath, scopes }) {
+  const file = path.resolve(tokenPath);
+  let oauth2 = null;
+  let pending = null; // { url, state, scopes, server, expiresAt, timer }
+
+  function client() {
+    if (oauth2) return oauth2;
+    const clientId = process.env.GOOGLE_CLIENT_ID || "";
+    const clientSecret = process.env.GOOGLE_CLIENT_SECRET || "";
+    const redirectUri = process.env.GOOGLE_REDIRECT_URI || DEFAULT_REDIRECT;
+    if (!clientId || !clientSecret) {
+      throw new ToolError("auth_required", "Missing GOOGLE_CLIENT_ID or GOOGLE_CLIENT_SECRET in environment", {
+        hint: "Create an OAuth client in Google Cloud Console and put its id and secret in .env.",
+      });
+    }
+    oauth2 = new google.auth.OAuth2(clientId, clientSecret, redirectUri);
+    // Refresh responses omit refresh_token and scope, so merge instead of overwriting
+    oauth2.on("tokens", tokens => save({ ...readTokens(), ...tokens }));
+    const cached = readTokens();
+    if (cached) oauth2.setCredentials(cached);
+    return oauth2;
+  }
+
+  function readTokens() {
+    if (!fs.existsSync(file)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch {
+      return null;
+    }
+  }
+
+  function save(tokens) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(tokens, null, 2), { encoding: "utf8", mode: 0o600 });
+  }
+
+  function forget() {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+    oauth2?.setCredentials({});
+  }
+
+  function grantedScopes() {
+    return (readTokens()?.scope || "").split(/\s+/).filter(Boolean);
+  }
+
+  function missingScopes(wanted = scopes) {
+    const granted = new Set(grantedScopes());
+    return wanted.filter(s => !granted.has(s));
+  }
+
+  function stopPending() {
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    pending.server?.close();
+    pending = null;
+  }
+
+  async function finish(code) {
+    const o = client();
+    const { tokens } = await o.getToken(code);
+    // Keep the old refresh token if Google did not send a new one (incremental consent)
+    const merged = { ...readTokens(), ...tokens };
+    o.setCredentials(merged);
+    save(merged);
+    stopPending();
+    console.error(`[${service}] Google auth complete; tokens saved to ${file}`);
+  }
+
+  // Loopback listener for the redirect; failures (e.g. port taken by the other server) leave paste-only login
+  function listen(o, state) {
+    const redirect = new URL(o.redirectUri);
+    if (!["127.0.0.1", "localhost"].includes(redirect.hostname)) return null;
+    const server = http.createServer(async (req, res) => {
+      const u = new URL(req.url || "/", redirect.origin);
+      if (u.pathname !== redirect.pathname) {
+        res.writeHead(404).end();
+        return;
+      }
+      try {
+        if (u.searchParams.get("state") !== state) throw new Error("State mismatch");
+        const code = u.searchParams.get("code");
+        if (!code) throw new Error(u.searchParams.get("error") || "No code in callback");
+        await finish(code);
+        res.writeHead(200, { "Content-Type": "text/plain" });
+        res.end(`${service} auth complete. You can close this tab.`);
+      } catch (e) {
+        console.error(`[${service}] OAuth callback error:`, e?.response?.data || e);
+        res.writeHead(500, { "Content-Type": "text/plain" });
+        res.end("Auth error. Check the server log.");
+      }
+    });
+    server.on("error", e => console.error(`[${service}] OAuth listener not started (${e.code || e.message}); paste the code instead`));
+    server.listen(Number(redirect.port || 80), redirect.hostname);
+    return server;
+  }
+
+  /** Start (or reuse) a consent flow for `wanted` scopes and describe how to finish it. */
+  function startLogin(wanted = scopes) {
+    const o = client();
+    if (pending && pending.expiresAt > Date.now() && wanted.every(s => pending.scopes.includes(s))) return describe();
+    stopPending();
+
+    const state = crypto.randomBytes(16).toString("hex");
+    const url = o.generateAuthUrl({
+      access_type: "offline",
+      scope: wanted,
+      include_granted_scopes: true,
+      // Only force the consent screen when we have no refresh token to keep
+      prompt: readTokens()?.refresh_token ? undefined : "consent",
+      state,
+    });
+    pending = { url, state, scopes: wanted, server: listen(o, state), expiresAt: Date.now() + LOGIN_TTL_MS };
+    pending.timer = setTimeout(stopPending, LOGIN_TTL_MS);
+    pending.timer.unref();
+
+    const mode = loginMode();
+    if (mode === "browser") open(url).catch(() => {});
+    console.error(`[${service}] Google consent needed: ${url}`);
+    return describe();
+  }
+
+  function describe() {
+    if (!pending) return null;
+    return {
+      url: pending.url,
+      scopes: pending.scopes,
+      expiresAt: new Date(pending.expiresAt).toISOString(),
+      instructions:
+        loginMode() === "browser"
+          ? "Finish the Google consent page that just opened. If nothing opened, open the URL yourself."
+          : `Open the URL in any browser and approve. If the final page fails to load, copy its full address (it contains ?code=...) and pass it to ${service}_auth_submit_code.`,
+    };
+  }
+
+  /**
+   * Authorized OAuth2 client, or AuthRequiredError with a consent URL.
+   * Never blocks waiting for the user.
+   */
+  function getClient(wanted = scopes) {
+    const o = client();
+    const tokens = readTokens();
+    const missing = missingScopes(wanted);
+    if (tokens?.refresh_token || tokens?.access_token) {
+      // Old token files may lack `scope`; trust them until Google says otherwise
+      if (!tokens.scope || !missing.length) return o;
+    }
+    const login = startLogin(tokens?.scope ? missing : wanted);
+    throw new AuthRequiredError(`${service} needs Google authorization`, login);
+  }
+
+  /** Exchange a pasted redirect URL or bare authorization code for tokens. */
+  async function submitCode(input) {
+    let code = input.trim();
+    if (/^https?:\/\//.test(code)) {
+      const u = new URL(code);
+      if (pending && u.searchParams.get("state") && u.searchParams.get("state") !== pending.state) {
+        throw new ToolError("validation", "This URL belongs to an older login attempt", { hint: "Open the latest consent URL and paste its redirect instead." });
+      }
+      code = u.searchParams.get("code") || "";
+    }
+    if (!code) throw new ToolError("validation", "No authorization code found", { hint: "Paste the full redirect URL (it contains ?code=...) or the bare code." });
+    await finish(code);
+    return status();
+  }
+
+  function status() {
+    const tokens = readTokens();
+    return {
+      service,
+      authenticated: Boolean(tokens?.refresh_token || tokens?.access_token),
+      hasRefreshToken: Boolean(tokens?.refresh_token),
+      accessTokenExpires: tokens?.expiry_date ? new Date(tokens.expiry_date).toISOString() : null,
+      grantedScopes: grantedScopes(),
+      missingScopes: tokens ? missingScopes() : scopes,
+      tokenPath: file,
+      loginMode: loginMode(),
+      pendingLogin: describe(),
+    };
+  }
+
+  // Run `handler`, turning missing or revoked credentials into `report(AuthRequiredError)`
+  function catchAuth(handler, report) {
+    return async (...args) => {
+      try {
+        return await handler(...args);
+      } catch (e) {
+        if (e instanceof AuthRequiredError) return report(e);
+        if (isInvalidGrant(e)) {
+          // Refresh token expired or was revoked: drop it and start over
+          console.error(`[${service}] Stored Google token rejected (invalid_grant); re-consent required`);
+          forget();
+          return report(new AuthRequiredError(`${service} authorization expired or was revoked`, startLogin(scopes)));
+        }
+        throw e;
+      }
+    };
+  }
+
+  /**
+   * Wrap a CallTool handler so missing or revoked credentials become an
+   * `auth_required` ToolError (consent URL included) instead of a hung request.
+   */
+  function guard(handler) {
+    return catchAuth(handler, (e) => {
+      throw new ToolError("auth_required", e.message, { hint: e.details?.instructions, service, ...e.details });
+    });
+  }
+
+  /**
+   * Same for resources/read and prompts/get, which can only fail with a JSON-RPC
+   * error; the SDK forwards just code and message, so the URL goes in the message.
+   */
+  function guardRequest(handler) {
+    return catchAuth(handler, (e) => {
+      const { instructions, url } = e.details;
+      throw new McpError(ErrorCode.InvalidRequest, [`${e.message}.`, instructions, url].filter(Boolean).join("\n"));
+    });
+  }
+
+  return { getClient, startLogin, submitCode, status, forget, guard, guardRequest };
+}
@@ -0,0 +1,108 @@
+// Client-side rate limiting and retry for upstream APIs (Google, SerpAPI, search backends).
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token bucket: `ratePerSec` tokens refill continuously up to `burst`.
+ * `take()` resolves once a token is available, so callers queue instead of failing.
+ */
+export function createRateLimiter({ ratePerSec = 5, burst = ratePerSec } = {}) {
+  let tokens = burst;
+  let last = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - last) / 1000) * ratePerSec);
+    last = now;
+  }
+
+  // Chain waiters so tokens are handed out in call order
+  function take() {
+    const turn = queue.then(async () => {
+      refill();
+      if (tokens < 1) {
+        await sleep(((1 - tokens) / ratePerSec) * 1000);
+        refill();
+      }
+      tokens -= 1;
+    });
+    queue = turn.catch(() => {});
+    return turn;
+  }
+
+  return { take };
+}
+
+/** HTTP status from a gaxios (googleapis) error, an HttpError or a fetch Response. */
+export function errorStatus(e) {
+  const status = e?.status ?? e?.response?.status ?? e?.code;
+  return typeof status === "number" ? status : Number(status) || undefined;
+}
+
+/**
+ * 429 and Google's 403 rateLimitExceeded mean the request was not processed, so
+ * they are always safe to retry. 5xx and network errors may have happened after
+ * the write landed, so they are only retried for idempotent calls.
+ */
+export function isRetryable(e, { idempotent = true } = {}) {
+  const status = errorStatus(e);
+  if (status === 429) return true;
+  // Google reports per-user quota bursts as 403 rateLimitExceeded / userRateLimitExceeded
+  const reason = e?.response?.data?.error?.errors?.[0]?.reason || e?.errors?.[0]?.reason;
+  if (status === 403 && /rateLimitExceeded/i.test(reason || "")) return true;
+  if (!idempotent) return false;
+  if (status !== undefined && status >= 500 && status < 600) return true;
+  return ["ECONNRESET", "ETIMEDOUT", "EAI_AGAIN", "ECONNREFUSED"].includes(e?.code) || e?.name === "TimeoutError";
+}
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(e) {
+  const header = e?.response?.headers?.["retry-after"] ?? e?.headers?.get?.("retry-after") ?? e?.retryAfter;
+  if (header === undefined || header === null) return undefined;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const at = Date.parse(header);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : undefined;
+}
+
+/**
+ * Run `fn`, retrying retryable failures with exponential backoff and full jitter.
+ * A Retry-After header from the server wins over the computed delay.
+ */
+export async function withRetry(fn, { retries = 4, baseMs = 500, maxMs = 10000, label = "request", idempotent = true } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (attempt >= retries || !isRetryable(e, { idempotent })) throw e;
+      const backoff = Math.random() * Math.min(maxMs, baseMs * 2 ** attempt);
+      const delay = Math.min(maxMs, retryAfterMs(e) ?? backoff);
+      console.error(`[retry] ${label} failed (${errorStatus(e) ?? e?.code ?? e?.message}); attempt ${attempt + 2}/${retries + 1} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Limiter plus retry in one: `run(() => api.call(...), "label")` waits for a
+ * token before every attempt and retries on 429/5xx. Pass `{ idempotent: false }`
+ * for creates and sends so a 5xx never produces a duplicate.
+ */
+export function createThrottle({ ratePerSec, burst, ...retry } = {}) {
+  const limiter = createRateLimiter({ ratePerSec, burst });
+  return (fn, label, opts = {}) => withRetry(async () => {
+    await limiter.take();
+    return fn();
+  }, { ...retry, ...opts, label });
+}
+
+/** Error carrying the HTTP status (and headers) of a failed fetch, so withRetry can classify it. */
+export class HttpError extends Error {
+  constructor(message, { status, headers } = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.headers = headers;
+  }
+}
@@ -0,0 +1,90 @@
+// Tool results shared by every server: a success carries the data both as text and as
+// `structuredContent` (checked against the tool's outputSchema); a failure is an
+// `isError` result with one JSON envelope: { error: <code>, message, hint, retryable, ...details }.
+
+import { ZodError } from "zod";
+import { errorStatus, isRetryable } from "./rate-limit.js";
+
+/**
+ * validation     — the arguments are wrong; fix them and call again
+ * auth_required  — credentials are missing or were revoked
+ * not_found      — the tool, id, file or page does not exist
+ * rate_limited   — the upstream API is throttling; wait and retry
+ * upstream_error — the upstream API or network failed
+ * internal_error — anything else (a bug in the server)
+ */
+export const ERROR_CODES = ["validation", "auth_required", "not_found", "rate_limited", "upstream_error", "internal_error"];
+
+const DEFAULT_HINTS = {
+  validation: "Fix the arguments (see the tool's inputSchema) and call again.",
+  auth_required: "Authorize the service, then retry.",
+  not_found: "Check the id or path; list the available items first if unsure.",
+  rate_limited: "The service is throttling requests; wait a little and retry.",
+  upstream_error: "The remote service failed; retrying later may help.",
+  internal_error: "The server hit an unexpected error; the message has the details.",
+};
+
+/** An error with a code from ERROR_CODES; extra fields end up in the envelope. */
+export class ToolError extends Error {
+  constructor(code, message, { hint, ...details } = {}) {
+    super(message);
+    this.name = "ToolError";
+    this.code = code;
+    this.hint = hint;
+    this.details = details;
+  }
+}
+
+// "to: Invalid email address; page: Number must be greater than or equal to 1"
+function describeIssues(issues) {
+  return issues.map(i => (i.path.length ? `${i.path.join(".")}: ${i.message}` : i.message)).join("; ");
+}
+
+/** Map any thrown value onto the envelope fields. */
+export function classifyError(e) {
+  if (e instanceof ToolError) return { code: e.code, message: e.message, hint: e.hint, details: e.details };
+  if (e instanceof ZodError) {
+    const issues = e.issues.map(i => ({ path: i.path.join("."), code: i.code, message: i.message }));
+    return { code: "validation", message: describeIssues(e.issues), details: { issues } };
+  }
+  const message = e instanceof Error ? e.message : String(e);
+  const status = errorStatus(e);
+  if (status === 404 || status === 410) return { code: "not_found", message, details: { status } };
+  if (status === 429 || (status === 403 && isRetryable(e, { idempotent: false }))) return { code: "rate_limited", message, details: { status } };
+  if (status !== undefined && status >= 400 && status < 600) return { code: "upstream_error", message, details: { status } };
+  if (isRetryable(e)) return { code: "upstream_error", message, details: { cause: e?.code ?? e?.name } };
+  return { code: "internal_error", message };
+}
+
+// Round-trip through JSON so both copies agree (no undefined fields, Dates as strings)
+export function toolResult(data) {
+  const text = JSON.stringify(data);
+  return { content: [{ type: "text", text }], structuredContent: JSON.parse(text) };
+}
+
+// No structuredContent here: clients validate it against the success outputSchema
+export function errorResult(e) {
+  const { code, message, hint, details } = classifyError(e);
+  const retryable = code === "rate_limited" || (code === "upstream_error" && isRetryable(e));
+  const envelope = { error: code, message, hint: hint ?? DEFAULT_HINTS[code], retryable, ...details };
+  return { content: [{ type: "text", text: JSON.stringify(envelope) }], isError: true };
+}
+
+/**
+ * Wrap a CallTool handler that returns plain data (or throws) into one that
+ * always answers with `toolResult` or `errorResult`.
+ */
+export function toolHandler(handler) {
+  return async (req) => {
+    try {
+      return toolResult(await handler(req));
+    } catch (e) {
+      if (classifyError(e).code === "internal_error") console.error(`[${req.params?.name}]`, e);
+      return errorResult(e);
+    }
+  };
+}
+
+export function unknownTool(name) {
+  return new ToolError("not_found", `Unknown tool: ${name}`, { hint: "Call tools/list to see the available tools." });
+}
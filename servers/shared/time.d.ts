@@ -0,0 +1,30 @@
+// Types for time.js so the TypeScript client can share the parser with the servers.
+
+export type LocalDate = { year: number; month: number; day: number };
+
+export type ZonedParts = LocalDate & {
+  hour: number;
+  minute: number;
+  second: number;
+  weekday: number;
+};
+
+export type ParsedWhen = {
+  start: number;
+  end: number | null;
+  allDay: boolean;
+  date?: LocalDate;
+};
+
+export function zonedParts(ms: number, timeZone: string): ZonedParts;
+export function zoneOffsetMs(ms: number, timeZone: string): number;
+export function zonedTimeToUtc(
+  t: LocalDate & { hour?: number; minute?: number; second?: number },
+  timeZone: string
+): number;
+export function toZonedISO(ms: number, timeZone: string): string;
+export function parseClock(hhmm: string): { hour: number; minute: number };
+export function parseDuration(text: string): number | null;
+export function parseWhen(input: string, opts: { timeZone: string; now?: number }): ParsedWhen;
+export function dayBounds(when: string, opts: { timeZone: string; now?: number }): { start: number; end: number };
+export function formatDate(d: LocalDate): string;
@@ -0,0 +1,287 @@
+// Time zone helpers built on Intl, shared by the servers (and the client).
+// Dates are handled as epoch milliseconds; "local" always means wall-clock time in the given IANA zone.
+
+import { addDays, addWeeks, addMonths, nextDay, getDay, parse, isValid } from "date-fns";
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  let f = formatters.get(timeZone);
+  if (!f) {
+    f = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+      weekday: "short",
+    });
+    formatters.set(timeZone, f);
+  }
+  return f;
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Wall-clock parts of an instant in a zone. `weekday` is 0 (Sunday) to 6.
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number }}
+ */
+export function zonedParts(ms, timeZone) {
+  const parts = {};
+  for (const p of formatterFor(timeZone).formatToParts(new Date(ms))) parts[p.type] = p.value;
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+// Offset of the zone from UTC at the given instant, in milliseconds
+export function zoneOffsetMs(ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Instant for a wall-clock time in a zone. Month is 1-based; out-of-range
+ * days/hours roll over like Date.UTC. Times skipped by a DST jump resolve forward.
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const a = guess - zoneOffsetMs(guess, timeZone);
+  const b = guess - zoneOffsetMs(a, timeZone);
+  if (a === b) return a;
+  // Near a DST change the two estimates differ: keep the one whose wall clock matches,
+  // and inside a spring-forward gap take the later instant.
+  const wanted = new Date(guess);
+  const matches = (ms) => {
+    const p = zonedParts(ms, timeZone);
+    return p.hour === wanted.getUTCHours() && p.minute === wanted.getUTCMinutes();
+  };
+  if (matches(b)) return b;
+  if (matches(a)) return a;
+  return Math.max(a, b);
+}
+
+// ISO 8601 string with the zone's offset, e.g. 2025-10-25T09:00:00-05:00
+export function toZonedISO(ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  const off = Math.round(zoneOffsetMs(ms, timeZone) / 60000);
+  const sign = off < 0 ? "-" : "+";
+  const pad = (n, w = 2) => String(Math.abs(n)).padStart(w, "0");
+  return `${pad(p.year, 4)}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}${sign}${pad(Math.trunc(off / 60))}:${pad(off % 60)}`;
+}
+
+// "09:30" -> { hour: 9, minute: 30 }
+export function parseClock(hhmm) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(hhmm.trim());
+  if (!m || Number(m[1]) > 24 || Number(m[2]) > 59) throw new Error(`Invalid time of day: ${hhmm} (expected HH:MM)`);
+  return { hour: Number(m[1]), minute: Number(m[2]) };
+}
+
+// ---------- Natural-language times ----------
+// Calendar arithmetic runs on plain local-noon Dates via date-fns (noon keeps DST
+// shifts of the host machine out of the way); the result is then pinned to
+// wall-clock time in the requested zone with zonedTimeToUtc.
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DATE_FORMATS = ["MMM d yyyy", "MMMM d yyyy", "MMM d", "MMMM d", "d MMM yyyy", "d MMMM yyyy", "d MMM", "d MMMM", "M/d/yyyy", "M/d"];
+
+/**
+ * "45m", "1h30m", "2 hours", "90 minutes", "1.5h" -> minutes
+ * @returns {number | null}
+ */
+export function parseDuration(text) {
+  const s = text.trim().toLowerCase();
+  if (/^\d+$/.test(s)) return Number(s);
+  let total = 0;
+  let matched = false;
+  const re = /(\d+(?:\.\d+)?)\s*(d|days?|h|hrs?|hours?|m|mins?|minutes?)(?![a-z])/g;
+  for (const m of s.matchAll(re)) {
+    matched = true;
+    const n = Number(m[1]);
+    total += m[2].startsWith("d") ? n * 1440 : m[2].startsWith("h") ? n * 60 : n;
+  }
+  return matched ? Math.round(total) : null;
+}
+
+// "3pm", "3:30 pm", "15:00", "noon" -> { hour, minute }
+function parseTimeOfDay(text) {
+  const s = text.trim().toLowerCase();
+  if (s === "noon") return { hour: 12, minute: 0 };
+  if (s === "midnight") return { hour: 0, minute: 0 };
+  const m = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a|p)?$/.exec(s);
+  if (!m) return null;
+  let hour = Number(m[1]);
+  const minute = Number(m[2] || 0);
+  const ampm = m[3]?.[0];
+  if (!ampm && m[2] === undefined) return null; // a bare number is not a time
+  if (ampm === "p" && hour < 12) hour += 12;
+  if (ampm === "a" && hour === 12) hour = 0;
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+}
+
+const TIME = String.raw`(?:noon|midnight|\d{1,2}(?::\d{2})?\s*(?:am|pm|a|p)\b|\d{1,2}:\d{2})`;
+
+function localDay(d) {
+  return { year: d.getFullYear(), month: d.getMonth() + 1, day: d.getDate() };
+}
+
+// Resolve the date part ("tomorrow", "next tue", "oct 25") relative to today in the zone.
+function parseDatePhrase(text, today) {
+  const s = text.replace(/^on\s+/, "").replace(/,/g, " ").replace(/\s+/g, " ").trim();
+  if (!s || s === "today") return today;
+  if (s === "tomorrow") return addDays(today, 1);
+  if (s === "yesterday") return addDays(today, -1);
+  if (s === "next week") return nextDay(today, 1);
+
+  let m = /^in (\d+) (day|week|month)s?$/.exec(s);
+  if (m) {
+    const n = Number(m[1]);
+    return m[2] === "day" ? addDays(today, n) : m[2] === "week" ? addWeeks(today, n) : addMonths(today, n);
+  }
+
+  m = /^(next |this )?([a-z]+)$/.exec(s);
+  const dow = m ? DAY_NAMES.findIndex(d => m[2].startsWith(d)) : -1;
+  if (m && dow >= 0 && DAY_NAMES[dow] === m[2].slice(0, 3)) {
+    // Plain or "this" weekday: the coming one, today included. "next": strictly after today.
+    if (!m[1] || m[1] === "this ") return getDay(today) === dow ? today : nextDay(today, dow);
+    return nextDay(today, dow);
+  }
+
+  m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s);
+  if (m) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]), 12);
+
+  for (const fmt of DATE_FORMATS) {
+    const d = parse(s, fmt, today);
+    if (isValid(d)) {
+      d.setHours(12, 0, 0, 0);
+      // A month/day without a year means the next such date
+      if (!/y/.test(fmt) && d < addDays(today, -1)) d.setFullYear(d.getFullYear() + 1);
+      return d;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a human time expression in a zone.
+ *
+ * Understands ISO 8601 (an ISO time without an offset is read as local time
+ * in `timeZone`), and phrases like "tomorrow 3pm", "next Tue 10:00 for 45m",
+ * "fri 2-3:30pm", "oct 25 at noon", "in 2 hours", or a bare date for all-day use.
+ *
+ * @param {string} input
+ * @param {{ timeZone: string, now?: number }} opts
+ * @returns {{ start: number, end: number | null, allDay: boolean, date?: { year: number, month: number, day: number } }}
+ */
+export function parseWhen(input, { timeZone, now = Date.now() }) {
+  let s = input.trim().toLowerCase();
+  if (!s) throw new Error("Empty time expression");
+
+  let durationMin = null;
+  const forMatch = /\s+for\s+(.+)$/.exec(s);
+  if (forMatch) {
+    durationMin = parseDuration(forMatch[1]);
+    if (durationMin === null) throw new Error(`Could not understand duration "${forMatch[1]}"`);
+    s = s.slice(0, forMatch.index).trim();
+  }
+  const withDuration = (start, end = null) => ({
+    start,
+    end: durationMin !== null ? start + durationMin * 60000 : end,
+    allDay: false,
+  });
+
+  // ISO 8601
+  const iso = /^(\d{4})-(\d{2})-(\d{2})(?:t(\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(z|[+-]\d{2}:?\d{2})?)?$/.exec(s);
+  if (iso) {
+    const date = { year: Number(iso[1]), month: Number(iso[2]), day: Number(iso[3]) };
+    if (iso[4] === undefined) return { ...allDayRange(date, timeZone, durationMin), date };
+    if (iso[7]) return withDuration(Date.parse(s));
+    return withDuration(zonedTimeToUtc({ ...date, hour: Number(iso[4]), minute: Number(iso[5]), second: Number(iso[6] || 0) }, timeZone));
+  }
+
+  const rel = /^in (\d+(?:\.\d+)?) ?(minutes?|mins?|m|hours?|hrs?|h)$/.exec(s);
+  if (rel) return withDuration(now + (parseDuration(`${rel[1]}${rel[2]}`) ?? 0) * 60000);
+
+  const p = zonedParts(now, timeZone);
+  const today = new Date(p.year, p.month - 1, p.day, 12);
+
+  // Time range like "2-3:30pm" or "10:00 to 11:00"; a trailing am/pm applies to both ends
+  // unless that would put the start after the end ("11-1pm" is 11am to 1pm)
+  let startTime = null;
+  let endTime = null;
+  let overnight = false;
+  const range = new RegExp(String.raw`(?:^|\s)(?:at\s+|from\s+)?(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)\s*(?:-|–|to|until)\s*(${TIME})(?=\s|$)`).exec(s);
+  if (range) {
+    endTime = parseTimeOfDay(range[2]);
+    const suffix = /(am|pm)$/.exec(range[2])?.[1];
+    const startMarked = /(am|pm)$/.test(range[1]);
+    startTime = parseTimeOfDay(range[1]) ?? (suffix ? parseTimeOfDay(`${range[1]}${suffix}`) : null);
+    const minutes = t => t.hour * 60 + t.minute;
+    if (startTime && endTime && suffix === "pm" && !startMarked) {
+      if (startTime.hour + 12 <= endTime.hour) startTime.hour += 12;
+      else if (minutes(startTime) > minutes(endTime)) startTime = parseTimeOfDay(`${range[1]}am`) ?? startTime;
+    }
+    // Only "10pm-1am", with both ends marked, may cross midnight
+    overnight = startMarked && Boolean(suffix);
+    if (startTime && endTime) s = (s.slice(0, range.index) + s.slice(range.index + range[0].length)).trim();
+    else startTime = endTime = null;
+  }
+  if (!startTime) {
+    const single = new RegExp(String.raw`(?:^|\s)(?:at\s+)?(${TIME})(?=\s|$)`).exec(s);
+    if (single) {
+      startTime = parseTimeOfDay(single[1]);
+      s = (s.slice(0, single.index) + s.slice(single.index + single[0].length)).trim();
+    }
+  }
+
+  const day = parseDatePhrase(s, today);
+  if (!day) throw new Error(`Could not understand time "${input}"`);
+  const date = localDay(day);
+
+  if (!startTime) return { ...allDayRange(date, timeZone, durationMin), date };
+  const start = zonedTimeToUtc({ ...date, ...startTime }, timeZone);
+  let end = endTime ? zonedTimeToUtc({ ...date, ...endTime }, timeZone) : null;
+  if (end !== null && end <= start && overnight) end += 24 * 3600 * 1000; // "10pm-1am"
+  return withDuration(start, end);
+}
+
+// All-day span; a duration like "for 3d" stretches it across several days.
+function allDayRange(date, timeZone, durationMin) {
+  const days = durationMin ? Math.max(1, Math.round(durationMin / 1440)) : 1;
+  return {
+    start: zonedTimeToUtc(date, timeZone),
+    end: zonedTimeToUtc({ ...date, day: date.day + days }, timeZone),
+    allDay: true,
+  };
+}
+
+/**
+ * Start and end (exclusive) of a local calendar day in the zone.
+ * `when` is anything parseWhen understands, e.g. "2025-10-25" or "tomorrow".
+ */
+export function dayBounds(when, { timeZone, now = Date.now() }) {
+  const parsed = parseWhen(when, { timeZone, now });
+  const date = parsed.date ?? (({ year, month, day }) => ({ year, month, day }))(zonedParts(parsed.start, timeZone));
+  return {
+    start: zonedTimeToUtc(date, timeZone),
+    end: zonedTimeToUtc({ ...date, day: date.day + 1 }, timeZone),
+  };
+}
+
+// YYYY-MM-DD for a { year, month, day } (rolling over out-of-range days)
+export function formatDate({ year, month, day }) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.toISOString().slice(0, 10);
+}
@@ -0,0 +1,160 @@
+// Start an MCP server on stdio (default) or on Streamable HTTP as a long-lived daemon.
+//
+//   node servers/gmail-mcp/index.js                 # stdio, spawned by the client
+//   node servers/gmail-mcp/index.js --http 3102     # http://127.0.0.1:3102/mcp
+//
+// HTTP settings: --http <port>, --host <addr> or MCP_HTTP_HOST (default 127.0.0.1),
+// MCP_HTTP_TOKEN, which clients must send as "Authorization: Bearer <token>", and
+// MCP_HTTP_IDLE_MINUTES (default 30), after which an unused session is closed.
+// Binding beyond loopback requires a token. Only the flag turns HTTP on: stdio
+// children inherit the client's environment, so a variable would switch them all.
+
+import http from "node:http";
+import { randomUUID, timingSafeEqual } from "node:crypto";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+
+const LOOPBACK = new Set(["127.0.0.1", "::1", "localhost"]);
+
+function flag(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  if (i >= 0) return process.argv[i + 1];
+  return process.argv.find(a => a.startsWith(`--${name}=`))?.split("=")[1];
+}
+
+export function httpOptions() {
+  const port = flag("http");
+  if (!port) return null;
+  return {
+    port: Number(port),
+    host: flag("host") ?? process.env.MCP_HTTP_HOST ?? "127.0.0.1",
+    token: process.env.MCP_HTTP_TOKEN || "",
+    idleMinutes: Number(process.env.MCP_HTTP_IDLE_MINUTES) || 30,
+  };
+}
+
+function authorized(req, token) {
+  if (!token) return true;
+  const given = Buffer.from(/^Bearer\s+(.+)$/i.exec(req.headers.authorization || "")?.[1] ?? "");
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+function sendError(res, status, message) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify({ jsonrpc: "2.0", error: { code: -32000, message }, id: null }));
+}
+
+/**
+ * Open HTTP sessions by id. A client that goes away without ending its session
+ * would keep its transport and Server forever, so `closeIdle` closes sessions
+ * with no request in flight and none for `idleMs`.
+ */
+export function createSessions({ idleMs, now = Date.now }) {
+  const sessions = new Map(); // id -> { transport, lastSeen, active }
+
+  return {
+    get: id => sessions.get(id)?.transport,
+    add(id, transport) {
+      sessions.set(id, { transport, lastSeen: now(), active: 0 });
+    },
+    delete: id => sessions.delete(id),
+    get size() {
+      return sessions.size;
+    },
+    // Call when a request for the session starts; the returned function when it ends
+    track(id) {
+      const s = sessions.get(id);
+      if (!s) return () => {};
+      s.active++;
+      s.lastSeen = now();
+      return () => {
+        s.active--;
+        s.lastSeen = now();
+      };
+    },
+    async closeIdle() {
+      const cutoff = now() - idleMs;
+      const stale = [...sessions].filter(([, s]) => s.active === 0 && s.lastSeen <= cutoff);
+      for (const [id] of stale) sessions.delete(id);
+      await Promise.allSettled(stale.map(([, s]) => s.transport.close()));
+      return stale.length;
+    },
+    async closeAll() {
+      const all = [...sessions.values()];
+      sessions.clear();
+      await Promise.allSettled(all.map(s => s.transport.close()));
+    },
+  };
+}
+
+/**
+ * Each HTTP session gets its own Server from `createServer()` (a Server binds to
+ * one transport); documents, tokens and caches live at module level, so every
+ * session sees the same state.
+ */
+async function serveHttp(createServer, name, { port, host, token, idleMinutes }) {
+  if (!token && !LOOPBACK.has(host)) {
+    throw new Error(`Refusing to listen on ${host} without MCP_HTTP_TOKEN`);
+  }
+  const idleMs = idleMinutes * 60000;
+  const sessions = createSessions({ idleMs });
+  const allowedHosts = LOOPBACK.has(host) ? [...LOOPBACK].map(h => `${h.includes(":") ? `[${h}]` : h}:${port}`) : undefined;
+
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      if (new URL(req.url, "http://localhost").pathname !== "/mcp") return sendError(res, 404, "Not found; the endpoint is /mcp");
+      if (!authorized(req, token)) return sendError(res, 401, "Missing or invalid bearer token");
+
+      const sessionId = req.headers["mcp-session-id"];
+      let transport = sessionId ? sessions.get(sessionId) : undefined;
+      if (sessionId && !transport) return sendError(res, 404, "Unknown or expired session");
+      if (!transport) {
+        if (req.method !== "POST") return sendError(res, 400, "Start a session with an initialize request");
+        transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: id => sessions.add(id, transport),
+          enableDnsRebindingProtection: Boolean(allowedHosts),
+          allowedHosts,
+        });
+        transport.onclose = () => {
+          if (transport.sessionId) sessions.delete(transport.sessionId);
+        };
+        await createServer().connect(transport);
+      }
+      // GET streams stay open for as long as the client listens; that counts as use
+      if (sessionId) res.once("close", sessions.track(sessionId));
+      await transport.handleRequest(req, res);
+    } catch (e) {
+      console.error(`[${name}] request failed:`, e);
+      if (!res.headersSent) sendError(res, 500, "Internal server error");
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, resolve);
+  });
+  console.error(`[${name}] listening on http://${host.includes(":") ? `[${host}]` : host}:${port}/mcp${token ? " (bearer token required)" : ""}`);
+
+  const sweep = setInterval(async () => {
+    const closed = await sessions.closeIdle();
+    if (closed) console.error(`[${name}] closed ${closed} idle session${closed === 1 ? "" : "s"}`);
+  }, Math.min(idleMs, 60000));
+  sweep.unref();
+
+  const shutdown = async () => {
+    clearInterval(sweep);
+    await sessions.closeAll();
+    httpServer.close(() => process.exit(0));
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+}
+
+/** Connect `createServer()` to stdio, or serve it over HTTP when a port is configured. */
+export async function serve(createServer, name) {
+  const opts = httpOptions();
+  if (opts) return serveHttp(createServer, name, opts);
+  await createServer().connect(new StdioServerTransport());
+}
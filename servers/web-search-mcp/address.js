@@ -0,0 +1,57 @@
+// fetch_url runs without asking (it is read-only), so the URLs an LLM picks must not reach
+// this machine, the local network or a cloud metadata endpoint. Checked on every redirect hop.
+
+import dns from "node:dns";
+import net from "node:net";
+import { ToolError } from "../shared/result.js";
+
+const blocked = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], // "this network"
+  ["10.0.0.0", 8], // RFC 1918
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local, incl. 169.254.169.254 metadata
+  ["172.16.0.0", 12], // RFC 1918
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.168.0.0", 16], // RFC 1918
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 3], // multicast and reserved
+]) {
+  blocked.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 128], // unspecified
+  ["::1", 128], // loopback
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  blocked.addSubnet(prefix, bits, "ipv6");
+}
+
+export function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address it carries
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address)?.[1];
+  if (mapped) return blocked.check(mapped, "ipv4");
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blocked.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/** Throws unless every address the URL's host resolves to is public. */
+export async function assertPublicUrl(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (e) {
+    throw new ToolError("not_found", `Cannot resolve ${host}: ${e.code || e.message}`, { hint: "Check the URL's host name." });
+  }
+  const hit = addresses.find(a => isPrivateAddress(a.address));
+  if (hit) {
+    throw new ToolError("validation", `Refusing to fetch ${url}: ${host} is a private or local address (${hit.address})`, {
+      hint: "fetch_url only reads public web pages.",
+    });
+  }
+}
@@ -0,0 +1,178 @@
+// Search backends behind one interface:
+//   search({ query, num, page, timeRange, site, type }) -> { results: [{ title, url, snippet, date?, source? }] }
+// `type` is "web" or "news"; `timeRange` is "day" | "week" | "month" | "year"; `page` starts at 1.
+
+import { decodeEntities } from "./readable.js";
+import { HttpError } from "../shared/rate-limit.js";
+import { ToolError } from "../shared/result.js";
+
+const USER_AGENT = "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36";
+const TIMEOUT_MS = 15000;
+
+function withSite(query, site) {
+  return site ? `${query} site:${site.replace(/^https?:\/\//, "").replace(/\/.*$/, "")}` : query;
+}
+
+function missingKey(name) {
+  return new ToolError("auth_required", `Missing ${name} in environment`, { hint: `Set ${name} in .env, or pick another provider.` });
+}
+
+// Non-2xx responses become HttpError so the caller's retry can tell 429/5xx from 4xx
+async function fetchOk(url, init = {}) {
+  const res = await fetch(url, { ...init, signal: AbortSignal.timeout(TIMEOUT_MS) });
+  if (!res.ok) {
+    const detail = await res.text().then(t => t.slice(0, 200)).catch(() => "");
+    throw new HttpError(`${new URL(url).host} returned HTTP ${res.status}${detail ? `: ${detail}` : ""}`, { status: res.status, headers: res.headers });
+  }
+  return res;
+}
+
+// ---------- SerpAPI (Google) ----------
+
+const serpapi = {
+  name: "serpapi",
+  configured: () => Boolean(process.env.SERPAPI_KEY),
+  async search({ query, num, page, timeRange, site, type }) {
+    const apiKey = process.env.SERPAPI_KEY;
+    if (!apiKey) throw missingKey("SERPAPI_KEY");
+    // Plain HTTP instead of the serpapi SDK, which drops the status code that retries depend on
+    const url = new URL("https://serpapi.com/search.json");
+    url.searchParams.set("engine", "google");
+    url.searchParams.set("q", withSite(query, site));
+    url.searchParams.set("num", String(num));
+    if (page > 1) url.searchParams.set("start", String((page - 1) * num));
+    if (type === "news") url.searchParams.set("tbm", "nws");
+    if (timeRange) url.searchParams.set("tbs", `qdr:${timeRange[0]}`);
+    url.searchParams.set("api_key", apiKey);
+    const json = await (await fetchOk(url)).json();
+    const rows = type === "news" ? json.news_results || [] : json.organic_results || [];
+    return {
+      results: rows.slice(0, num).map(r => ({ title: r.title, url: r.link, snippet: r.snippet, date: r.date, source: r.source })),
+    };
+  },
+};
+
+// ---------- Brave Search API ----------
+
+const BRAVE_FRESHNESS = { day: "pd", week: "pw", month: "pm", year: "py" };
+
+const brave = {
+  name: "brave",
+  configured: () => Boolean(process.env.BRAVE_API_KEY),
+  async search({ query, num, page, timeRange, site, type }) {
+    const apiKey = process.env.BRAVE_API_KEY;
+    if (!apiKey) throw missingKey("BRAVE_API_KEY");
+    const url = new URL(`https://api.search.brave.com/res/v1/${type === "news" ? "news" : "web"}/search`);
+    url.searchParams.set("q", withSite(query, site));
+    url.searchParams.set("count", String(Math.min(num, 20)));
+    // Brave pages by page index, not result offset
+    if (page > 1) url.searchParams.set("offset", String(page - 1));
+    if (timeRange) url.searchParams.set("freshness", BRAVE_FRESHNESS[timeRange]);
+    const res = await fetchOk(url, { headers: { Accept: "application/json", "X-Subscription-Token": apiKey } });
+    const json = await res.json();
+    const rows = type === "news" ? json.results || [] : json.web?.results || [];
+    return {
+      results: rows.slice(0, num).map(r => ({
+        title: r.title,
+        url: r.url,
+        snippet: stripTags(r.description || ""),
+        date: r.age || r.page_age,
+        source: r.meta_url?.hostname,
+      })),
+    };
+  },
+};
+
+// ---------- SearXNG (self-hosted, JSON output must be enabled) ----------
+
+const searxng = {
+  name: "searxng",
+  configured: () => Boolean(process.env.SEARXNG_URL),
+  async search({ query, num, page, timeRange, site, type }) {
+    const base = process.env.SEARXNG_URL;
+    if (!base) throw missingKey("SEARXNG_URL");
+    const url = new URL("search", base.endsWith("/") ? base : `${base}/`);
+    url.searchParams.set("q", withSite(query, site));
+    url.searchParams.set("format", "json");
+    url.searchParams.set("categories", type === "news" ? "news" : "general");
+    url.searchParams.set("pageno", String(page));
+    if (timeRange) url.searchParams.set("time_range", timeRange);
+    const res = await fetchOk(url, { headers: { Accept: "application/json" } });
+    const json = await res.json();
+    return {
+      results: (json.results || []).slice(0, num).map(r => ({
+        title: r.title,
+        url: r.url,
+        snippet: r.content || "",
+        date: r.publishedDate || undefined,
+        source: r.engine,
+      })),
+    };
+  },
+};
+
+// ---------- DuckDuckGo HTML (no key; web results only) ----------
+
+const DDG_RANGE = { day: "d", week: "w", month: "m", year: "y" };
+const DDG_PAGE_SIZE = 10;
+
+function stripTags(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, "")).replace(/\s+/g, " ").trim();
+}
+
+// Result links go through //duckduckgo.com/l/?uddg=<target>
+function ddgTarget(href) {
+  const u = new URL(decodeEntities(href), "https://duckduckgo.com");
+  return u.searchParams.get("uddg") || u.href;
+}
+
+export function parseDuckDuckGoHtml(html) {
+  const results = [];
+  const start = /^<div[^>]+class="([^"]*\bresult\b[^"]*)"/;
+  const blocks = html.split(/(?=<div[^>]+class="[^"]*\bresult\b)/).filter(b => start.test(b));
+  for (const block of blocks) {
+    if (/\bresult--ad\b/.test(start.exec(block)[1])) continue;
+    const link = /<a[^>]+class="[^"]*result__a[^"]*"[^>]+href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/.exec(block)
+      || /<a[^>]+href="([^"]+)"[^>]+class="[^"]*result__a[^"]*"[^>]*>([\s\S]*?)<\/a>/.exec(block);
+    if (!link) continue;
+    const snippet = /class="[^"]*result__snippet[^"]*"[^>]*>([\s\S]*?)<\/(?:a|div|td)>/.exec(block);
+    results.push({ title: stripTags(link[2]), url: ddgTarget(link[1]), snippet: snippet ? stripTags(snippet[1]) : "" });
+  }
+  return results;
+}
+
+const duckduckgo = {
+  name: "duckduckgo",
+  configured: () => true,
+  async search({ query, num, page, timeRange, site, type }) {
+    if (type === "news") throw new ToolError("validation", "duckduckgo does not support news search", { hint: "Use serpapi, brave or searxng for news." });
+    const body = new URLSearchParams({ q: withSite(query, site) });
+    if (timeRange) body.set("df", DDG_RANGE[timeRange]);
+    if (page > 1) {
+      body.set("s", String((page - 1) * DDG_PAGE_SIZE));
+      body.set("dc", String((page - 1) * DDG_PAGE_SIZE + 1));
+    }
+    const res = await fetchOk("https://html.duckduckgo.com/html/", {
+      method: "POST",
+      headers: { "User-Agent": USER_AGENT, "Content-Type": "application/x-www-form-urlencoded" },
+      body,
+    });
+    return { results: parseDuckDuckGoHtml(await res.text()).slice(0, num) };
+  },
+};
+
+export const providers = { serpapi, brave, searxng, duckduckgo };
+
+/**
+ * Pick a backend: the per-call name, then WEB_SEARCH_PROVIDER, then the first
+ * one with credentials configured (DuckDuckGo needs none).
+ */
+export function chooseProvider(name) {
+  const wanted = name || process.env.WEB_SEARCH_PROVIDER;
+  if (wanted) {
+    const p = providers[wanted.toLowerCase()];
+    if (!p) throw new ToolError("validation", `Unknown search provider "${wanted}"`, { hint: `Choose ${Object.keys(providers).join(", ")}.` });
+    return p;
+  }
+  return Object.values(providers).find(p => p.configured());
+}
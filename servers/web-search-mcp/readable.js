@@ -0,0 +1,289 @@
+// Readable-content extraction for fetch_url: a small HTML tree builder, a
+// Readability-style pick of the main content node, and markdown/text rendering.
+
+const VOID = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"]);
+const RAW_TEXT = new Set(["script", "style", "textarea", "title", "noscript", "template", "svg"]);
+// Opening one of these closes an open element of the same kind (<p>a<p>b, <li>a<li>b)
+const AUTO_CLOSE = { p: ["p"], li: ["li"], dt: ["dt", "dd"], dd: ["dt", "dd"], tr: ["tr"], td: ["td", "th"], th: ["td", "th"], option: ["option"] };
+
+const DROP_TAGS = new Set([
+  "script", "style", "noscript", "template", "svg", "iframe", "form", "button", "input", "select", "textarea",
+  "nav", "header", "footer", "aside", "head", "dialog", "canvas", "video", "audio", "picture",
+]);
+const BOILERPLATE = /\b(comment|sidebar|footer|masthead|menu|nav|breadcrumb|cookie|consent|banner|share|social|related|promo|advert|ads?|sponsor|newsletter|subscribe|popup|modal|skip-link)\b/i;
+const BLOCK = new Set([
+  "p", "div", "section", "article", "main", "ul", "ol", "li", "dl", "dt", "dd", "table", "thead", "tbody", "tr",
+  "h1", "h2", "h3", "h4", "h5", "h6", "pre", "blockquote", "figure", "figcaption", "hr", "br", "body", "html",
+]);
+
+const ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", ndash: "–", mdash: "—", hellip: "…",
+  lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", copy: "©", reg: "®", trade: "™", middot: "·", bull: "•",
+};
+
+export function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, code) => {
+    if (code[0] === "#") {
+      const n = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) && n > 0 && n <= 0x10ffff ? String.fromCodePoint(n) : m;
+    }
+    return ENTITIES[code.toLowerCase()] ?? m;
+  });
+}
+
+function parseAttrs(src) {
+  const attrs = {};
+  const re = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let m;
+  while ((m = re.exec(src))) attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? "");
+  return attrs;
+}
+
+/**
+ * Forgiving HTML -> { tag, attrs, children } tree. Text nodes are strings.
+ * Not a spec parser; it only needs to be good enough to find paragraphs.
+ */
+export function parseHtml(html) {
+  const root = { tag: "#root", attrs: {}, children: [], parent: null };
+  let cur = root;
+  const re = /<!--[\s\S]*?-->|<!doctype[^>]*>|<\/?([a-zA-Z][\w:-]*)([^>]*)>|[^<]+|</gi;
+  let m;
+  while ((m = re.exec(html))) {
+    const tok = m[0];
+    if (tok.startsWith("<!")) continue;
+    if (!m[1]) {
+      cur.children.push(decodeEntities(tok));
+      continue;
+    }
+    const tag = m[1].toLowerCase();
+    if (tok[1] === "/") {
+      // Close the nearest matching open element; ignore stray end tags
+      for (let n = cur; n !== root; n = n.parent) {
+        if (n.tag === tag) {
+          cur = n.parent;
+          break;
+        }
+      }
+      continue;
+    }
+    const closes = AUTO_CLOSE[tag];
+    if (closes && closes.includes(cur.tag)) cur = cur.parent;
+    const node = { tag, attrs: parseAttrs(m[2]), children: [], parent: cur };
+    cur.children.push(node);
+    if (RAW_TEXT.has(tag)) {
+      // Skip to the matching end tag so "<" inside scripts doesn't confuse the tokenizer
+      const end = html.toLowerCase().indexOf(`</${tag}`, re.lastIndex);
+      const stop = end === -1 ? html.length : end;
+      node.children.push(html.slice(re.lastIndex, stop));
+      re.lastIndex = end === -1 ? html.length : html.indexOf(">", end) + 1 || html.length;
+      continue;
+    }
+    if (!VOID.has(tag) && !m[2].trim().endsWith("/")) cur = node;
+  }
+  return root;
+}
+
+function textOf(node) {
+  if (typeof node === "string") return node;
+  return node.children.map(textOf).join("");
+}
+
+function findAll(node, pred, out = []) {
+  if (typeof node === "string") return out;
+  if (pred(node)) out.push(node);
+  for (const c of node.children) findAll(c, pred, out);
+  return out;
+}
+
+function isBoilerplate(node) {
+  if (DROP_TAGS.has(node.tag)) return true;
+  if (node.attrs.hidden !== undefined || node.attrs["aria-hidden"] === "true") return true;
+  if (/display:\s*none/i.test(node.attrs.style || "")) return true;
+  const role = node.attrs.role || "";
+  if (/^(navigation|banner|contentinfo|complementary|dialog|search)$/.test(role)) return true;
+  const label = `${node.attrs.class || ""} ${node.attrs.id || ""}`;
+  // Don't throw away a whole page whose wrapper happens to be called "main-nav-layout"
+  return BOILERPLATE.test(label) && !/\b(article|content|post|entry|story|main)\b/i.test(label);
+}
+
+function prune(node) {
+  if (typeof node === "string") return node;
+  node.children = node.children.filter(c => typeof c === "string" || !isBoilerplate(c)).map(prune);
+  return node;
+}
+
+function linkDensity(node) {
+  const total = textOf(node).replace(/\s+/g, " ").length || 1;
+  const linked = findAll(node, n => n.tag === "a").reduce((sum, a) => sum + textOf(a).replace(/\s+/g, " ").length, 0);
+  return linked / total;
+}
+
+/**
+ * Choose the node that holds the article: an explicit <article>/<main>, else
+ * the container that collects the most paragraph text (half credit to the
+ * grandparent), discounted by link density.
+ */
+export function mainContent(root) {
+  const body = findAll(root, n => n.tag === "body")[0] || root;
+  const articles = findAll(body, n => n.tag === "article" || n.tag === "main" || n.attrs.role === "main" || n.attrs.itemprop === "articleBody");
+  const longest = articles.sort((a, b) => textOf(b).length - textOf(a).length)[0];
+  if (longest && textOf(longest).trim().length > 200) return longest;
+
+  const scores = new Map();
+  for (const p of findAll(body, n => n.tag === "p" || n.tag === "pre" || n.tag === "td" || n.tag === "blockquote")) {
+    const len = textOf(p).trim().length;
+    if (len < 25) continue;
+    const points = 1 + Math.min(len / 100, 3) + (textOf(p).match(/,/g) || []).length;
+    if (p.parent) scores.set(p.parent, (scores.get(p.parent) || 0) + points);
+    if (p.parent?.parent) scores.set(p.parent.parent, (scores.get(p.parent.parent) || 0) + points / 2);
+  }
+  let best = body;
+  let bestScore = 0;
+  for (const [node, score] of scores) {
+    const adjusted = score * (1 - linkDensity(node));
+    if (adjusted > bestScore) {
+      best = node;
+      bestScore = adjusted;
+    }
+  }
+  return best;
+}
+
+// ---------- Rendering ----------
+
+function absolute(href, baseUrl) {
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return href;
+  }
+}
+
+/**
+ * Render a node as markdown ("markdown") or plain text ("text").
+ * Inline whitespace is collapsed; blocks are separated by blank lines.
+ */
+export function render(node, { format = "markdown", baseUrl } = {}) {
+  const md = format === "markdown";
+
+  function inline(n) {
+    if (typeof n === "string") return n.replace(/\s+/g, " ");
+    const inner = () => n.children.map(inline).join("");
+    switch (n.tag) {
+      case "br": return "\n";
+      case "img": return md && n.attrs.alt ? `![${n.attrs.alt}](${absolute(n.attrs.src || "", baseUrl)})` : "";
+      case "a": {
+        const text = inner().trim();
+        const href = n.attrs.href;
+        if (!md || !href || href.startsWith("#") || href.startsWith("javascript:") || !text) return text;
+        return `[${text}](${absolute(href, baseUrl)})`;
+      }
+      case "strong": case "b": { const t = inner(); return md && t.trim() ? `**${t.trim()}** ` : t; }
+      case "em": case "i": { const t = inner(); return md && t.trim() ? `_${t.trim()}_ ` : t; }
+      case "code": return md ? `\`${textOf(n)}\`` : textOf(n);
+      default: return BLOCK.has(n.tag) ? `\n${block(n).join("\n\n")}\n` : inner();
+    }
+  }
+
+  function para(nodes) {
+    return nodes.map(inline).join("").replace(/[ \t]+/g, " ").replace(/ *\n */g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+  }
+
+  // Returns an array of block strings
+  function block(n) {
+    if (typeof n === "string") return n.trim() ? [n.replace(/\s+/g, " ").trim()] : [];
+    const tag = n.tag;
+    if (/^h[1-6]$/.test(tag)) {
+      const t = para(n.children);
+      return t ? [md ? `${"#".repeat(Number(tag[1]))} ${t}` : t] : [];
+    }
+    if (tag === "pre") {
+      const t = textOf(n).replace(/^\n|\s+$/g, "");
+      return t ? [md ? `\`\`\`\n${t}\n\`\`\`` : t] : [];
+    }
+    if (tag === "hr") return md ? ["---"] : [];
+    if (tag === "ul" || tag === "ol") {
+      const items = n.children.filter(c => typeof c !== "string" && c.tag === "li");
+      const lines = items
+        .map((li, i) => {
+          const t = children(li).join("\n").replace(/\n+/g, "\n  ");
+          return t ? `${tag === "ol" ? `${i + 1}.` : "-"} ${t}` : "";
+        })
+        .filter(Boolean);
+      return lines.length ? [lines.join("\n")] : [];
+    }
+    if (tag === "blockquote") {
+      const t = children(n).join("\n\n");
+      return t ? [md ? t.split("\n").map(l => `> ${l}`).join("\n") : t] : [];
+    }
+    if (tag === "table") {
+      const rows = findAll(n, c => c.tag === "tr").map(tr =>
+        tr.children.filter(c => typeof c !== "string" && (c.tag === "td" || c.tag === "th")).map(c => para(c.children).replace(/\n/g, " "))
+      ).filter(r => r.length);
+      if (!rows.length) return [];
+      if (!md) return [rows.map(r => r.join(" | ")).join("\n")];
+      const width = Math.max(...rows.map(r => r.length));
+      const line = r => `| ${[...r, ...Array(width - r.length).fill("")].join(" | ")} |`;
+      return [[line(rows[0]), `|${" --- |".repeat(width)}`, ...rows.slice(1).map(line)].join("\n")];
+    }
+    if (BLOCK.has(tag) || tag === "#root") return children(n);
+    const t = para([n]);
+    return t ? [t] : [];
+  }
+
+  // Group consecutive inline children into one paragraph; recurse into blocks
+  function children(n) {
+    const out = [];
+    let run = [];
+    const flush = () => {
+      const t = para(run);
+      if (t) out.push(t);
+      run = [];
+    };
+    for (const c of n.children) {
+      if (typeof c !== "string" && (BLOCK.has(c.tag) || /^h[1-6]$/.test(c.tag))) {
+        flush();
+        out.push(...block(c));
+      } else run.push(c);
+    }
+    flush();
+    return out;
+  }
+
+  return block(node).join("\n\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+function metaContent(root, key) {
+  const meta = findAll(root, n => n.tag === "meta" && (n.attrs.property === key || n.attrs.name === key))[0];
+  return meta?.attrs.content?.trim() || "";
+}
+
+// Cut at a paragraph (or at least line) boundary so the model never sees half a sentence
+export function truncate(text, maxChars) {
+  if (text.length <= maxChars) return { text, truncated: false };
+  const cut = text.slice(0, maxChars);
+  const at = Math.max(cut.lastIndexOf("\n\n"), cut.lastIndexOf("\n"));
+  return { text: (at > maxChars * 0.5 ? cut.slice(0, at) : cut).trimEnd(), truncated: true };
+}
+
+/**
+ * HTML page -> { title, description, byline, content, truncated }.
+ * @param {string} html
+ * @param {{ url?: string, format?: "markdown" | "text", maxChars?: number }} opts
+ */
+export function extractReadable(html, { url, format = "markdown", maxChars = 20000 } = {}) {
+  const root = parseHtml(html);
+  const titleNode = findAll(root, n => n.tag === "title")[0];
+  const title = metaContent(root, "og:title") || (titleNode ? decodeEntities(textOf(titleNode)).replace(/\s+/g, " ").trim() : "");
+  const description = metaContent(root, "og:description") || metaContent(root, "description");
+  const byline = metaContent(root, "author") || metaContent(root, "article:author");
+  const published = metaContent(root, "article:published_time");
+  const base = findAll(root, n => n.tag === "base" && n.attrs.href)[0]?.attrs.href;
+
+  const main = mainContent(prune(root));
+  let body = render(main, { format, baseUrl: base ? absolute(base, url) : url });
+  // Pages whose content is all in <header>/<nav>-ish wrappers: fall back to the description
+  if (!body && description) body = description;
+  const { text, truncated } = truncate(body, maxChars);
+  return { title, description, byline, published, content: text, truncated };
+}
@@ -0,0 +1,262 @@
+// MCP Web Search server with pluggable backends (SerpAPI, Brave, SearXNG, DuckDuckGo).
+// Tools:
+//  - web_search { query, num?, page?, timeRange?, site?, type?, provider? } => results (title/url/snippet/date)
+//  - fetch_url { url, format?, maxChars? } => readable main content of a page as markdown or text
+// Prompts: research_topic { topic, timeRange? }
+
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { z } from "zod";
+import { providers, chooseProvider } from "./providers.js";
+import { extractReadable, truncate } from "./readable.js";
+import { assertPublicUrl } from "./address.js";
+import { createCache, ttlFor } from "../shared/cache.js";
+import { createThrottle, HttpError } from "../shared/rate-limit.js";
+import { toolHandler, unknownTool, ToolError } from "../shared/result.js";
+
+import {
+  ListToolsRequestSchema,
+  CallToolRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode,
+} from "@modelcontextprotocol/sdk/types.js";
+
+const USER_AGENT = "Mozilla/5.0 (compatible; mcp-assistant/0.2; +https://modelcontextprotocol.io)";
+const FETCH_TIMEOUT_MS = 20000;
+const MAX_DOWNLOAD_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+const cache = createCache({ name: "web-search" });
+// One bucket per backend: SerpAPI and Brave bill per query and throttle bursts
+const throttles = new Map();
+function throttleFor(provider) {
+  if (!throttles.has(provider)) {
+    const ratePerSec = Number(process.env.WEB_SEARCH_RATE_PER_SEC) || 1;
+    throttles.set(provider, createThrottle({ ratePerSec, burst: Math.max(2, ratePerSec) }));
+  }
+  return throttles.get(provider);
+}
+const fetchThrottle = createThrottle({ ratePerSec: 4, burst: 8, retries: 2 });
+
+const tools = [
+  {
+    name: "web_search",
+    description: "Search the web and return top results (title, url, snippet). Use fetch_url to read a result.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Search query" },
+        num: { type: "number", description: "Max results (default 5)" },
+        page: { type: "number", description: "Result page, starting at 1 (default 1)" },
+        timeRange: { type: "string", enum: ["day", "week", "month", "year"], description: "Only results from the past day/week/month/year" },
+        site: { type: "string", description: "Restrict to one site, e.g. nytimes.com" },
+        type: { type: "string", enum: ["web", "news"], description: "Web pages or news articles (default web)" },
+        provider: { type: "string", enum: Object.keys(providers), description: "Backend override (default WEB_SEARCH_PROVIDER or the first configured)" }
+      },
+      required: ["query"]
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string" },
+        provider: { type: "string" },
+        type: { type: "string", enum: ["web", "news"] },
+        page: { type: "integer" },
+        results: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              title: { type: "string" },
+              url: { type: "string" },
+              snippet: { type: "string" },
+              date: { type: "string" },
+              source: { type: "string" },
+            },
+            required: ["title", "url"],
+          },
+        },
+      },
+      required: ["query", "provider", "type", "page", "results"],
+    },
+  },
+  {
+    name: "fetch_url",
+    description: "Download a public web page and return its readable main content (no menus, ads or scripts) as markdown or plain text",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        url: { type: "string", description: "http(s) URL" },
+        format: { type: "string", enum: ["markdown", "text"], description: "Output format (default markdown)" },
+        maxChars: { type: "number", description: "Cap on returned content length (default 20000)" }
+      },
+      required: ["url"]
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        format: { type: "string", enum: ["markdown", "text"] },
+        url: { type: "string", description: "Final URL after redirects" },
+        contentType: { type: "string" },
+        title: { type: "string" },
+        description: { type: "string" },
+        byline: { type: "string" },
+        published: { type: "string" },
+        content: { type: "string" },
+        truncated: { type: "boolean" },
+        length: { type: "integer" },
+      },
+      required: ["format", "url", "title", "content", "truncated", "length"],
+    }
+  }
+];
+
+const prompts = [
+  {
+    name: "research_topic",
+    description: "Research a topic on the web and write a short sourced briefing",
+    arguments: [
+      { name: "topic", description: "What to research", required: true },
+      { name: "timeRange", description: "Only consider sources from the past day, week, month or year", required: false },
+    ],
+  },
+];
+
+function getPrompt(name, args = {}) {
+  if (name !== "research_topic") throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  if (!args.topic) throw new McpError(ErrorCode.InvalidParams, "research_topic needs a topic");
+  const window = args.timeRange ? ` with timeRange "${args.timeRange}"` : "";
+  const text = [
+    `Research this topic: ${args.topic}`,
+    "",
+    `1. Run web_search${window} with two or three different phrasings.`,
+    "2. Read the three or four most relevant and independent results with fetch_url.",
+    "3. Write a briefing of at most 300 words: key facts first, then open questions or disagreements.",
+    "Cite every claim with the source URL in brackets, and say so when sources conflict or are thin.",
+  ].join("\n");
+  return { description: `Briefing on ${args.topic}`, messages: [{ role: "user", content: { type: "text", text } }] };
+}
+
+// Read at most `limit` bytes so a huge download can't exhaust memory
+async function readCapped(res, limit) {
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.length;
+    if (size >= limit) {
+      await reader.cancel();
+      break;
+    }
+  }
+  return Buffer.concat(chunks).subarray(0, limit);
+}
+
+function decodeBody(buf, contentType) {
+  let charset = /charset=["']?([\w-]+)/i.exec(contentType)?.[1];
+  // HTML often declares its charset only in a <meta> tag
+  if (!charset) charset = /<meta[^>]+charset=["']?([\w-]+)/i.exec(buf.subarray(0, 2048).toString("latin1"))?.[1];
+  try {
+    return new TextDecoder(charset || "utf-8").decode(buf);
+  } catch {
+    return new TextDecoder("utf-8").decode(buf);
+  }
+}
+
+// Download a page and reduce it to readable content
+// Redirects are followed by hand so each hop's host gets the private-address check
+async function fetchPublic(url) {
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    await assertPublicUrl(url);
+    const res = await fetch(url, {
+      headers: { "User-Agent": USER_AGENT, Accept: "text/html,application/xhtml+xml,text/plain;q=0.9,*/*;q=0.5" },
+      redirect: "manual",
+      signal,
+    });
+    const location = res.headers.get("location");
+    if (res.status < 300 || res.status >= 400 || !location) return { res, url };
+    await res.body?.cancel();
+    url = new URL(location, url).href;
+    if (!/^https?:/i.test(url)) throw new ToolError("validation", `Redirected to a non-http URL: ${url}`);
+  }
+  throw new ToolError("upstream_error", `Too many redirects fetching ${url}`);
+}
+
+async function readPage(requested, format, maxChars) {
+  const { res, url } = await fetchPublic(requested);
+  if (!res.ok) throw new HttpError(`Fetching ${url} failed: HTTP ${res.status}`, { status: res.status, headers: res.headers });
+  const contentType = res.headers.get("content-type") || "";
+  if (/application\/pdf/i.test(contentType)) {
+    throw new ToolError("validation", "This URL is a PDF", { hint: "Open it with load_pdf (pdf-reader) instead." });
+  }
+  const isHtml = /html|xml/i.test(contentType) || !contentType;
+  if (!isHtml && !/^text\/|json/i.test(contentType)) {
+    throw new ToolError("validation", `Unsupported content type: ${contentType}`, { hint: "fetch_url reads HTML, plain text and JSON." });
+  }
+
+  const body = decodeBody(await readCapped(res, MAX_DOWNLOAD_BYTES), contentType);
+  let page;
+  if (isHtml) page = extractReadable(body, { url, format, maxChars });
+  else {
+    const { text, truncated } = truncate(body, maxChars);
+    page = { title: "", content: text, truncated };
+  }
+  return { url, contentType, ...page };
+}
+
+async function handleCall(req) {
+  const { name, arguments: args } = req.params ?? {};
+
+  if (name === "web_search") {
+    const schema = z.object({
+      query: z.string().min(1),
+      num: z.number().int().min(1).max(20).optional(),
+      page: z.number().int().min(1).max(10).optional(),
+      timeRange: z.enum(["day", "week", "month", "year"]).optional(),
+      site: z.string().optional(),
+      type: z.enum(["web", "news"]).optional(),
+      provider: z.string().optional(),
+    });
+    const { query, num = 5, page = 1, timeRange, site, type = "web", provider: requested } = schema.parse(args ?? {});
+    const provider = chooseProvider(requested);
+    const params = { query, num, page, timeRange, site, type };
+    const { results } = await cache.wrap(`web_search:${provider.name}`, params, ttlFor("web_search", 600), () =>
+      throttleFor(provider.name)(() => provider.search(params), `${provider.name} search`)
+    );
+    return { query, provider: provider.name, type, page, results };
+  }
+
+  if (name === "fetch_url") {
+    const schema = z.object({
+      url: z.string().url().refine(u => /^https?:/i.test(u), { message: "Only http(s) URLs are supported" }),
+      format: z.enum(["markdown", "text"]).optional(),
+      maxChars: z.number().int().min(500).max(100000).optional(),
+    });
+    const { url, format = "markdown", maxChars = 20000 } = schema.parse(args ?? {});
+    const page = await cache.wrap("fetch_url", { url, format, maxChars }, ttlFor("fetch_url", 1800), () =>
+      fetchThrottle(() => readPage(url, format, maxChars), "fetch_url")
+    );
+    return { format, ...page, length: page.content.length };
+  }
+
+  throw unknownTool(name);
+}
+
+export function createServer() {
+  const server = new Server(
+    { name: "web-search-mcp", version: "0.2.0", description: "Real-time web search and page reading" },
+    { capabilities: { tools: {}, prompts: {} } }
+  );
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools }));
+  server.setRequestHandler(CallToolRequestSchema, toolHandler(handleCall));
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts }));
+  server.setRequestHandler(GetPromptRequestSchema, async (req) => getPrompt(req.params.name, req.params.arguments));
+  return server;
+}
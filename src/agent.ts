@@ -0,0 +1,71 @@
+import { getDefaultProvider, type LlmProvider } from "./llm.js";
+import { createConversation, type Conversation } from "./conversation.js";
+import type { ToolSpec } from "./types.js";
+
+const SYSTEM_PROMPT = [
+  "You are a helpful assistant with access to tools for PDFs, web search, Gmail and Google Calendar.",
+  "Call tools whenever you need real data; never invent email addresses, event ids or times.",
+  "Use ISO 8601 timestamps for calendar tools. The current time is {now}.",
+  "When you have everything you need, reply with the final answer in plain text.",
+].join("\n");
+
+// Keep tool output small enough that a few calls don't blow the context window.
+const MAX_TOOL_RESULT_CHARS = 8000;
+
+export type AgentOptions = {
+  tools: ToolSpec[];
+  callTool: (name: string, args: Record<string, unknown>) => Promise<string>;
+  maxSteps?: number;
+  onToolCall?: (name: string, args: Record<string, unknown>) => void;
+  /** Streams the model's text as it is generated */
+  onToken?: (text: string) => void;
+  /** History to continue; the question, tool traffic and answer are appended to it */
+  conversation?: Conversation;
+  provider?: LlmProvider;
+};
+
+/**
+ * Let the model pick tools until it produces a final answer.
+ * Each step sends the (trimmed) conversation plus the merged tool list.
+ */
+export async function runAgent(question: string, opts: AgentOptions): Promise<string> {
+  const { tools, callTool, maxSteps = 8, onToolCall, onToken, provider = getDefaultProvider() } = opts;
+  const conversation = opts.conversation ?? createConversation({ budgetTokens: Infinity });
+  const system = SYSTEM_PROMPT.replace("{now}", new Date().toISOString());
+  conversation.add({ role: "user", content: question });
+
+  for (let step = 0; step < maxSteps; step++) {
+    const res = await provider.chat(conversation.messages(system), { tools, onToken });
+    if (res.toolCalls.length === 0) {
+      conversation.add({ role: "assistant", content: res.content });
+      return res.content;
+    }
+
+    conversation.add({ role: "assistant", content: res.content, toolCalls: res.toolCalls });
+    for (const tc of res.toolCalls) {
+      onToolCall?.(tc.name, tc.arguments);
+      let output: string;
+      if (tc.argumentsError) {
+        // Unparseable arguments never reach the tool; the model sees why and can resend the call.
+        output = JSON.stringify({ error: `Invalid arguments for ${tc.name}: ${tc.argumentsError}. Send them again as one JSON object.` });
+      } else {
+        try {
+          output = await callTool(tc.name, tc.arguments);
+        } catch (err) {
+          // Hand the failure back to the model so it can correct its arguments or try another tool.
+          output = JSON.stringify({ error: err instanceof Error ? err.message : String(err) });
+        }
+      }
+      conversation.add({
+        role: "tool",
+        toolCallId: tc.id,
+        name: tc.name,
+        content: output.slice(0, MAX_TOOL_RESULT_CHARS),
+      });
+    }
+  }
+
+  const stopped = "Stopped after reaching the tool-call limit without a final answer.";
+  conversation.add({ role: "assistant", content: stopped });
+  return stopped;
+}
@@ -0,0 +1,289 @@
+import fs from "node:fs";
+import path from "node:path";
+import { randomBytes } from "node:crypto";
+import { sessionDir } from "./session.js";
+import { estimateTokens } from "./conversation.js";
+import type { LlmProvider } from "./llm.js";
+import type { AuditConfig } from "./types.js";
+
+export type ToolOutcome = "ok" | "error" | "skipped" | "failed";
+
+export type AuditEntry =
+  | {
+      type: "tool";
+      at: string;
+      session: string;
+      server?: string;
+      tool: string;
+      arguments: unknown;
+      durationMs: number;
+      resultBytes: number;
+      /** error: the tool answered isError; failed: the call itself threw (server gone, timeout) */
+      outcome: ToolOutcome;
+      errorCode?: string;
+    }
+  | {
+      type: "llm";
+      at: string;
+      session: string;
+      provider: string;
+      model: string;
+      durationMs: number;
+      promptTokens: number;
+      completionTokens: number;
+      /** True when the provider reported no usage and the counts are estimates */
+      estimated?: boolean;
+      /** USD; absent when the model has no known price */
+      costUsd?: number;
+      outcome: "ok" | "error";
+      errorKind?: string;
+    };
+
+// Replaced wherever they appear as an argument name, at any depth (case-insensitive):
+// free-text content (email bodies, event descriptions, RSVP notes), OAuth authorization
+// codes, and anything token- or secret-like
+const DEFAULT_REDACT_KEYS = [
+  "body", "html", "note", "description", "comment", "code", "token", "access_token", "refresh_token", "id_token", "accessToken", "refreshToken",
+  "password", "secret", "client_secret", "authorization", "apiKey", "api_key",
+];
+
+// Masked inside any other string: Google access and refresh tokens, bearer headers,
+// and codes or keys carried in a URL query (e.g. a pasted OAuth redirect)
+const DEFAULT_REDACT_PATTERNS = [
+  "ya29\\.[\\w.-]+",
+  "1//[\\w-]{20,}",
+  "Bearer\\s+[\\w.~+/-]+=*",
+  "(?<=[?&](?:code|access_token|refresh_token|key|api_key)=)[^&#\\s]+",
+];
+
+// USD per million tokens, matched by longest model-name prefix; config `audit.prices` adds to it
+const DEFAULT_PRICES: Record<string, { prompt: number; completion: number }> = {
+  "gpt-4o-mini": { prompt: 0.15, completion: 0.6 },
+  "gpt-4o": { prompt: 2.5, completion: 10 },
+  "gpt-4.1-nano": { prompt: 0.1, completion: 0.4 },
+  "gpt-4.1-mini": { prompt: 0.4, completion: 1.6 },
+  "gpt-4.1": { prompt: 2, completion: 8 },
+  "o4-mini": { prompt: 1.1, completion: 4.4 },
+};
+
+export function auditFile(cfg: AuditConfig = {}) {
+  return path.resolve(process.env.AUDIT_LOG || cfg.file || path.join(sessionDir(), "audit.jsonl"));
+}
+
+/**
+ * Returns a copy of `value` with redacted keys replaced by a length marker and
+ * redact patterns masked in every remaining string.
+ */
+export function createRedactor(rules: AuditConfig["redact"] = {}) {
+  const keys = new Set([...DEFAULT_REDACT_KEYS, ...(rules.keys ?? [])].map(k => k.toLowerCase()));
+  const patterns = [...DEFAULT_REDACT_PATTERNS, ...(rules.patterns ?? [])].map(p => new RegExp(p, "g"));
+
+  function mask(text: string) {
+    return patterns.reduce((s, re) => s.replace(re, "[redacted]"), text);
+  }
+
+  function redact(value: unknown, key?: string): unknown {
+    if (key !== undefined && keys.has(key.toLowerCase()) && value !== undefined && value !== null) {
+      return typeof value === "string" ? `[redacted: ${value.length} chars]` : "[redacted]";
+    }
+    if (typeof value === "string") return mask(value);
+    if (Array.isArray(value)) return value.map(v => redact(v));
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k)]));
+    }
+    return value;
+  }
+
+  return (value: unknown) => redact(value);
+}
+
+function priceFor(model: string, prices: NonNullable<AuditConfig["prices"]>) {
+  const match = Object.keys(prices)
+    .filter(name => model === name || model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : undefined;
+}
+
+/**
+ * Append-only JSONL log of tool and LLM calls for one client run (`session`).
+ * A log that can't be written produces one warning; the calls themselves never fail because of it.
+ */
+export function createAudit(cfg: AuditConfig = {}) {
+  const file = auditFile(cfg);
+  const enabled = cfg.enabled !== false;
+  const session = `${new Date().toISOString().slice(0, 19).replace(/[-:]/g, "")}-${randomBytes(3).toString("hex")}`;
+  const redact = createRedactor(cfg.redact);
+  const prices = { ...DEFAULT_PRICES, ...cfg.prices };
+  let warned = false;
+
+  function write(entry: AuditEntry) {
+    if (!enabled) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, `${JSON.stringify(entry)}\n`, "utf8");
+    } catch (err) {
+      if (!warned) console.error(`(audit log disabled: cannot write ${file}: ${(err as Error).message})`);
+      warned = true;
+    }
+  }
+
+  function tool(call: {
+    server?: string;
+    tool: string;
+    arguments: Record<string, unknown>;
+    durationMs: number;
+    resultBytes: number;
+    outcome: ToolOutcome;
+    errorCode?: string;
+  }) {
+    write({ type: "tool", at: new Date().toISOString(), session, ...call, arguments: redact(call.arguments) });
+  }
+
+  function cost(provider: string, model: string, promptTokens: number, completionTokens: number) {
+    // Local models cost nothing per token
+    if (provider === "ollama") return 0;
+    const price = priceFor(model, prices);
+    if (!price) return undefined;
+    return Number(((promptTokens * price.prompt + completionTokens * price.completion) / 1e6).toFixed(6));
+  }
+
+  /** The same provider, with each chat() call logged once its retries are over. */
+  function wrapProvider(provider: LlmProvider): LlmProvider {
+    return {
+      ...provider,
+      async chat(messages, opts) {
+        const started = Date.now();
+        const base = () => ({
+          type: "llm" as const,
+          at: new Date().toISOString(),
+          session,
+          provider: provider.name,
+          model: provider.model,
+          durationMs: Date.now() - started,
+        });
+        try {
+          const res = await provider.chat(messages, opts);
+          const estimated = !res.usage;
+          const promptTokens = res.usage?.promptTokens ?? messages.reduce((n, m) => n + estimateTokens(m), 0);
+          const completionTokens =
+            res.usage?.completionTokens ?? estimateTokens({ role: "assistant", content: res.content, toolCalls: res.toolCalls });
+          write({
+            ...base(),
+            promptTokens,
+            completionTokens,
+            ...(estimated && { estimated }),
+            costUsd: cost(provider.name, provider.model, promptTokens, completionTokens),
+            outcome: "ok",
+          });
+          return res;
+        } catch (err) {
+          const errorKind = (err as { kind?: string }).kind ?? "unknown";
+          write({ ...base(), promptTokens: 0, completionTokens: 0, outcome: "error", errorKind });
+          throw err;
+        }
+      },
+    };
+  }
+
+  /** Every entry in the log; malformed lines (e.g. a torn final write) are skipped. */
+  function read(): AuditEntry[] {
+    if (!fs.existsSync(file)) return [];
+    return fs
+      .readFileSync(file, "utf8")
+      .split("\n")
+      .flatMap(line => {
+        try {
+          return line ? [JSON.parse(line) as AuditEntry] : [];
+        } catch {
+          return [];
+        }
+      });
+  }
+
+  return { file, session, enabled, tool, wrapProvider, read };
+}
+
+export type Audit = ReturnType<typeof createAudit>;
+
+// ---------- Usage summary ----------
+
+export type UsageSummary = {
+  session: string;
+  from: string;
+  to: string;
+  tools: { calls: number; errors: number; skipped: number; failed: number; durationMs: number };
+  byTool: Record<string, { calls: number; errors: number; durationMs: number; resultBytes: number }>;
+  llm: { calls: number; errors: number; promptTokens: number; completionTokens: number; costUsd: number; unpriced: number; estimated: number };
+};
+
+/** Totals per session, oldest session first. */
+export function summarize(entries: AuditEntry[]): UsageSummary[] {
+  const sessions = new Map<string, UsageSummary>();
+  for (const e of entries) {
+    let s = sessions.get(e.session);
+    if (!s) {
+      s = {
+        session: e.session,
+        from: e.at,
+        to: e.at,
+        tools: { calls: 0, errors: 0, skipped: 0, failed: 0, durationMs: 0 },
+        byTool: {},
+        llm: { calls: 0, errors: 0, promptTokens: 0, completionTokens: 0, costUsd: 0, unpriced: 0, estimated: 0 },
+      };
+      sessions.set(e.session, s);
+    }
+    s.to = e.at;
+    if (e.type === "tool") {
+      s.tools.calls++;
+      s.tools.durationMs += e.durationMs;
+      if (e.outcome === "error") s.tools.errors++;
+      if (e.outcome === "skipped") s.tools.skipped++;
+      if (e.outcome === "failed") s.tools.failed++;
+      const t = (s.byTool[e.tool] ??= { calls: 0, errors: 0, durationMs: 0, resultBytes: 0 });
+      t.calls++;
+      t.durationMs += e.durationMs;
+      t.resultBytes += e.resultBytes;
+      if (e.outcome === "error" || e.outcome === "failed") t.errors++;
+    } else {
+      s.llm.calls++;
+      if (e.outcome === "error") s.llm.errors++;
+      s.llm.promptTokens += e.promptTokens;
+      s.llm.completionTokens += e.completionTokens;
+      if (e.estimated) s.llm.estimated++;
+      if (e.outcome === "ok" && e.costUsd === undefined) s.llm.unpriced++;
+      else s.llm.costUsd += e.costUsd ?? 0;
+    }
+  }
+  return [...sessions.values()];
+}
+
+function usd(n: number) {
+  return `$${n < 0.01 && n > 0 ? n.toFixed(4) : n.toFixed(2)}`;
+}
+
+/** Human-readable report of one session's usage. */
+export function renderStats(s: UsageSummary): string {
+  const { tools, llm } = s;
+  const out = [`Session ${s.session} (${s.from} → ${s.to})`];
+  const problems = [
+    tools.errors && `${tools.errors} error(s)`,
+    tools.failed && `${tools.failed} failed`,
+    tools.skipped && `${tools.skipped} skipped`,
+  ].filter(Boolean);
+  out.push(`Tools: ${tools.calls} call(s)${problems.length ? `, ${problems.join(", ")}` : ""}, ${(tools.durationMs / 1000).toFixed(1)}s total`);
+  const rows = Object.entries(s.byTool).sort((a, b) => b[1].calls - a[1].calls);
+  for (const [name, t] of rows) {
+    const avg = Math.round(t.durationMs / t.calls);
+    out.push(`  ${name.padEnd(28)} ${String(t.calls).padStart(4)}×  avg ${avg} ms  ${t.resultBytes} bytes${t.errors ? `  ${t.errors} error(s)` : ""}`);
+  }
+  const notes = [
+    llm.estimated && `${llm.estimated} estimated`,
+    llm.unpriced && `${llm.unpriced} call(s) with no known price`,
+  ].filter(Boolean);
+  out.push(
+    `LLM:   ${llm.calls} call(s)${llm.errors ? `, ${llm.errors} error(s)` : ""}, ` +
+      `${llm.promptTokens} prompt + ${llm.completionTokens} completion tokens, ~${usd(llm.costUsd)}` +
+      (notes.length ? ` (${notes.join(", ")})` : ""),
+  );
+  return out.join("\n");
+}
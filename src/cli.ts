@@ -0,0 +1,822 @@
+#!/usr/bin/env node
+// Non-interactive entry point: `mcp-assistant <group> <command> [--flags]`, `mcp-assistant run <script>`,
+// or no command at all for the interactive REPL. `mcp-assistant --help` lists everything.
+import "dotenv/config";
+import fs from "node:fs";
+import readline from "node:readline";
+import { parseArgs, type ParseArgsConfig } from "node:util";
+import { McpError } from "@modelcontextprotocol/sdk/types.js";
+import { loadConfig } from "./config.js";
+import { LlmError } from "./llm.js";
+import { runAgent } from "./agent.js";
+import { ToolCallError, resultText, toolError } from "./registry.js";
+import { createRuntime, formatToolError, type Runtime } from "./runtime.js";
+import { createAudit, summarize, renderStats } from "./audit.js";
+import { parseScript, splitWords, lookup, ScriptError, type StoredResult } from "./script.js";
+import * as render from "./render.js";
+import { dayBounds } from "../servers/shared/time.js";
+
+/** Exit statuses, so cron jobs and shell scripts can tell failures apart. */
+export const EXIT = {
+  ok: 0,
+  /** A tool, the LLM or a server failed */
+  failed: 1,
+  /** Unknown command, bad or missing flags, invalid tool arguments, or a script error */
+  usage: 2,
+  /** Google or LLM credentials are missing, or a login is needed */
+  auth: 3,
+  /** A call that changes something was not approved (pass --yes when there is no terminal) */
+  refused: 4,
+} as const;
+
+class UsageError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+class RefusedError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "RefusedError";
+  }
+}
+
+// Thrown under --dry-run when a mutating call was only previewed; the command stops there
+class PreviewOnly extends Error {
+  constructor(readonly tool: string, readonly data: unknown) {
+    super(`${tool} was previewed, not run (dry run)`);
+    this.name = "PreviewOnly";
+  }
+}
+
+type Options = NonNullable<ParseArgsConfig["options"]>;
+type Values = Record<string, string | boolean | (string | boolean)[] | undefined>;
+
+type Context = {
+  values: Values;
+  positionals: string[];
+  /** Servers, LLM and policy, started on first use */
+  runtime(): Promise<Runtime>;
+  /** Call a tool and return its data; failures throw ToolCallError, unapproved changes RefusedError */
+  data(name: string, args?: Record<string, unknown>): Promise<any>;
+};
+
+type Command = {
+  /** Arguments after the command name, for --help */
+  usage: string;
+  summary: string;
+  options?: Options;
+  run(ctx: Context): Promise<StoredResult>;
+};
+
+const GLOBAL_OPTIONS: Options = {
+  json: { type: "boolean" },
+  yes: { type: "boolean", short: "y" },
+  "dry-run": { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+// ---------- Flag helpers ----------
+
+function str(values: Values, key: string): string | undefined {
+  const v = values[key];
+  return typeof v === "string" ? v : undefined;
+}
+
+function need(values: Values, key: string): string {
+  const v = str(values, key);
+  if (!v) throw new UsageError(`--${key} is required`);
+  return v;
+}
+
+function num(values: Values, key: string): number | undefined {
+  const v = str(values, key);
+  if (v === undefined) return undefined;
+  const n = Number(v);
+  if (!Number.isFinite(n)) throw new UsageError(`--${key} must be a number, got "${v}"`);
+  return n;
+}
+
+// A whole number of at least 1, e.g. --last
+function count(values: Values, key: string): number | undefined {
+  const n = num(values, key);
+  if (n !== undefined && (!Number.isInteger(n) || n < 1)) throw new UsageError(`--${key} must be a whole number of at least 1, got "${values[key]}"`);
+  return n;
+}
+
+function positional(ctx: Context, index: number, name: string): string {
+  const v = ctx.positionals[index];
+  if (!v) throw new UsageError(`Missing <${name}>`);
+  return v;
+}
+
+function list(value: string | undefined): string[] {
+  return (value ?? "").split(",").map(x => x.trim()).filter(Boolean);
+}
+
+// Only the flags that were given, renamed to the tool's argument names
+function pick(values: Values, names: Record<string, string>): Record<string, unknown> {
+  const out: Record<string, unknown> = {};
+  for (const [flag, arg] of Object.entries(names)) if (values[flag] !== undefined) out[arg] = values[flag];
+  return out;
+}
+
+/** --body, or --body-file <path> ("-" reads stdin) */
+function body(values: Values, required = true): string | undefined {
+  const file = str(values, "body-file");
+  if (file) return fs.readFileSync(file === "-" ? 0 : file, "utf8");
+  const text = str(values, "body");
+  if (required && text === undefined) throw new UsageError("--body or --body-file is required");
+  return text;
+}
+
+function json(data: unknown): StoredResult {
+  return { data, text: JSON.stringify(data, null, 2) };
+}
+
+const calendarZone = () => process.env.CALENDAR_DEFAULT_TZ || "America/Chicago";
+
+// PDFs don't outlive the process, so every pdf command loads its file first
+async function loadPdf(ctx: Context): Promise<string> {
+  const loaded = await ctx.data("load_pdf", { target: positional(ctx, 0, "file-or-url") });
+  return loaded.docId;
+}
+
+const BODY_OPTIONS: Options = { body: { type: "string" }, "body-file": { type: "string" } };
+const SEND_OPTIONS: Options = {
+  to: { type: "string" },
+  subject: { type: "string" },
+  ...BODY_OPTIONS,
+  cc: { type: "string" },
+  bcc: { type: "string" },
+  attach: { type: "string" },
+};
+
+function message(values: Values) {
+  const args: Record<string, unknown> = { to: need(values, "to"), subject: need(values, "subject"), body: body(values) };
+  if (values.cc) args.cc = values.cc;
+  if (values.bcc) args.bcc = values.bcc;
+  if (values.attach) args.attachments = list(str(values, "attach"));
+  return args;
+}
+
+// ---------- Commands ----------
+
+const COMMANDS: Record<string, Command> = {
+  "pdf load": {
+    usage: "<file-or-url>",
+    summary: "Load a PDF and report its docId and page count",
+    async run(ctx) {
+      const data = await ctx.data("load_pdf", { target: positional(ctx, 0, "file-or-url") });
+      return { data, text: `${data.docId}: ${data.pages} pages (${data.source})` };
+    },
+  },
+  "pdf text": {
+    usage: "<file-or-url> [--page N]",
+    summary: "Text of one page (default page 1)",
+    options: { page: { type: "string" } },
+    async run(ctx) {
+      const docId = await loadPdf(ctx);
+      const data = await ctx.data("extract_text", { docId, page: num(ctx.values, "page") ?? 1 });
+      return { data, text: data.text };
+    },
+  },
+  "pdf tables": {
+    usage: "<file-or-url> --page N",
+    summary: "Tables detected on a page, as tab-separated rows",
+    options: { page: { type: "string" } },
+    async run(ctx) {
+      const docId = await loadPdf(ctx);
+      const data = await ctx.data("extract_tables", { docId, page: num(ctx.values, "page") ?? 1 });
+      const text = data.tables.length
+        ? data.tables.map((t: any, i: number) => [`Table ${i + 1} (${t.columns} columns)`, ...t.rows.map((r: string[]) => r.join("\t"))].join("\n")).join("\n\n")
+        : `No tables detected on page ${data.page}.`;
+      return { data, text };
+    },
+  },
+  "pdf meta": {
+    usage: "<file-or-url>",
+    summary: "PDF metadata",
+    async run(ctx) {
+      return json(await ctx.data("pdf_metadata", { docId: await loadPdf(ctx) }));
+    },
+  },
+  "pdf outline": {
+    usage: "<file-or-url>",
+    summary: "PDF bookmarks",
+    async run(ctx) {
+      const data = await ctx.data("pdf_outline", { docId: await loadPdf(ctx) });
+      return { data, text: render.formatOutline(data) };
+    },
+  },
+  "pdf search": {
+    usage: "<file-or-url> --query TEXT [--max N]",
+    summary: "Best-matching passages",
+    options: { query: { type: "string" }, max: { type: "string" } },
+    async run(ctx) {
+      const docId = await loadPdf(ctx);
+      const data = await ctx.data("search_pdf", { docId, query: need(ctx.values, "query"), ...(ctx.values.max && { k: num(ctx.values, "max") }) });
+      const text = data.results.map((r: any, i: number) => `${i + 1}. p.${r.page} (score ${r.score.toFixed(2)})\n   ${r.text}`).join("\n\n");
+      return { data, text: text || "No matches." };
+    },
+  },
+  "pdf ask": {
+    usage: "<file-or-url> --question TEXT",
+    summary: "Answer from the PDF's best-matching passages (LLM)",
+    options: { question: { type: "string" } },
+    async run(ctx) {
+      const question = need(ctx.values, "question");
+      const docId = await loadPdf(ctx);
+      const rt = await ctx.runtime();
+      const { messages } = await rt.registry.getPrompt("answer_from_pdf", { question, docId });
+      const res = await rt.llm.chat([{ role: "user", content: render.promptText(messages) }]);
+      return { data: { question, docId, answer: res.content }, text: res.content };
+    },
+  },
+
+  "web search": {
+    usage: "<query...> [--news] [--site DOMAIN] [--time day|week|month|year] [--page N] [--num N] [--provider NAME]",
+    summary: "Web or news search",
+    options: {
+      news: { type: "boolean" },
+      site: { type: "string" },
+      time: { type: "string" },
+      page: { type: "string" },
+      num: { type: "string" },
+      provider: { type: "string" },
+    },
+    async run(ctx) {
+      const v = ctx.values;
+      const query = ctx.positionals.join(" ");
+      if (!query) throw new UsageError("Missing <query>");
+      const args: Record<string, unknown> = { query, num: num(v, "num") ?? 5, type: v.news ? "news" : "web", ...pick(v, { site: "site", time: "timeRange", provider: "provider" }) };
+      if (v.page) args.page = num(v, "page");
+      const data = await ctx.data("web_search", args);
+      return { data, text: render.formatSearchResults(data) };
+    },
+  },
+  "web fetch": {
+    usage: "<url> [--text] [--max-chars N]",
+    summary: "A page's readable content as markdown (or plain text)",
+    options: { text: { type: "boolean" }, "max-chars": { type: "string" } },
+    async run(ctx) {
+      const args: Record<string, unknown> = { url: positional(ctx, 0, "url"), format: ctx.values.text ? "text" : "markdown" };
+      if (ctx.values["max-chars"]) args.maxChars = num(ctx.values, "max-chars");
+      const data = await ctx.data("fetch_url", args);
+      return { data, text: render.formatPage(data) };
+    },
+  },
+
+  "mail me": {
+    usage: "",
+    summary: "Gmail profile (address and message counts)",
+    async run(ctx) {
+      const data = await ctx.data("gmail_profile");
+      return { data, text: data.emailAddress };
+    },
+  },
+  "mail inbox": {
+    usage: "[--query GMAIL_QUERY] [--max N]",
+    summary: "List messages (default: in:inbox)",
+    options: { query: { type: "string" }, max: { type: "string" } },
+    async run(ctx) {
+      const args = pick(ctx.values, { query: "query" });
+      if (ctx.values.max) args.maxResults = num(ctx.values, "max");
+      const data = await ctx.data("gmail_search", args);
+      return { data, text: render.formatMessageList(data) };
+    },
+  },
+  "mail read": {
+    usage: "<messageId>",
+    summary: "One message",
+    async run(ctx) {
+      const data = await ctx.data("gmail_get_message", { id: positional(ctx, 0, "messageId") });
+      return { data, text: render.formatMessage(data) };
+    },
+  },
+  "mail thread": {
+    usage: "<threadId>",
+    summary: "A whole thread",
+    async run(ctx) {
+      const data = await ctx.data("gmail_get_thread", { threadId: positional(ctx, 0, "threadId") });
+      return { data, text: (data.messages || []).map(render.formatMessage).join("\n\n") };
+    },
+  },
+  "mail send": {
+    usage: "--to ADDRS --subject TEXT (--body TEXT | --body-file PATH|-) [--cc ADDRS] [--bcc ADDRS] [--attach FILE,FILE]",
+    summary: "Send an email (address lists are comma-separated)",
+    options: SEND_OPTIONS,
+    async run(ctx) {
+      const data = await ctx.data("gmail_send_message", message(ctx.values));
+      return { data, text: `Sent ${data.id}` };
+    },
+  },
+  "mail draft": {
+    usage: "--to ADDRS --subject TEXT (--body TEXT | --body-file PATH|-) [--cc ADDRS] [--bcc ADDRS] [--attach FILE,FILE]",
+    summary: "Create a draft",
+    options: SEND_OPTIONS,
+    async run(ctx) {
+      const data = await ctx.data("gmail_create_draft", message(ctx.values));
+      return { data, text: `Draft ${data.draftId}` };
+    },
+  },
+  "mail reply": {
+    usage: "<messageId> (--body TEXT | --body-file PATH|-) [--all] [--draft]",
+    summary: "Reply in the original thread",
+    options: { ...BODY_OPTIONS, all: { type: "boolean" }, draft: { type: "boolean" } },
+    async run(ctx) {
+      const args = { messageId: positional(ctx, 0, "messageId"), body: body(ctx.values), replyAll: Boolean(ctx.values.all), asDraft: Boolean(ctx.values.draft) };
+      const data = await ctx.data("gmail_reply", args);
+      return { data, text: `${ctx.values.draft ? "Drafted" : "Replied"} to ${data.to.join(", ")}: ${data.subject}` };
+    },
+  },
+  "mail forward": {
+    usage: "<messageId> --to ADDRS [--note TEXT]",
+    summary: "Forward with attachments",
+    options: { to: { type: "string" }, note: { type: "string" } },
+    async run(ctx) {
+      const args = { messageId: positional(ctx, 0, "messageId"), to: need(ctx.values, "to"), body: str(ctx.values, "note") ?? "" };
+      const data = await ctx.data("gmail_forward", args);
+      return { data, text: `Forwarded: ${data.subject}` };
+    },
+  },
+
+  "cal list": {
+    usage: "[--day DATE | --from WHEN --to WHEN] [--max N] [--query TEXT]",
+    summary: "Events on a day (default today) or in a window",
+    options: { day: { type: "string" }, from: { type: "string" }, to: { type: "string" }, max: { type: "string" }, query: { type: "string" } },
+    async run(ctx) {
+      const v = ctx.values;
+      const timeZone = calendarZone();
+      let timeMin: string, timeMax: string;
+      if (v.from || v.to) {
+        timeMin = need(v, "from");
+        timeMax = need(v, "to");
+      } else {
+        const day = str(v, "day") ?? "today";
+        let bounds;
+        try {
+          bounds = dayBounds(day, { timeZone });
+        } catch (err) {
+          throw new UsageError(`--day: ${(err as Error).message}`);
+        }
+        timeMin = new Date(bounds.start).toISOString();
+        timeMax = new Date(bounds.end).toISOString();
+      }
+      const data = await ctx.data("calendar_list_events", { timeMin, timeMax, timeZone, maxResults: num(v, "max") ?? 20, ...pick(v, { query: "q" }) });
+      return { data, text: render.formatEvents(data) };
+    },
+  },
+  "cal get": {
+    usage: "<eventId>",
+    summary: "One event with attendees",
+    async run(ctx) {
+      const data = await ctx.data("calendar_get_event", { eventId: positional(ctx, 0, "eventId") });
+      return { data, text: render.formatEventDetail(data) };
+    },
+  },
+  "cal free": {
+    usage: "--from WHEN --to WHEN [--minutes N] [--with ADDRS]",
+    summary: "Ranked free slots in working hours",
+    options: { from: { type: "string" }, to: { type: "string" }, minutes: { type: "string" }, with: { type: "string" } },
+    async run(ctx) {
+      const v = ctx.values;
+      const args: Record<string, unknown> = { timeMin: need(v, "from"), timeMax: need(v, "to"), durationMinutes: num(v, "minutes") ?? 30 };
+      if (v.with) args.attendees = list(str(v, "with"));
+      const data = await ctx.data("calendar_find_free", args);
+      return { data, text: render.formatSlots(data) };
+    },
+  },
+  "cal schedule": {
+    usage: "--title TEXT --start WHEN [--end WHEN | --minutes N] [--with ADDRS] [--location TEXT] [--description TEXT] [--meet] [--notify all|externalOnly|none]",
+    summary: "Create an event (times: ISO or phrases like \"tomorrow 3pm\"; a bare date is all-day)",
+    options: {
+      title: { type: "string" },
+      start: { type: "string" },
+      end: { type: "string" },
+      minutes: { type: "string" },
+      with: { type: "string" },
+      location: { type: "string" },
+      description: { type: "string" },
+      meet: { type: "boolean" },
+      notify: { type: "string" },
+    },
+    async run(ctx) {
+      const v = ctx.values;
+      const args: Record<string, unknown> = {
+        summary: need(v, "title"),
+        start: need(v, "start"),
+        ...pick(v, { end: "end", location: "location", description: "description", meet: "createMeet", notify: "sendUpdates" }),
+      };
+      if (v.minutes) args.durationMinutes = num(v, "minutes");
+      if (v.with) args.attendees = list(str(v, "with"));
+      const data = await ctx.data("calendar_create_event", args);
+      return { data, text: `Created ${data.id}: ${data.start.dateTime ?? data.start.date} → ${data.end.dateTime ?? data.end.date}` };
+    },
+  },
+  "cal update": {
+    usage: "<eventId> [--title T] [--start WHEN] [--end WHEN] [--location T] [--description T] [--attendees ADDRS] [--add ADDRS] [--remove ADDRS] [--notify MODE]",
+    summary: "Change an event",
+    options: {
+      title: { type: "string" },
+      start: { type: "string" },
+      end: { type: "string" },
+      location: { type: "string" },
+      description: { type: "string" },
+      attendees: { type: "string" },
+      add: { type: "string" },
+      remove: { type: "string" },
+      notify: { type: "string" },
+    },
+    async run(ctx) {
+      const v = ctx.values;
+      const args: Record<string, unknown> = {
+        eventId: positional(ctx, 0, "eventId"),
+        ...pick(v, { title: "summary", start: "start", end: "end", location: "location", description: "description", notify: "sendUpdates" }),
+      };
+      for (const [flag, arg] of [["attendees", "attendees"], ["add", "addAttendees"], ["remove", "removeAttendees"]]) {
+        if (v[flag] !== undefined) args[arg] = list(str(v, flag));
+      }
+      if (Object.keys(args).length === 1) throw new UsageError("Nothing to change: give at least one field flag");
+      const data = await ctx.data("calendar_update_event", args);
+      return { data, text: `Updated ${data.id}` };
+    },
+  },
+  "cal delete": {
+    usage: "<eventId> [--notify all|externalOnly|none]",
+    summary: "Cancel an event",
+    options: { notify: { type: "string" } },
+    async run(ctx) {
+      const data = await ctx.data("calendar_delete_event", { eventId: positional(ctx, 0, "eventId"), ...pick(ctx.values, { notify: "sendUpdates" }) });
+      return { data, text: `Deleted ${data.id}` };
+    },
+  },
+  "cal rsvp": {
+    usage: "<eventId> --response accepted|declined|tentative [--comment TEXT]",
+    summary: "Respond to an invitation",
+    options: { response: { type: "string" }, comment: { type: "string" } },
+    async run(ctx) {
+      const args = { eventId: positional(ctx, 0, "eventId"), response: need(ctx.values, "response"), ...pick(ctx.values, { comment: "comment" }) };
+      const data = await ctx.data("calendar_respond", args);
+      return { data, text: `${data.email}: ${data.response}` };
+    },
+  },
+  "cal export": {
+    usage: "--from WHEN --to WHEN --file PATH.ics",
+    summary: "Save events in a window as .ics",
+    options: { from: { type: "string" }, to: { type: "string" }, file: { type: "string" } },
+    async run(ctx) {
+      const v = ctx.values;
+      const data = await ctx.data("calendar_export_ics", { timeMin: need(v, "from"), timeMax: need(v, "to"), path: need(v, "file") });
+      return { data, text: render.formatExport(data) };
+    },
+  },
+  "cal import": {
+    usage: "<file.ics> [--dry]",
+    summary: "Add events from an .ics file (skips known UIDs)",
+    options: { dry: { type: "boolean" } },
+    async run(ctx) {
+      const data = await ctx.data("calendar_import_ics", { path: positional(ctx, 0, "file.ics"), dryRun: Boolean(ctx.values.dry) });
+      return { data, text: render.formatImport(data) };
+    },
+  },
+
+  auth: {
+    usage: "[gmail|calendar]",
+    summary: "Google authorization state (starts a login if needed)",
+    async run(ctx) {
+      const services = ctx.positionals.length ? ctx.positionals : ["gmail", "calendar"];
+      const rt = await ctx.runtime();
+      const data: Record<string, unknown> = {};
+      const text: string[] = [];
+      for (const svc of services) {
+        if (!rt.registry.findTool(`${svc}_auth_status`)) throw new UsageError(`${svc}: not connected`);
+        data[svc] = await ctx.data(`${svc}_auth_status`, { login: true });
+        text.push(render.formatAuthStatus(svc, data[svc]));
+      }
+      return { data, text: text.join("\n") };
+    },
+  },
+  "auth code": {
+    usage: "<gmail|calendar> <redirect-url-or-code>",
+    summary: "Finish a login started on a machine without a browser",
+    async run(ctx) {
+      const svc = positional(ctx, 0, "gmail|calendar");
+      const data = await ctx.data(`${svc}_auth_submit_code`, { code: positional(ctx, 1, "redirect-url-or-code") });
+      return { data, text: data.authenticated ? `${svc}: authorized` : render.formatAuthStatus(svc, data) };
+    },
+  },
+
+  ask: {
+    usage: "<question...>",
+    summary: "Let the LLM pick and call tools, then print its answer",
+    async run(ctx) {
+      const question = ctx.positionals.join(" ");
+      if (!question) throw new UsageError("Missing <question>");
+      return askAgent(await ctx.runtime(), question);
+    },
+  },
+  prompt: {
+    usage: "<name> [--arg KEY=VALUE]...",
+    summary: "Run a server's prompt template through the LLM",
+    options: { arg: { type: "string", multiple: true } },
+    async run(ctx) {
+      const name = positional(ctx, 0, "name");
+      const args: Record<string, string> = {};
+      for (const pair of (ctx.values.arg as string[] | undefined) ?? []) {
+        const eq = pair.indexOf("=");
+        if (eq < 1) throw new UsageError(`--arg expects KEY=VALUE, got "${pair}"`);
+        args[pair.slice(0, eq)] = pair.slice(eq + 1);
+      }
+      const rt = await ctx.runtime();
+      const { messages } = await rt.registry.getPrompt(name, args);
+      return askAgent(rt, render.promptText(messages));
+    },
+  },
+  call: {
+    usage: "<tool> [JSON-ARGS]",
+    summary: "Call any tool directly; prints its JSON result",
+    async run(ctx) {
+      const tool = positional(ctx, 0, "tool");
+      let args = {};
+      if (ctx.positionals[1]) {
+        try {
+          args = JSON.parse(ctx.positionals.slice(1).join(" "));
+        } catch (err) {
+          throw new UsageError(`Arguments must be a JSON object: ${(err as Error).message}`);
+        }
+      }
+      return json(await ctx.data(tool, args));
+    },
+  },
+  tools: {
+    usage: "",
+    summary: "Every tool the connected servers provide",
+    async run(ctx) {
+      const rt = await ctx.runtime();
+      const data = rt.registry.connections.flatMap(c =>
+        c.tools.map(t => ({ server: c.name, name: t.name, readOnly: t.annotations?.readOnlyHint === true, description: t.description ?? "" }))
+      );
+      const text = data.map(t => `${t.name.padEnd(28)} ${t.readOnly ? "   " : "(w)"} ${t.description}  [${t.server}]`).join("\n");
+      return { data, text };
+    },
+  },
+  stats: {
+    usage: "[--last N]",
+    summary: "Tool calls, tokens and estimated cost per session, from the audit log",
+    options: { last: { type: "string" } },
+    async run(ctx) {
+      const audit = createAudit(loadConfig().audit);
+      const data = summarize(audit.read()).slice(-(count(ctx.values, "last") ?? 5));
+      return { data, text: data.length ? data.map(renderStats).join("\n\n") : `No calls recorded in ${audit.file}.` };
+    },
+  },
+  run: {
+    usage: "<script> [--var NAME=VALUE]... [--keep-going]",
+    summary: "Run a file of commands, one per line (see below)",
+    options: { var: { type: "string", multiple: true }, "keep-going": { type: "boolean" } },
+    async run() {
+      // Handled by runScript, which needs the top-level flags
+      throw new UsageError("run cannot be used inside a script");
+    },
+  },
+};
+
+const GROUPS = ["pdf", "web", "mail", "cal"];
+
+// ---------- Agent ----------
+
+async function askAgent(rt: Runtime, question: string): Promise<StoredResult> {
+  const answer = await runAgent(question, {
+    tools: rt.registry.tools,
+    provider: rt.llm,
+    callTool: async (name, args) => {
+      const res = await rt.call(name, args);
+      const err = toolError(name, res);
+      if (err) console.error(formatToolError(err, finishLogin));
+      return resultText(res);
+    },
+    onToolCall: (name, args) => console.error(`→ ${name} ${JSON.stringify(args)}`),
+  });
+  return { data: { question, answer }, text: answer };
+}
+
+// ---------- Dispatch ----------
+
+type Invocation = { name: string; command: Command; values: Values; positionals: string[] };
+
+/** Find the command named by the first one or two words and parse its flags. */
+function resolve(words: string[], extraOptions: Options = {}): Invocation {
+  const two = words.slice(0, 2).join(" ");
+  const name = COMMANDS[two] ? two : words[0];
+  const command = COMMANDS[name];
+  if (!command) {
+    if (GROUPS.includes(words[0])) {
+      const subs = Object.keys(COMMANDS).filter(k => k.startsWith(`${words[0]} `)).map(k => k.split(" ")[1]);
+      throw new UsageError(`${words[0]}: expected one of ${subs.join(", ")}${words[1] ? ` (got "${words[1]}")` : ""}`);
+    }
+    throw new UsageError(`Unknown command "${words[0]}" (see --help)`);
+  }
+  try {
+    const { values, positionals } = parseArgs({
+      args: words.slice(name.split(" ").length),
+      options: { ...extraOptions, ...command.options },
+      allowPositionals: true,
+      strict: true,
+    });
+    return { name, command, values, positionals };
+  } catch (err) {
+    throw new UsageError(`${(err as Error).message}\nUsage: mcp-assistant ${name} ${command.usage}`);
+  }
+}
+
+const finishLogin = (service: string) => `mcp-assistant auth code ${service} '<redirect URL>'`;
+
+function exitCodeFor(err: unknown): number {
+  if (err instanceof UsageError || err instanceof ScriptError) return EXIT.usage;
+  if (err instanceof RefusedError) return EXIT.refused;
+  if (err instanceof ToolCallError) {
+    if (err.code === "auth_required") return EXIT.auth;
+    if (err.code === "validation") return EXIT.usage;
+    return EXIT.failed;
+  }
+  if (err instanceof LlmError && err.kind === "auth") return EXIT.auth;
+  return EXIT.failed;
+}
+
+function describe(err: unknown): string {
+  if (err instanceof ToolCallError) return formatToolError(err, finishLogin).trim();
+  if (err instanceof LlmError) return `LLM error (${err.provider}, ${err.kind}): ${err.message}`;
+  if (err instanceof McpError) return err.message.replace(/^(MCP error -?\d+: )+/, "");
+  return err instanceof Error ? err.message : String(err);
+}
+
+type Globals = { json: boolean; yes: boolean; dryRun: boolean };
+
+function createContext(globals: Globals) {
+  let runtime: Promise<Runtime> | undefined;
+
+  function start() {
+    return (runtime ??= (async () => {
+      const rt = await createRuntime({
+        config: loadConfig(),
+        dryRun: globals.dryRun,
+        autoApproveAll: globals.yes,
+        // Results own stdout; previews and prompts go to stderr
+        log: (text) => console.error(text),
+        confirm: async (question) => {
+          if (!process.stdin.isTTY) {
+            console.error("(no terminal to confirm on; pass --yes to allow changes)");
+            return false;
+          }
+          const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+          const answer = await new Promise<string>(done => rl.question(question, done));
+          rl.close();
+          return /^y(es)?$/i.test(answer.trim());
+        },
+      });
+      for (const st of rt.registry.status) if (!st.ok) console.error(`✖ ${st.name}: failed to connect (${st.error})`);
+      return rt;
+    })());
+  }
+
+  async function execute(inv: Invocation): Promise<StoredResult> {
+    const ctx: Context = {
+      values: inv.values,
+      positionals: inv.positionals,
+      runtime: start,
+      async data(name, args = {}) {
+        const data = await (await start()).callData(name, args);
+        if (data?.skipped) {
+          if (globals.dryRun) throw new PreviewOnly(name, data);
+          throw new RefusedError(`${name} was not run: ${data.reason}`);
+        }
+        return data;
+      },
+    };
+    try {
+      return await inv.command.run(ctx);
+    } catch (err) {
+      if (err instanceof PreviewOnly) return { data: err.data, text: err.message };
+      throw err;
+    }
+  }
+
+  async function close() {
+    if (runtime) await (await runtime).close();
+  }
+
+  return { execute, close };
+}
+
+function print(result: StoredResult, asJson: boolean) {
+  console.log(asJson ? JSON.stringify(result.data, null, 2) : result.text);
+}
+
+/**
+ * Run a script line by line. `name = command` keeps the result for ${name} (its
+ * text) and ${name.field} (its data) in later lines, and is not printed; other
+ * lines print like a one-shot command (one JSON document per line under --json).
+ * ${last} is the previous result. Stops at the first failure unless --keep-going.
+ */
+async function runScript(inv: Invocation, globals: Globals, context: ReturnType<typeof createContext>): Promise<number> {
+  const file = inv.positionals[0];
+  if (!file) throw new UsageError(`Missing <script>\nUsage: mcp-assistant run ${inv.command.usage}`);
+  const source = file === "-" ? fs.readFileSync(0, "utf8") : fs.readFileSync(file, "utf8");
+  const lines = parseScript(source);
+
+  const vars = new Map<string, StoredResult>();
+  for (const pair of (inv.values.var as string[] | undefined) ?? []) {
+    const eq = pair.indexOf("=");
+    if (eq < 1) throw new UsageError(`--var expects NAME=VALUE, got "${pair}"`);
+    const value = pair.slice(eq + 1);
+    vars.set(pair.slice(0, eq), { data: value, text: value });
+  }
+
+  let status: number = EXIT.ok;
+  for (const line of lines) {
+    try {
+      const words = splitWords(line.source, ref => lookup(vars, ref));
+      const result = await context.execute(resolve(words));
+      vars.set("last", result);
+      if (line.assign) vars.set(line.assign, result);
+      else console.log(globals.json ? JSON.stringify(result.data) : result.text);
+    } catch (err) {
+      console.error(`${file}:${line.line}: ${describe(err)}`);
+      if (status === EXIT.ok) status = exitCodeFor(err);
+      if (!inv.values["keep-going"]) break;
+    }
+  }
+  return status;
+}
+
+function help(): string {
+  const rows = Object.entries(COMMANDS).map(([name, c]) => `  ${`${name} ${c.usage}`.trim()}\n      ${c.summary}`);
+  return `Usage: mcp-assistant [--json] [--yes] [--dry-run] <command> [args]
+       mcp-assistant            (no command: interactive REPL)
+
+Commands:
+${rows.join("\n")}
+
+Global flags:
+  --json      print results as JSON (errors still go to stderr)
+  --yes, -y   approve calls that change something (send, schedule, delete); required without a terminal
+  --dry-run   preview those calls without running them
+
+Scripts (run):
+  One command per line, without "mcp-assistant"; # starts a comment.
+  name = <command>   keeps the result: \${name} is its text, \${name.field} / \${name.items[0].id} its data
+  \${last} is the previous result, \${env.NAME} an environment variable, --var NAME=VALUE a preset.
+  Example, "email me today's agenda" from cron (run from the project directory):
+    0 7 * * *  cd /path/to/mcp-assistant && mcp-assistant run agenda.txt --yes
+  with agenda.txt:
+    me = mail me
+    agenda = cal list --day today
+    mail send --to \${me.emailAddress} --subject "Today's agenda" --body "\${agenda}"
+
+Exit status: 0 ok, 1 failed, 2 usage or invalid arguments, 3 authorization needed, 4 change not approved.
+`;
+}
+
+async function main(argv: string[]): Promise<number> {
+  // Global flags may come before the command name as well as after it
+  let i = 0;
+  while (i < argv.length && argv[i].startsWith("-")) i++;
+  const leading = parseArgs({ args: argv.slice(0, i), options: GLOBAL_OPTIONS, strict: true }).values;
+  const words = argv.slice(i);
+
+  if (!words.length || words[0] === "repl") {
+    if (leading.help) {
+      console.log(help());
+      return EXIT.ok;
+    }
+    await import("./client.js");
+    // The REPL exits the process itself
+    return new Promise<number>(() => {});
+  }
+
+  const inv = resolve(words, GLOBAL_OPTIONS);
+  const values = { ...leading, ...inv.values };
+  if (values.help) {
+    console.log(`Usage: mcp-assistant ${inv.name} ${inv.command.usage}\n  ${inv.command.summary}`);
+    return EXIT.ok;
+  }
+  const globals: Globals = { json: Boolean(values.json), yes: Boolean(values.yes), dryRun: Boolean(values["dry-run"]) };
+  const context = createContext(globals);
+  try {
+    if (inv.name === "run") return await runScript(inv, globals, context);
+    print(await context.execute(inv), globals.json);
+    return EXIT.ok;
+  } finally {
+    await context.close();
+  }
+}
+
+main(process.argv.slice(2))
+  .catch((err) => {
+    console.error(describe(err));
+    return exitCodeFor(err);
+  })
+  .then((code) => process.exit(code));
@@ -1,243 +1,581 @@
 import "dotenv/config";
 import readline from "node:readline";
-import { Client } from "@modelcontextprotocol/sdk/client/index.js";
-import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
-import { ListToolsResultSchema, CallToolResultSchema } from "@modelcontextprotocol/sdk/types.js";
-import { generateAnswer } from "./llm.js";
-
-async function spawnServer(command: string, args: string[]) {
-  const transport = new StdioClientTransport({ command, args, env: { ...process.env } });
-  const client = new Client({ name: "mcp assistant", version: "0.4.0" });
-  await client.connect(transport);
-  const tools = await client.request({ method: "tools/list" }, ListToolsResultSchema);
-  return { client, toolNames: tools.tools.map(t => t.name) };
+import { resolveLlmConfig, LlmError } from "./llm.js";
+import { runAgent } from "./agent.js";
+import { createConversation } from "./conversation.js";
+import {
+  createTranscript, saveSession, loadSession, listSessions, exportTranscript, loadHistory, saveHistory,
+  type SessionData,
+} from "./session.js";
+import { loadConfig } from "./config.js";
+import { toolData, toolError, resultText, ToolCallError } from "./registry.js";
+import { createRuntime, formatToolError } from "./runtime.js";
+import { summarize, renderStats, createRedactor } from "./audit.js";
+import {
+  formatDocuments, formatOutline, formatSearchResults, formatPage, formatMessageList, formatMessage,
+  formatEvents, formatEventDetail, formatSlots, formatAuthStatus, formatExport, formatImport, promptText,
+} from "./render.js";
+import { dayBounds } from "../servers/shared/time.js";
+import { McpError } from "@modelcontextprotocol/sdk/types.js";
+
+function printToolError(err: ToolCallError) {
+  if (err.code === "auth_required") console.log(formatToolError(err));
+  else console.error(formatToolError(err));
 }
 
-function safeParseContent(res: unknown): any {
-  const anyRes = res as any;
-  const txt = anyRes?.content?.[0]?.text ?? "";
-  try { return JSON.parse(txt); } catch { return null; }
+function csv(s: string): string[] {
+  return s.split(",").map(x => x.trim()).filter(Boolean);
 }
 
+// First words of every REPL command, for tab completion
+const COMMANDS = [
+  "load", "docs", "unload", "pages", "text", "tables", "meta", "outline", "askpdf", "search", "news", "fetch",
+  "emailme", "inbox", "read", "thread", "emaildraft", "emailsend", "reply", "replyall", "forward",
+  "calme", "calsearch", "calfree", "calschedule", "calget", "calupdate", "caldelete", "calrsvp", "calexport", "calimport",
+  "auth", "authcode", "ask", "reset", "model", "call", "session", "export", "stats",
+  "resources", "readres", "prompts", "prompt", "exit",
+];
+
 async function main() {
-  const pdf = await spawnServer("node", ["./servers/pdf-reader-mcp/index.js"]);
-  console.log("PDF tools:", pdf.toolNames);
+  const config = loadConfig();
+  const dryRun = process.argv.includes("--dry-run");
+  const transcript = createTranscript(createRedactor(config.audit?.redact));
+  const runtime = await createRuntime({
+    config,
+    dryRun,
+    confirm: (q) => new Promise(resolve => rl.question(q, a => resolve(/^y(es)?$/i.test(a.trim())))),
+    onToolResult: transcript.tool,
+  });
+  const { registry, audit, llm, call, callData } = runtime;
+  for (const st of registry.status) {
+    if (st.ok) console.log(`✔ ${st.name}: ${st.tools.join(", ")}`);
+    else console.log(`✖ ${st.name}: failed to connect (${st.error})`);
+  }
+
+  // One history for ask and askpdf, so follow-ups like "and section 3?" have context
+  const conversation = createConversation({ budgetTokens: resolveLlmConfig(config.llm).contextTokens });
+  let sessionName = "repl";
 
-  const web = await spawnServer("node", ["./servers/web-search-mcp/index.js"]);
-  console.log("Web tools:", web.toolNames);
+  // Complete command names, tool names after "call", and session names after "session load"
+  function completer(line: string): [string[], string] {
+    const words = line.trimStart().split(/\s+/);
+    const current = words[words.length - 1];
+    let candidates: string[] = [];
+    if (words.length === 1) candidates = COMMANDS;
+    else if (words.length === 2 && words[0] === "call") candidates = registry.tools.map(t => t.name);
+    else if (words.length === 2 && words[0] === "prompt") candidates = registry.prompts.map(p => p.name);
+    else if (words.length === 2 && words[0] === "session") candidates = ["save", "load", "list"];
+    else if (words.length === 3 && words[0] === "session" && words[1] === "load") candidates = listSessions().map(s => s.name);
+    const hits = candidates.filter(c => c.startsWith(current));
+    return [hits.length ? hits : candidates, current];
+  }
 
-  const gmail = await spawnServer("node", ["./servers/gmail-mcp/index.js"]);
-  console.log("Gmail tools:", gmail.toolNames);
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    completer,
+    history: loadHistory(),
+    historySize: 500,
+    removeHistoryDuplicates: true,
+  });
+  rl.on("history", (history) => saveHistory(history));
+  if (dryRun) console.log("Dry-run mode: mutating tools will be previewed but not executed.");
+
+  // The agent gets the raw text, error envelopes included, so the model can correct itself;
+  // the user still sees failures as they happen
+  async function callTool(name: string, args: Record<string, unknown>) {
+    const res = await call(name, args);
+    const err = toolError(name, res);
+    if (err) printToolError(err);
+    return resultText(res);
+  }
 
-  const cal = await spawnServer("node", ["./servers/calendar-mcp/index.js"]);
-  console.log("Calendar tools:", cal.toolNames);
+  // Run the tool-using agent, streaming its answer, and record the exchange
+  async function askAgent(question: string) {
+    let midLine = false;
+    const answer = await runAgent(question, {
+      tools: registry.tools,
+      callTool,
+      conversation,
+      provider: llm,
+      onToken: (t) => {
+        process.stdout.write(t);
+        midLine = !t.endsWith("\n");
+      },
+      onToolCall: (name, args) => {
+        if (midLine) process.stdout.write("\n");
+        midLine = false;
+        console.log(`→ ${name} ${JSON.stringify(args)}`);
+      },
+    });
+    process.stdout.write("\n");
+    transcript.answer(question, answer);
+  }
 
-  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  async function currentSession(name: string): Promise<SessionData> {
+    const docs = registry.findTool("list_documents") ? toolData("list_documents", await registry.call("list_documents", {})).documents : [];
+    return {
+      version: 1,
+      name,
+      savedAt: new Date().toISOString(),
+      llm: { provider: llm.name, model: llm.model },
+      conversation: conversation.snapshot(),
+      documents: docs.map((d: any) => ({ docId: d.docId, source: d.source })),
+      transcript: transcript.entries,
+    };
+  }
+
+  // Restore history and transcript, then re-open the PDFs the session had loaded.
+  // docIds are assigned by the server, so a reloaded PDF may come back under a new id.
+  async function restoreSession(data: SessionData) {
+    conversation.restore(data.conversation);
+    transcript.replace(data.transcript);
+    console.log(`Restored "${data.name}" (saved ${data.savedAt}): ${conversation.turnCount} turn(s)`);
+    for (const d of data.documents) {
+      const res = await call("load_pdf", { target: d.source });
+      const err = toolError("load_pdf", res);
+      const loaded = err ? {} : toolData("load_pdf", res);
+      if (!loaded.docId) console.log(`  ✖ ${d.source}: ${err?.message ?? resultText(res)}`);
+      else console.log(`  ✔ ${d.source} → ${loaded.docId}${loaded.docId !== d.docId ? ` (was ${d.docId})` : ""}`);
+    }
+  }
   console.log(`
 Commands:
-  load <pathOrUrl>                         — load a PDF
-  pages                                    — get page count
-  text <page>                              — extract text for a page
-  askpdf <question>                        — answer using loaded PDF text (LLM)
-  search <query>                           — web search via SerpAPI
+  load <pathOrUrl>                         — load a PDF (returns a docId)
+  docs                                     — list loaded PDFs
+  unload <docId>                           — drop a loaded PDF
+  pages [docId]                            — get page count
+  text <page> [docId]                      — extract text for a page
+  tables <page> [docId]                    — detect tables on a page
+  meta [docId]                             — PDF metadata
+  outline [docId]                          — PDF bookmarks
+  askpdf <question>                        — answer from the best-matching PDF passages (LLM)
+  search <query>[|site=..|time=week|page=2|provider=brave]
+                                           — web search (time: day, week, month, year)
+  news <query>[|...]                       — news search, same options
+  fetch <url>[|text]                       — read a page's main content (markdown, or plain text)
   emailme                                  — Gmail profile
+  inbox [gmail query]                      — list messages (default: in:inbox)
+  read <messageId>                         — read a message
+  thread <threadId>                        — read a whole thread
   emaildraft to|subject|body               — create draft
   emailsend to|subject|body                — send email
+    (both also take |file1,file2|cc|bcc; address lists are comma-separated)
+  reply <messageId>|body                   — reply in the original thread
+  replyall <messageId>|body                — reply to everyone on the message
+  forward <messageId>|to|note              — forward with attachments
   calme                                    — show next 5 events (today window)
-  calsearch 2025-10-25                     — list events on a specific date
-  calfree minutes|startISO|endISO          — find a free slot
-  calschedule summary|startISO|endISO|att1,att2|location|description
+  calsearch <date>                         — list events on a day (2025-10-25, tomorrow, fri)
+  calfree minutes|start|end[|att1,att2]    — ranked free slots (working hours)
+  calschedule summary|start|end|att1,att2|location|description
+    (times: ISO or phrases like "tomorrow 3pm", "next Tue 10:00 for 45m"; a bare date is all-day)
+  calget <eventId>                         — show one event
+  calupdate <eventId>|field=value|...      — change an event
+    (fields: title, start, end, location, description, attendees, add, remove, notify)
+  caldelete <eventId>[|notify]             — cancel an event (notify: all|externalOnly|none)
+  calrsvp <eventId>|accepted|comment       — respond: accepted, declined or tentative
+  calexport start|end|file.ics             — save events in a window as .ics
+  calimport <file.ics>[|dry]               — add events from an .ics file (skips known UIDs)
+  auth [gmail|calendar]                    — show Google authorization state (starts login if needed)
+  authcode <gmail|calendar>|<url or code>  — finish a login started on a machine without a browser
+  ask <anything>                           — let the LLM pick and call tools (remembers the conversation)
+  reset                                    — forget the conversation so far
+  model                                    — show the LLM provider, model and history size
+  call <tool> [json args]                  — call any tool directly (Tab completes tool names)
+  session save|load|list [name]            — save or restore the conversation and loaded PDFs
+  export <file.md|file.json>               — write the full transcript, tool calls included
+  stats [all]                              — tool calls, tokens and estimated cost this session (all: every session)
+  resources                                — list resources the servers publish (PDF pages, upcoming events)
+  readres <uri>                            — read one, e.g. pdf://doc1/page/2 or calendar://upcoming
+  prompts                                  — list the servers' prompt templates
+  prompt <name>[|arg=value|...]            — run a template through the LLM, e.g. prompt summarize_pdf|focus=risks
   exit
+
+Tools that change something (send, draft, schedule) are previewed and need y/n approval.
+Start with --dry-run to preview them without running anything.
 `);
 
   rl.on("line", async (line) => {
     const [cmd, ...rest] = line.trim().split(/\s+/);
     const arg = rest.join(" ");
+    if (!cmd) return;
+    transcript.command(line.trim());
 
     try {
       if (cmd === "exit") {
-        await pdf.client.close();
-        await web.client.close();
-        await gmail.client.close();
-        await cal.client.close();
+        await registry.closeAll();
         process.exit(0);
       }
 
+      if (cmd === "ask") {
+        if (!arg) return console.log("Usage: ask <anything>");
+        await askAgent(arg);
+        return;
+      }
+
+      if (cmd === "reset") {
+        conversation.clear();
+        console.log("Conversation cleared.");
+        return;
+      }
+
+      if (cmd === "model") {
+        console.log(`${llm.name}: ${llm.model} — history ${conversation.turnCount} turn(s), ~${conversation.tokens} tokens`);
+        return;
+      }
+
       if (cmd === "load") {
-        const res = await pdf.client.request(
-          { method: "tools/call", params: { name: "load_pdf", arguments: { target: arg } } },
-          CallToolResultSchema
-        );
-        console.log(res);
+        console.log(await callData("load_pdf", { target: arg }));
+        return;
+      }
+
+      if (cmd === "docs") {
+        const data = await callData("list_documents");
+        console.log(formatDocuments(data));
+        return;
+      }
+
+      if (cmd === "unload") {
+        if (!arg) return console.log("Usage: unload <docId>");
+        console.log(await callData("unload_document", { docId: arg }));
         return;
       }
 
       if (cmd === "pages") {
-        const res = await pdf.client.request(
-          { method: "tools/call", params: { name: "page_count", arguments: {} } },
-          CallToolResultSchema
-        );
-        console.log(res);
+        console.log(await callData("page_count", rest[0] ? { docId: rest[0] } : {}));
         return;
       }
 
       if (cmd === "text") {
         const page = Number(rest[0] ?? 1);
-        const res = await pdf.client.request(
-          { method: "tools/call", params: { name: "extract_text", arguments: { page } } },
-          CallToolResultSchema
-        );
-        console.log(JSON.stringify(res, null, 2).slice(0, 2000));
+        const data = await callData("extract_text", rest[1] ? { page, docId: rest[1] } : { page });
+        console.log(JSON.stringify(data, null, 2).slice(0, 2000));
+        return;
+      }
+
+      if (cmd === "tables") {
+        const page = Number(rest[0] ?? 1);
+        const data = await callData("extract_tables", rest[1] ? { page, docId: rest[1] } : { page });
+        if (!data.tables?.length) return console.log(`No tables detected on page ${page}.`);
+        data.tables.forEach((t: any, i: number) => {
+          console.log(`\nTable ${i + 1} (${t.columns} columns)`);
+          console.table(t.rows);
+        });
+        return;
+      }
+
+      if (cmd === "meta") {
+        console.log(await callData("pdf_metadata", rest[0] ? { docId: rest[0] } : {}));
+        return;
+      }
+
+      if (cmd === "outline") {
+        console.log(formatOutline(await callData("pdf_outline", rest[0] ? { docId: rest[0] } : {})));
         return;
       }
 
       if (cmd === "askpdf") {
-        const pagesRes = await pdf.client.request(
-          { method: "tools/call", params: { name: "page_count", arguments: {} } },
-          CallToolResultSchema
+        if (!arg) return console.log("Usage: askpdf <question>");
+        // The excerpts and answering rules come from pdf-reader's answer_from_pdf prompt
+        const { messages } = await registry.getPrompt("answer_from_pdf", { question: arg });
+        const system = "You are a precise assistant. Earlier questions and answers are context for follow-ups.";
+        // Only the question and answer go into history; excerpts are re-retrieved per question
+        const res = await llm.chat(
+          [...conversation.messages(system), { role: "user", content: promptText(messages) }],
+          { onToken: (t) => process.stdout.write(t) },
         );
-        const pagesJson = safeParseContent(pagesRes);
-        const total = pagesJson?.pages ?? 1;
-
-        let context = "";
-        const MAX_PAGES = Math.min(total, 5);
-        for (let i = 1; i <= MAX_PAGES; i++) {
-          const p = await pdf.client.request(
-            { method: "tools/call", params: { name: "extract_text", arguments: { page: i } } },
-            CallToolResultSchema
-          );
-          const j = safeParseContent(p);
-          context += `\n\n[Page ${i}]\n${(j?.text || "").slice(0, 4000)}`;
+        process.stdout.write("\n");
+        conversation.add({ role: "user", content: arg });
+        conversation.add({ role: "assistant", content: res.content });
+        transcript.answer(arg, res.content);
+        return;
+      }
+
+      if (cmd === "resources") {
+        const entries = await registry.listResources();
+        if (!entries.length) return console.log("No resources published.");
+        for (const r of entries) console.log(`${(r.uri ?? r.uriTemplate ?? "").padEnd(28)} ${r.name}${r.description ? ` — ${r.description}` : ""}  [${r.server}]`);
+        return;
+      }
+
+      if (cmd === "readres") {
+        if (!arg) return console.log("Usage: readres <uri>   (e.g. pdf://doc1/page/2, calendar://upcoming)");
+        const { contents } = await registry.readResource(arg);
+        for (const c of contents) {
+          if (typeof c.text !== "string") console.log(`[${c.mimeType ?? "binary"} content]`);
+          else if (c.mimeType === "application/json") console.log(JSON.stringify(JSON.parse(c.text), null, 2));
+          else console.log(c.text);
         }
+        return;
+      }
 
-        const prompt = [
-          "You are a precise assistant. Answer based ONLY on the provided PDF excerpts.",
-          "Cite the page numbers like (p.2). If unsure, ask for more pages.",
-          "",
-          `Question: ${arg}`,
-          "",
-          "PDF Excerpts:",
-          context
-        ].join("\n");
+      if (cmd === "prompts") {
+        if (!registry.prompts.length) return console.log("No prompts published.");
+        for (const p of registry.prompts) {
+          const args = (p.arguments ?? []).map(a => (a.required ? a.name : `${a.name}?`)).join(", ");
+          console.log(`${p.name}(${args}) — ${p.description ?? ""}  [${p.server}]`);
+        }
+        return;
+      }
 
-        const answer = await generateAnswer(prompt);
-        console.log(answer);
+      if (cmd === "prompt") {
+        const [name, ...pairs] = arg.split("|").map(s => s.trim());
+        if (!name) return console.log("Usage: prompt <name>[|arg=value|...]   (see: prompts)");
+        const args: Record<string, string> = {};
+        for (const pair of pairs) {
+          const [key, value = ""] = pair.split(/=(.*)/s).map(s => s.trim());
+          args[key] = value;
+        }
+        const { messages } = await registry.getPrompt(name, args);
+        await askAgent(promptText(messages));
         return;
       }
 
-      if (cmd === "search") {
-        const res = await web.client.request(
-          { method: "tools/call", params: { name: "web_search", arguments: { query: arg, num: 5 } } },
-          CallToolResultSchema
-        );
-        const data = safeParseContent(res) || {};
-        console.log(`\n🔎 ${data.query}`);
-        (data.results || []).forEach((r: any, i: number) => {
-          console.log(`\n${i + 1}. ${r.title}\n   ${r.url}\n   ${r.snippet}`);
-        });
+      if (cmd === "call") {
+        const [tool, ...json] = rest;
+        if (!tool) return console.log("Usage: call <tool> [json args]");
+        const args = json.length ? JSON.parse(json.join(" ")) : {};
+        const res = await call(tool, args);
+        const err = toolError(tool, res);
+        if (err) throw err;
+        console.log(resultText(res));
+        return;
+      }
+
+      if (cmd === "session") {
+        const [action, name] = rest;
+        if (action === "list") {
+          const sessions = listSessions();
+          if (!sessions.length) return console.log("No saved sessions.");
+          for (const s of sessions) console.log(`${s.name.padEnd(24)} ${s.savedAt}  ${s.turns} turn(s), ${s.documents} PDF(s)`);
+          return;
+        }
+        if ((action !== "save" && action !== "load") || !name) return console.log("Usage: session save|load <name>  or  session list");
+        if (action === "save") console.log(`Saved to ${saveSession(await currentSession(name))}`);
+        else await restoreSession(loadSession(name));
+        sessionName = name;
+        return;
+      }
+
+      if (cmd === "export") {
+        if (!arg) return console.log("Usage: export <file.md|file.json>");
+        console.log(`Wrote ${exportTranscript(arg, await currentSession(sessionName))}`);
+        return;
+      }
+
+      if (cmd === "stats") {
+        if (!audit.enabled) return console.log("The audit log is disabled (audit.enabled is false in config/servers.json).");
+        const sessions = summarize(audit.read());
+        if (arg === "all") {
+          if (!sessions.length) return console.log(`No calls recorded in ${audit.file}.`);
+          for (const s of sessions) console.log(`\n${renderStats(s)}`);
+          return;
+        }
+        const current = sessions.find(s => s.session === audit.session);
+        console.log(current ? renderStats(current) : `No tool or LLM calls yet in session ${audit.session}.`);
+        console.log(`(log: ${audit.file})`);
+        return;
+      }
+
+      if (cmd === "search" || cmd === "news") {
+        const [query, ...opts] = arg.split("|").map(s => s.trim());
+        if (!query) return console.log(`Usage: ${cmd} <query>[|site=example.com|time=week|page=2|provider=brave]`);
+        const args: Record<string, unknown> = { query, num: 5, type: cmd === "news" ? "news" : "web" };
+        for (const opt of opts) {
+          const [key, value = ""] = opt.split(/=(.*)/s).map(s => s.trim());
+          if (key === "site" || key === "provider") args[key] = value;
+          else if (key === "time") args.timeRange = value;
+          else if (key === "page" || key === "num") args[key] = Number(value);
+          else return console.log(`Unknown option: ${key}`);
+        }
+        console.log(`\n${formatSearchResults(await callData("web_search", args))}`);
+        return;
+      }
+
+      if (cmd === "fetch") {
+        const [url, format] = arg.split("|").map(s => s.trim());
+        if (!url) return console.log("Usage: fetch <url>[|text]");
+        const page = await callData("fetch_url", { url, format: format === "text" ? "text" : "markdown" });
+        console.log(`\n${formatPage(page)}`);
         return;
       }
 
       if (cmd === "emailme") {
-        const res = await gmail.client.request(
-          { method: "tools/call", params: { name: "gmail_profile", arguments: {} } },
-          CallToolResultSchema
-        );
-        console.log(safeParseContent(res));
+        console.log(await callData("gmail_profile"));
         return;
       }
 
-      if (cmd === "emaildraft") {
-        const [to, subject, body] = arg.split("|").map(s => (s ?? "").trim());
-        if (!to || !subject || !body) return console.log('Usage: emaildraft to|subject|body');
-        const res = await gmail.client.request(
-          { method: "tools/call", params: { name: "gmail_create_draft", arguments: { to, subject, body } } },
-          CallToolResultSchema
-        );
-        console.log("Draft:", safeParseContent(res));
+      if (cmd === "inbox") {
+        console.log(`\n${formatMessageList(await callData("gmail_search", arg ? { query: arg } : {}))}`);
         return;
       }
 
-      if (cmd === "emailsend") {
-        const [to, subject, body] = arg.split("|").map(s => (s ?? "").trim());
-        if (!to || !subject || !body) return console.log('Usage: emailsend to|subject|body');
-        const res = await gmail.client.request(
-          { method: "tools/call", params: { name: "gmail_send_message", arguments: { to, subject, body } } },
-          CallToolResultSchema
-        );
-        console.log("Sent:", safeParseContent(res));
+      if (cmd === "read") {
+        if (!arg) return console.log("Usage: read <messageId>");
+        console.log(`\n${formatMessage(await callData("gmail_get_message", { id: arg }))}`);
+        return;
+      }
+
+      if (cmd === "thread") {
+        if (!arg) return console.log("Usage: thread <threadId>");
+        const data = await callData("gmail_get_thread", { threadId: arg });
+        for (const m of data.messages || []) console.log(`\n${formatMessage(m)}`);
+        return;
+      }
+
+      if (cmd === "emaildraft" || cmd === "emailsend") {
+        const [to, subject, body, files = "", cc = "", bcc = ""] = arg.split("|").map(s => (s ?? "").trim());
+        if (!to || !subject || !body) return console.log(`Usage: ${cmd} to|subject|body[|file1,file2|cc|bcc]`);
+        const args: Record<string, unknown> = { to, subject, body };
+        if (files) args.attachments = csv(files);
+        if (cc) args.cc = cc;
+        if (bcc) args.bcc = bcc;
+        const tool = cmd === "emaildraft" ? "gmail_create_draft" : "gmail_send_message";
+        console.log(cmd === "emaildraft" ? "Draft:" : "Sent:", await callData(tool, args));
+        return;
+      }
+
+      if (cmd === "reply" || cmd === "replyall") {
+        const [messageId, body] = arg.split("|").map(s => (s ?? "").trim());
+        if (!messageId || !body) return console.log(`Usage: ${cmd} <messageId>|body`);
+        console.log("Replied:", await callData("gmail_reply", { messageId, body, replyAll: cmd === "replyall" }));
+        return;
+      }
+
+      if (cmd === "forward") {
+        const [messageId, to, body = ""] = arg.split("|").map(s => (s ?? "").trim());
+        if (!messageId || !to) return console.log("Usage: forward <messageId>|to|note");
+        console.log("Forwarded:", await callData("gmail_forward", { messageId, to, body }));
         return;
       }
 
       if (cmd === "calme") {
-        const now = new Date();
-        const end = new Date(now); end.setHours(23,59,59,999);
-        const res = await cal.client.request(
-          { method: "tools/call", params: { name: "calendar_list_events", arguments: {
-            timeMin: now.toISOString(), timeMax: end.toISOString(), maxResults: 5
-          } } },
-          CallToolResultSchema
-        );
-        const data = safeParseContent(res) || {};
-        (data.items || []).forEach((ev: any, i: number) => {
-          console.log(`\n${i+1}. ${ev.summary || "(no title)"}\n   ${ev.start?.dateTime || ev.start?.date} → ${ev.end?.dateTime || ev.end?.date}\n   ${ev.location || ""}`);
+        // From now to the end of today in the calendar's zone, like calsearch
+        const timeZone = process.env.CALENDAR_DEFAULT_TZ || "America/Chicago";
+        const { end } = dayBounds("today", { timeZone });
+        const data = await callData("calendar_list_events", {
+          timeMin: new Date().toISOString(), timeMax: new Date(end).toISOString(), maxResults: 5, timeZone
         });
+        console.log(`\n${formatEvents(data)}`);
         return;
       }
 
       if (cmd === "calsearch") {
         const day = arg.trim();
-        if (!day) return console.log("Usage: calsearch YYYY-MM-DD");
-        const start = new Date(`${day}T00:00:00`);
-        const end = new Date(`${day}T23:59:59`);
-        const res = await cal.client.request(
-          { method: "tools/call", params: { name: "calendar_list_events", arguments: {
-            timeMin: start.toISOString(), timeMax: end.toISOString(), maxResults: 20
-          } } },
-          CallToolResultSchema
-        );
-        const data = safeParseContent(res) || {};
-        (data.items || []).forEach((ev: any, i: number) => {
-          console.log(`\n${i+1}. ${ev.summary || "(no title)"}\n   ${ev.start?.dateTime || ev.start?.date} → ${ev.end?.dateTime || ev.end?.date}\n   ${ev.location || ""}`);
+        if (!day) return console.log("Usage: calsearch <date>   (e.g. 2025-10-25, tomorrow, next fri)");
+        // Day boundaries come from the calendar's zone, not the machine's
+        const timeZone = process.env.CALENDAR_DEFAULT_TZ || "America/Chicago";
+        const { start, end } = dayBounds(day, { timeZone });
+        const data = await callData("calendar_list_events", {
+          timeMin: new Date(start).toISOString(), timeMax: new Date(end).toISOString(), maxResults: 20, timeZone
         });
+        console.log(`\n${formatEvents(data)}`);
         return;
       }
 
       if (cmd === "calfree") {
-        const [mins, startISO, endISO] = arg.split("|").map(s => (s ?? "").trim());
+        const [mins, startISO, endISO, attendeesCSV = ""] = arg.split("|").map(s => (s ?? "").trim());
         const durationMinutes = Number(mins || 30);
-        const res = await cal.client.request(
-          { method: "tools/call", params: { name: "calendar_find_free", arguments: {
-            durationMinutes, timeMin: startISO, timeMax: endISO
-          } } },
-          CallToolResultSchema
-        );
-        console.log("Free slot:", safeParseContent(res));
+        const args: Record<string, unknown> = { durationMinutes, timeMin: startISO, timeMax: endISO };
+        if (attendeesCSV) args.attendees = csv(attendeesCSV);
+        const data = await callData("calendar_find_free", args);
+        console.log(formatSlots(data));
         return;
       }
 
       if (cmd === "calschedule") {
-        const [summary, startISO, endISO, attendeesCSV="", location="", description=""] = arg.split("|").map(s => (s ?? "").trim());
-        if (!summary || !startISO || !endISO) return console.log('Usage: calschedule summary|startISO|endISO|att1,att2|location|description');
-        const attendees = attendeesCSV ? attendeesCSV.split(",").map(s => s.trim()).filter(Boolean) : [];
-        const res = await cal.client.request(
-          { method: "tools/call", params: { name: "calendar_create_event", arguments: {
-            summary, start: startISO, end: endISO, attendees, location, description
-          } } },
-          CallToolResultSchema
-        );
-        console.log("Created:", safeParseContent(res));
+        const [summary, start, end = "", attendeesCSV = "", location = "", description = ""] = arg.split("|").map(s => (s ?? "").trim());
+        if (!summary || !start) return console.log('Usage: calschedule summary|start|end|att1,att2|location|description');
+        const args: Record<string, unknown> = { summary, start, attendees: csv(attendeesCSV) };
+        if (end) args.end = end;
+        if (location) args.location = location;
+        if (description) args.description = description;
+        console.log("Created:", await callData("calendar_create_event", args));
+        return;
+      }
+
+      if (cmd === "calget") {
+        if (!arg) return console.log("Usage: calget <eventId>");
+        console.log(`\n${formatEventDetail(await callData("calendar_get_event", { eventId: arg }))}`);
+        return;
+      }
+
+      if (cmd === "calupdate") {
+        const [eventId, ...pairs] = arg.split("|").map(s => (s ?? "").trim());
+        if (!eventId || !pairs.length) return console.log("Usage: calupdate <eventId>|field=value|...");
+        const fields: Record<string, string> = { title: "summary", notify: "sendUpdates", add: "addAttendees", remove: "removeAttendees" };
+        const lists = new Set(["attendees", "addAttendees", "removeAttendees"]);
+        const args: Record<string, unknown> = { eventId };
+        for (const pair of pairs) {
+          const eq = pair.indexOf("=");
+          if (eq < 0) return console.log(`Expected field=value, got "${pair}"`);
+          const key = fields[pair.slice(0, eq).trim()] ?? pair.slice(0, eq).trim();
+          const value = pair.slice(eq + 1).trim();
+          args[key] = lists.has(key) ? csv(value) : value;
+        }
+        console.log("Updated:", await callData("calendar_update_event", args));
+        return;
+      }
+
+      if (cmd === "caldelete") {
+        const [eventId, sendUpdates] = arg.split("|").map(s => (s ?? "").trim());
+        if (!eventId) return console.log("Usage: caldelete <eventId>[|all|externalOnly|none]");
+        console.log("Deleted:", await callData("calendar_delete_event", sendUpdates ? { eventId, sendUpdates } : { eventId }));
+        return;
+      }
+
+      if (cmd === "calrsvp") {
+        const [eventId, response, comment] = arg.split("|").map(s => (s ?? "").trim());
+        if (!eventId || !response) return console.log("Usage: calrsvp <eventId>|accepted|declined|tentative[|comment]");
+        console.log("RSVP:", await callData("calendar_respond", comment ? { eventId, response, comment } : { eventId, response }));
+        return;
+      }
+
+      if (cmd === "auth") {
+        const services = arg ? [arg] : ["gmail", "calendar"];
+        for (const svc of services) {
+          if (!registry.findTool(`${svc}_auth_status`)) {
+            console.log(`${svc}: not connected`);
+            continue;
+          }
+          console.log(`\n${formatAuthStatus(svc, await callData(`${svc}_auth_status`, { login: true }))}`);
+        }
+        return;
+      }
+
+      if (cmd === "authcode") {
+        const [svc, code] = arg.split(/\|(.*)/s).map(s => (s ?? "").trim());
+        if (!svc || !code) return console.log("Usage: authcode <gmail|calendar>|<redirect URL or code>");
+        const st = await callData(`${svc}_auth_submit_code`, { code });
+        console.log(st.authenticated ? `${svc}: authorized` : st);
+        return;
+      }
+
+      if (cmd === "calexport") {
+        const [timeMin, timeMax, path] = arg.split("|").map(s => (s ?? "").trim());
+        if (!timeMin || !timeMax || !path) return console.log("Usage: calexport start|end|file.ics");
+        console.log(formatExport(await callData("calendar_export_ics", { timeMin, timeMax, path })));
+        return;
+      }
+
+      if (cmd === "calimport") {
+        const [path, flag] = arg.split("|").map(s => (s ?? "").trim());
+        if (!path) return console.log("Usage: calimport <file.ics>[|dry]");
+        console.log(formatImport(await callData("calendar_import_ics", { path, dryRun: flag === "dry" })));
         return;
       }
 
       console.log("Unknown command");
     } catch (err) {
-      console.error("Error:", err);
+      if (err instanceof LlmError) console.error(`\nLLM error (${err.provider}, ${err.kind}): ${err.message}`);
+      else if (err instanceof ToolCallError) printToolError(err);
+      else if (err instanceof McpError) console.error(err.message.replace(/^(MCP error -?\d+: )+/, ""));
+      else console.error(`Error: ${err instanceof Error ? err.message : String(err)}`);
     }
   });
 }
 
 main().catch((e) => {
-  console.error(e);
+  console.error(e instanceof Error ? e.message : e);
   process.exit(1);
 });
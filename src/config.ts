@@ -3,15 +3,55 @@ import path from "node:path";
 import { z } from "zod";
 import type { AppConfig } from "./types.js";
 
-const ServerSchema = z.object({
-  name: z.string(),
-  command: z.string(),
-  args: z.array(z.string()),
-  env: z.record(z.string()).optional(),
+const ServerSchema = z.union([
+  z.object({
+    name: z.string(),
+    command: z.string(),
+    args: z.array(z.string()),
+    env: z.record(z.string()).optional(),
+  }),
+  z.object({
+    name: z.string(),
+    url: z.string().url(),
+    headers: z.record(z.string()).optional(),
+    tokenEnv: z.string().optional(),
+  }),
+]);
+
+const PolicySchema = z.object({
+  autoApprove: z.array(z.string()).optional(),
+});
+
+const LlmSchema = z.object({
+  provider: z.enum(["openai", "ollama", "openai-compatible"]).optional(),
+  model: z.string().optional(),
+  temperature: z.number().min(0).max(2).optional(),
+  baseUrl: z.string().url().optional(),
+  apiKeyEnv: z.string().optional(),
+  timeoutMs: z.number().int().positive().optional(),
+  maxRetries: z.number().int().min(0).max(10).optional(),
+  contextTokens: z.number().int().min(1000).optional(),
+});
+
+const AuditSchema = z.object({
+  enabled: z.boolean().optional(),
+  file: z.string().optional(),
+  redact: z
+    .object({
+      keys: z.array(z.string()).optional(),
+      patterns: z
+        .array(z.string().refine(p => { try { new RegExp(p); return true; } catch { return false; } }, "not a valid regular expression"))
+        .optional(),
+    })
+    .optional(),
+  prices: z.record(z.object({ prompt: z.number().min(0), completion: z.number().min(0) })).optional(),
 });
 
 const ConfigSchema = z.object({
   servers: z.array(ServerSchema).min(1),
+  policy: PolicySchema.optional(),
+  llm: LlmSchema.optional(),
+  audit: AuditSchema.optional(),
 });
 
 export function loadConfig(): AppConfig {
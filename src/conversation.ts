@@ -0,0 +1,66 @@
+import type { ChatMessage } from "./types.js";
+
+// Rough but provider-independent: ~4 characters per token for English text and JSON.
+export function estimateTokens(m: ChatMessage): number {
+  const extra = m.role === "assistant" && m.toolCalls ? JSON.stringify(m.toolCalls).length : 0;
+  return Math.ceil((m.content.length + extra) / 4) + 4;
+}
+
+/**
+ * Multi-turn history shared by `ask` and `askpdf`, trimmed to a token budget.
+ * Trimming drops whole turns, oldest first: a user message together with the
+ * assistant and tool messages that answered it, so a tool result never loses
+ * the call it belongs to. The system prompt and the newest turn always stay.
+ */
+export function createConversation(opts: { budgetTokens: number }) {
+  let turns: ChatMessage[][] = [];
+
+  function add(message: ChatMessage) {
+    if (message.role === "user" || turns.length === 0) turns.push([message]);
+    else turns[turns.length - 1].push(message);
+  }
+
+  /** Messages to send, prefixed by `system` and trimmed to the budget. */
+  function messages(system?: string): ChatMessage[] {
+    const head: ChatMessage[] = system ? [{ role: "system", content: system }] : [];
+    let budget = opts.budgetTokens - head.reduce((n, m) => n + estimateTokens(m), 0);
+    const kept: ChatMessage[][] = [];
+    for (let i = turns.length - 1; i >= 0; i--) {
+      const cost = turns[i].reduce((n, m) => n + estimateTokens(m), 0);
+      if (kept.length && cost > budget) break;
+      kept.unshift(turns[i]);
+      budget -= cost;
+    }
+    return [...head, ...kept.flat()];
+  }
+
+  function clear() {
+    turns = [];
+  }
+
+  /** Full untrimmed history, for saving a session. */
+  function snapshot(): ChatMessage[] {
+    return turns.flat();
+  }
+
+  function restore(history: ChatMessage[]) {
+    clear();
+    for (const m of history) add(m);
+  }
+
+  return {
+    add,
+    messages,
+    clear,
+    snapshot,
+    restore,
+    get turnCount() {
+      return turns.length;
+    },
+    get tokens() {
+      return turns.flat().reduce((n, m) => n + estimateTokens(m), 0);
+    },
+  };
+}
+
+export type Conversation = ReturnType<typeof createConversation>;
@@ -1,30 +1,334 @@
 import OpenAI from "openai";
+import type { ChatCompletionMessageParam } from "openai/resources/chat/completions";
+import type { ChatMessage, ChatResult, LlmConfig, LlmProviderName, ToolCall, ToolSpec } from "./types.js";
+
+export type ChatOptions = {
+  tools?: ToolSpec[];
+  /** Called with each text delta as it arrives; omit for a single non-streamed response */
+  onToken?: (text: string) => void;
+};
+
+export type LlmProvider = {
+  name: LlmProviderName;
+  model: string;
+  chat(messages: ChatMessage[], opts?: ChatOptions): Promise<ChatResult>;
+};
+
+export type LlmErrorKind = "auth" | "rate_limit" | "timeout" | "network" | "server" | "bad_request";
+
+export class LlmError extends Error {
+  readonly kind: LlmErrorKind;
+  readonly status?: number;
+  readonly provider: string;
+
+  constructor(kind: LlmErrorKind, message: string, opts: { provider: string; status?: number; cause?: unknown }) {
+    super(message, { cause: opts.cause });
+    this.name = "LlmError";
+    this.kind = kind;
+    this.status = opts.status;
+    this.provider = opts.provider;
+  }
+
+  get retryable() {
+    return this.kind === "rate_limit" || this.kind === "timeout" || this.kind === "network" || this.kind === "server";
+  }
+}
+
+type ResolvedConfig = Required<Omit<LlmConfig, "baseUrl" | "apiKeyEnv">> & { baseUrl?: string; apiKey?: string };
+
+const DEFAULT_MODELS: Record<LlmProviderName, string> = {
+  openai: "gpt-4o-mini",
+  ollama: "llama3.1",
+  "openai-compatible": "gpt-4o-mini",
+};
 
 /**
- * Route to OpenAI if OPENAI_API_KEY is set; otherwise try Ollama at LOCAL_MODEL_URL.
- * Returns a single text string.
+ * Merge config/servers.json "llm" with env overrides (LLM_PROVIDER, LLM_MODEL,
+ * LLM_TEMPERATURE, LLM_BASE_URL, LLM_TIMEOUT_MS, LLM_CONTEXT_TOKENS).
+ * Without either, keep the old routing: OpenAI when OPENAI_API_KEY is set, else Ollama.
  */
-export async function generateAnswer(prompt: string): Promise<string> {
-  const openaiKey = process.env.OPENAI_API_KEY;
-  if (openaiKey) {
-    const client = new OpenAI({ apiKey: openaiKey });
-    const res = await client.chat.completions.create({
-      model: "gpt-4o-mini", // small & cheap; change as you like
-      messages: [{ role: "user", content: prompt }],
-      temperature: 0.2,
-    });
-    return res.choices[0]?.message?.content ?? "";
+export function resolveLlmConfig(cfg: LlmConfig = {}): ResolvedConfig {
+  const env = process.env;
+  const provider = (env.LLM_PROVIDER as LlmProviderName | undefined) || cfg.provider || (env.OPENAI_API_KEY ? "openai" : "ollama");
+  if (!(provider in DEFAULT_MODELS)) throw new Error(`Unknown LLM provider "${provider}" (openai, ollama or openai-compatible)`);
+  const num = (v: string | undefined) => (v === undefined || v === "" ? undefined : Number(v));
+  const baseUrl =
+    env.LLM_BASE_URL || cfg.baseUrl || (provider === "ollama" ? env.LOCAL_MODEL_URL || "http://localhost:11434" : undefined);
+  if (provider === "openai-compatible" && !baseUrl) throw new Error("openai-compatible provider needs LLM_BASE_URL or llm.baseUrl");
+  const keyEnv = cfg.apiKeyEnv || (provider === "openai-compatible" ? "LLM_API_KEY" : "OPENAI_API_KEY");
+  return {
+    provider,
+    model: env.LLM_MODEL || cfg.model || DEFAULT_MODELS[provider],
+    temperature: num(env.LLM_TEMPERATURE) ?? cfg.temperature ?? 0.2,
+    baseUrl,
+    apiKey: env[keyEnv],
+    timeoutMs: num(env.LLM_TIMEOUT_MS) ?? cfg.timeoutMs ?? 60000,
+    maxRetries: cfg.maxRetries ?? 2,
+    contextTokens: num(env.LLM_CONTEXT_TOKENS) ?? cfg.contextTokens ?? 12000,
+  };
+}
+
+export function createProvider(cfg: LlmConfig = {}): LlmProvider {
+  const resolved = resolveLlmConfig(cfg);
+  const provider = resolved.provider === "ollama" ? ollamaProvider(resolved) : openAIProvider(resolved);
+  return withRetries(provider, resolved.maxRetries);
+}
+
+// Retry transient failures, but never after tokens reached the terminal: the user would see them twice.
+function withRetries(provider: LlmProvider, maxRetries: number): LlmProvider {
+  return {
+    ...provider,
+    async chat(messages, opts = {}) {
+      for (let attempt = 0; ; attempt++) {
+        let streamed = false;
+        const onToken = opts.onToken && ((t: string) => { streamed = true; opts.onToken!(t); });
+        try {
+          return await provider.chat(messages, { ...opts, onToken });
+        } catch (err) {
+          if (!(err instanceof LlmError) || !err.retryable || streamed || attempt >= maxRetries) throw err;
+          const delay = Math.min(8000, 500 * 2 ** attempt) * (0.5 + Math.random() / 2);
+          console.error(`(${provider.name} ${err.kind}; retrying in ${Math.round(delay)}ms)`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    },
+  };
+}
+
+function kindForStatus(status: number): LlmErrorKind {
+  if (status === 401 || status === 403) return "auth";
+  if (status === 429) return "rate_limit";
+  if (status === 408) return "timeout";
+  if (status >= 500) return "server";
+  return "bad_request";
+}
+
+// ---------- OpenAI and OpenAI-compatible servers ----------
+
+function openAIProvider(cfg: ResolvedConfig): LlmProvider {
+  const name = cfg.provider;
+  // Local OpenAI-compatible servers (vLLM, LM Studio, llama.cpp) usually accept any key
+  const client = new OpenAI({ apiKey: cfg.apiKey || "not-needed", baseURL: cfg.baseUrl, timeout: cfg.timeoutMs, maxRetries: 0 });
+
+  function toLlmError(err: unknown): LlmError {
+    if (err instanceof LlmError) return err;
+    if (err instanceof OpenAI.APIConnectionTimeoutError) return new LlmError("timeout", `${name} timed out after ${cfg.timeoutMs}ms`, { provider: name, cause: err });
+    if (err instanceof OpenAI.APIConnectionError) return new LlmError("network", `${name} unreachable: ${err.message}`, { provider: name, cause: err });
+    if (err instanceof OpenAI.APIError && err.status) {
+      return new LlmError(kindForStatus(err.status), `${name} error ${err.status}: ${err.message}`, { provider: name, status: err.status, cause: err });
+    }
+    return new LlmError("network", err instanceof Error ? err.message : String(err), { provider: name, cause: err });
+  }
+
+  return {
+    name,
+    model: cfg.model,
+    async chat(messages, { tools = [], onToken } = {}) {
+      if (name === "openai" && !cfg.apiKey) throw new LlmError("auth", "OPENAI_API_KEY is not set", { provider: name });
+      const base = {
+        model: cfg.model,
+        messages: messages.map(toOpenAIMessage),
+        tools: tools.length ? tools.map(toFunctionTool) : undefined,
+        temperature: cfg.temperature,
+      };
+      try {
+        if (!onToken) {
+          const res = await client.chat.completions.create(base);
+          const msg = res.choices[0]?.message;
+          const toolCalls: ToolCall[] = [];
+          for (const tc of msg?.tool_calls ?? []) {
+            if (tc.type !== "function") continue;
+            toolCalls.push({ id: tc.id, name: tc.function.name, ...parseArgs(tc.function.arguments) });
+          }
+          const usage = res.usage && { promptTokens: res.usage.prompt_tokens, completionTokens: res.usage.completion_tokens };
+          return { content: msg?.content ?? "", toolCalls, usage };
+        }
+
+        const stream = await client.chat.completions.create({ ...base, stream: true, stream_options: { include_usage: true } });
+        let content = "";
+        let usage;
+        // Tool-call names and arguments arrive in fragments keyed by index
+        const partial: { id: string; name: string; args: string }[] = [];
+        for await (const chunk of stream) {
+          if (chunk.usage) usage = { promptTokens: chunk.usage.prompt_tokens, completionTokens: chunk.usage.completion_tokens };
+          const delta = chunk.choices[0]?.delta;
+          if (delta?.content) {
+            content += delta.content;
+            onToken(delta.content);
+          }
+          for (const tc of delta?.tool_calls ?? []) {
+            const slot = (partial[tc.index] ??= { id: "", name: "", args: "" });
+            if (tc.id) slot.id = tc.id;
+            if (tc.function?.name) slot.name += tc.function.name;
+            if (tc.function?.arguments) slot.args += tc.function.arguments;
+          }
+        }
+        const toolCalls = partial.filter(Boolean).map(p => ({ id: p.id, name: p.name, ...parseArgs(p.args) }));
+        return { content, toolCalls, usage };
+      } catch (err) {
+        throw toLlmError(err);
+      }
+    },
+  };
+}
+
+// ---------- Ollama /api/chat ----------
+
+function ollamaProvider(cfg: ResolvedConfig): LlmProvider {
+  const name = "ollama";
+  const base = (cfg.baseUrl || "http://localhost:11434").replace(/\/$/, "");
+
+  return {
+    name,
+    model: cfg.model,
+    async chat(messages, { tools = [], onToken } = {}) {
+      const body = {
+        model: cfg.model,
+        messages: messages.map(toOllamaMessage),
+        tools: tools.length ? tools.map(toFunctionTool) : undefined,
+        stream: Boolean(onToken),
+        options: { temperature: cfg.temperature },
+      };
+      // Idle timeout: a slow local model may take minutes overall but should keep producing tokens
+      const abort = new AbortController();
+      let timer = setTimeout(() => abort.abort(), cfg.timeoutMs);
+      const touch = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => abort.abort(), cfg.timeoutMs);
+      };
+
+      let resp: Response;
+      try {
+        resp = await fetch(`${base}/api/chat`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+          signal: abort.signal,
+        });
+      } catch (err) {
+        clearTimeout(timer);
+        if (abort.signal.aborted) throw new LlmError("timeout", `ollama timed out after ${cfg.timeoutMs}ms`, { provider: name, cause: err });
+        throw new LlmError("network", `ollama unreachable at ${base}: ${(err as Error).message}`, { provider: name, cause: err });
+      }
+      if (!resp.ok) {
+        clearTimeout(timer);
+        const detail = await resp.text().catch(() => "");
+        throw new LlmError(kindForStatus(resp.status), `ollama error ${resp.status}: ${detail || resp.statusText}`, { provider: name, status: resp.status });
+      }
+
+      let content = "";
+      const rawCalls: any[] = [];
+      let usage;
+      try {
+        if (!onToken) {
+          const json = await resp.json();
+          content = json.message?.content ?? "";
+          rawCalls.push(...(json.message?.tool_calls ?? []));
+          usage = { promptTokens: json.prompt_eval_count ?? 0, completionTokens: json.eval_count ?? 0 };
+        } else {
+          // NDJSON: one JSON object per line, the last one has done: true
+          const decoder = new TextDecoder();
+          let buf = "";
+          for await (const chunk of resp.body as unknown as AsyncIterable<Uint8Array>) {
+            touch();
+            buf += decoder.decode(chunk, { stream: true });
+            let nl;
+            while ((nl = buf.indexOf("\n")) >= 0) {
+              const line = buf.slice(0, nl).trim();
+              buf = buf.slice(nl + 1);
+              if (!line) continue;
+              const json = JSON.parse(line);
+              if (json.error) throw new LlmError("server", `ollama: ${json.error}`, { provider: name });
+              const text = json.message?.content ?? "";
+              if (text) {
+                content += text;
+                onToken(text);
+              }
+              rawCalls.push(...(json.message?.tool_calls ?? []));
+              if (json.done) usage = { promptTokens: json.prompt_eval_count ?? 0, completionTokens: json.eval_count ?? 0 };
+            }
+          }
+        }
+      } catch (err) {
+        if (err instanceof LlmError) throw err;
+        if (abort.signal.aborted) throw new LlmError("timeout", `ollama stalled for ${cfg.timeoutMs}ms`, { provider: name, cause: err });
+        throw new LlmError("network", `ollama stream failed: ${(err as Error).message}`, { provider: name, cause: err });
+      } finally {
+        clearTimeout(timer);
+      }
+
+      // Ollama does not assign ids to tool calls; make our own so tool results can be matched up.
+      const toolCalls: ToolCall[] = rawCalls.map((tc: any, i: number) => ({
+        id: `call_${Date.now()}_${i}`,
+        name: tc.function?.name,
+        ...(typeof tc.function?.arguments === "string" ? parseArgs(tc.function.arguments) : { arguments: tc.function?.arguments ?? {} }),
+      }));
+      return { content, toolCalls, usage };
+    },
+  };
+}
+
+// ---------- Default provider and the original helpers ----------
+
+let defaultProvider: LlmProvider | undefined;
+
+/** Provider built from env only; the client replaces it with setDefaultProvider once config is loaded. */
+export function getDefaultProvider(): LlmProvider {
+  return (defaultProvider ??= createProvider());
+}
+
+export function setDefaultProvider(provider: LlmProvider) {
+  defaultProvider = provider;
+}
+
+/** One prompt in, one text answer out. Streams to `onToken` when given. */
+export async function generateAnswer(prompt: string, onToken?: (text: string) => void): Promise<string> {
+  const res = await getDefaultProvider().chat([{ role: "user", content: prompt }], { onToken });
+  return res.content;
+}
+
+function toFunctionTool(t: ToolSpec) {
+  return {
+    type: "function" as const,
+    function: { name: t.name, description: t.description ?? "", parameters: t.inputSchema },
+  };
+}
+
+function toOpenAIMessage(m: ChatMessage): ChatCompletionMessageParam {
+  if (m.role === "tool") return { role: "tool", tool_call_id: m.toolCallId, content: m.content };
+  if (m.role === "assistant" && m.toolCalls?.length) {
+    return {
+      role: "assistant",
+      content: m.content || null,
+      tool_calls: m.toolCalls.map(tc => ({
+        id: tc.id,
+        type: "function",
+        function: { name: tc.name, arguments: JSON.stringify(tc.arguments) },
+      })),
+    };
+  }
+  return { role: m.role, content: m.content };
+}
+
+function toOllamaMessage(m: ChatMessage) {
+  if (m.role === "tool") return { role: "tool", content: m.content, tool_name: m.name };
+  if (m.role === "assistant" && m.toolCalls?.length) {
+    return {
+      role: "assistant",
+      content: m.content,
+      tool_calls: m.toolCalls.map(tc => ({ function: { name: tc.name, arguments: tc.arguments } })),
+    };
   }
+  return { role: m.role, content: m.content };
+}
 
-  // Fallback: Ollama (simple /api/generate)
-  const base = process.env.LOCAL_MODEL_URL || "http://localhost:11434";
-  const body = { model: "llama3.1", prompt, stream: false };
-  const resp = await fetch(`${base}/api/generate`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body),
-  });
-  if (!resp.ok) throw new Error(`Ollama error: ${resp.status} ${resp.statusText}`);
-  const json = await resp.json();
-  return json.response || "";
+// Malformed arguments are kept as an error for the agent to report back, so the model can resend the call
+function parseArgs(raw: string): Pick<ToolCall, "arguments" | "argumentsError"> {
+  try {
+    const args = JSON.parse(raw || "{}");
+    if (args && typeof args === "object" && !Array.isArray(args)) return { arguments: args };
+    return { arguments: {}, argumentsError: `expected a JSON object, got ${raw.slice(0, 200)}` };
+  } catch (err) {
+    return { arguments: {}, argumentsError: `${(err as Error).message} in ${raw.slice(0, 200)}` };
+  }
 }
@@ -0,0 +1,180 @@
+import { parseWhen } from "../servers/shared/time.js";
+import type { ToolSpec } from "./types.js";
+
+export type PolicyOptions = {
+  tools: ToolSpec[];
+  autoApprove?: string[];
+  dryRun?: boolean;
+  confirm: (question: string) => Promise<boolean>;
+  /** Where previews go (default stdout; the CLI sends them to stderr under --json) */
+  log?: (text: string) => void;
+  /** Facts only the server knows, looked up for the preview (e.g. who a reply goes to) */
+  details?: (name: string, args: Record<string, unknown>) => Promise<Record<string, any> | undefined>;
+};
+
+export type Decision = { allowed: true } | { allowed: false; reason: string };
+
+/**
+ * Decide whether a tool call may run. Read-only tools always run; anything
+ * else is previewed and needs a "y" unless it is on the auto-approve list.
+ * In dry-run mode mutating calls are previewed but never executed.
+ */
+export function createPolicy(opts: PolicyOptions) {
+  const { tools, autoApprove = [], dryRun = false, confirm, log = console.log } = opts;
+
+  // MCP treats a missing readOnlyHint as false, so unannotated third-party tools count as mutating.
+  function isMutating(name: string) {
+    const tool = tools.find(t => t.name === name);
+    return tool?.annotations?.readOnlyHint !== true;
+  }
+
+  async function check(name: string, args: Record<string, unknown>): Promise<Decision> {
+    if (!isMutating(name)) return { allowed: true };
+
+    let details: Record<string, any> | undefined;
+    try {
+      details = await opts.details?.(name, args);
+    } catch (err) {
+      details = { lookupError: err instanceof Error ? err.message : String(err) };
+    }
+    log(`\n${renderPreview(name, args, details)}\n`);
+    if (dryRun) return { allowed: false, reason: "dry-run: mutating tool calls are not executed" };
+    if (autoApprove.includes(name)) {
+      log(`(auto-approved: ${name})`);
+      return { allowed: true };
+    }
+    const ok = await confirm(`Run ${name}? [y/N] `);
+    return ok ? { allowed: true } : { allowed: false, reason: "declined by user" };
+  }
+
+  return { isMutating, check };
+}
+
+export type Policy = ReturnType<typeof createPolicy>;
+
+export function renderPreview(name: string, args: Record<string, unknown>, details?: Record<string, any>): string {
+  if (name === "gmail_send_message" || name === "gmail_create_draft") return renderEmail(name, args);
+  if (name === "gmail_reply" || name === "gmail_forward") return renderThreadedEmail(name, args, details);
+  if (name === "calendar_create_event") return renderEvent(args);
+  if (name === "calendar_update_event") return renderEventUpdate(args);
+  if (name === "calendar_delete_event") {
+    return [`── Delete calendar event ──`, `Event:  ${args.eventId}`, `Notify: ${args.sendUpdates ?? "all"}`].join("\n");
+  }
+  if (name === "calendar_respond") {
+    return [`── RSVP ──`, `Event:    ${args.eventId}`, `Response: ${args.response}`, `Notify:   ${args.sendUpdates ?? "all"}`].join("\n");
+  }
+  if (name === "gmail_auth_submit_code" || name === "calendar_auth_submit_code") {
+    return [`── Save Google tokens ──`, `Service: ${name.replace(/_auth_submit_code$/, "")}`].join("\n");
+  }
+  if (name === "unload_document") {
+    return [`── Unload PDF ──`, `Document: ${args.docId}`].join("\n");
+  }
+  if (name === "calendar_export_ics") {
+    return [`── Export calendar to .ics ──`, `Window: ${args.timeMin} → ${args.timeMax}`, `File:   ${args.path}`].join("\n");
+  }
+  if (name === "calendar_import_ics") {
+    return [`── Import .ics into calendar${args.dryRun ? " (dry run)" : ""} ──`, `File: ${args.path}`].join("\n");
+  }
+  return [`── ${name} ──`, JSON.stringify(args, null, 2)].join("\n");
+}
+
+function addressLine(v: unknown): string {
+  return Array.isArray(v) ? v.join(", ") : String(v ?? "");
+}
+
+function renderEmail(name: string, args: Record<string, any>): string {
+  const title = name === "gmail_send_message" ? "Send email" : "Create draft";
+  const headers = [
+    `To: ${addressLine(args.to)}`,
+    args.cc ? `Cc: ${addressLine(args.cc)}` : "",
+    args.bcc ? `Bcc: ${addressLine(args.bcc)}` : "",
+    `Subject: ${args.subject ?? ""}`,
+    `Content-Type: ${args.html ? "multipart/alternative (text + HTML)" : "text/plain; charset=utf-8"}`,
+    ...(args.attachments ?? []).map((a: string) => `Attachment: ${a}`),
+  ].filter(Boolean);
+  return [`── ${title} ──`, ...headers, "", String(args.body ?? "")].join("\n");
+}
+
+// Recipients and subject of replies/forwards come from the original message on the server;
+// `details` is its gmail_reply_preview answer, absent if the lookup was not possible.
+function renderThreadedEmail(name: string, args: Record<string, any>, details: Record<string, any> = {}): string {
+  const verb = name === "gmail_reply" ? (args.replyAll ? "Reply all" : "Reply") : "Forward";
+  const to = name === "gmail_reply" ? details.to : args.to;
+  const cc = name === "gmail_reply" ? details.cc : args.cc;
+  const headers = [
+    to?.length ? `To: ${addressLine(to)}` : "",
+    cc?.length ? `Cc: ${addressLine(cc)}` : "",
+    args.bcc ? `Bcc: ${addressLine(args.bcc)}` : "",
+    details.subject ? `Subject: ${details.subject}` : "",
+    `${name === "gmail_reply" ? "In reply to" : "Forwarding"}: ${args.messageId}`,
+    ...(args.attachments ?? []).map((a: string) => `Attachment: ${a}`),
+    ...(name === "gmail_forward" && args.includeAttachments !== false
+      ? details.attachments
+        ? details.attachments.map((a: string) => `Attachment: ${a} (original)`)
+        : ["(original attachments included)"]
+      : []),
+    details.lookupError ? `(could not look up the original message: ${details.lookupError})` : "",
+  ].filter(Boolean);
+  return [`── ${verb}${args.asDraft ? " (draft)" : ""} ──`, ...headers, "", String(args.body ?? "")].join("\n");
+}
+
+function renderEvent(args: Record<string, any>): string {
+  const tz = args.timeZone || process.env.CALENDAR_DEFAULT_TZ || "America/Chicago";
+  const attendees: string[] = args.attendees ?? [];
+  const repeat = args.recurrence?.join("; ") || (args.repeat ? JSON.stringify(args.repeat) : "");
+  const reminders = (args.reminders ?? []).map((r: any) => (typeof r === "number" ? `${r}m popup` : `${r.minutes}m ${r.method}`));
+  return [
+    "── Create calendar event ──",
+    `Title:     ${args.summary ?? "(no title)"}`,
+    `Start:     ${formatInZone(args.start, tz)}`,
+    args.end ? `End:       ${formatInZone(args.end, tz)}` : "",
+    args.durationMinutes ? `Duration:  ${args.durationMinutes} min` : "",
+    args.allDay ? "All day" : "",
+    repeat ? `Repeats:   ${repeat}` : "",
+    `Attendees: ${attendees.length ? attendees.join(", ") : "(none)"}`,
+    args.location ? `Location:  ${args.location}` : "",
+    reminders.length ? `Reminders: ${reminders.join(", ")}` : "",
+    args.createMeet ? "Google Meet link will be added" : "",
+    args.description ? `\n${args.description}` : "",
+  ].filter(Boolean).join("\n");
+}
+
+// Show only what changes; unspecified fields keep their current values.
+function renderEventUpdate(args: Record<string, any>): string {
+  const tz = args.timeZone || process.env.CALENDAR_DEFAULT_TZ || "America/Chicago";
+  return [
+    "── Update calendar event ──",
+    `Event:     ${args.eventId}`,
+    args.summary !== undefined ? `Title:     ${args.summary}` : "",
+    args.start !== undefined ? `Start:     ${formatInZone(args.start, tz)}` : "",
+    args.end !== undefined ? `End:       ${formatInZone(args.end, tz)}` : "",
+    args.attendees ? `Attendees: ${args.attendees.join(", ") || "(none)"}` : "",
+    args.addAttendees?.length ? `Add:       ${args.addAttendees.join(", ")}` : "",
+    args.removeAttendees?.length ? `Remove:    ${args.removeAttendees.join(", ")}` : "",
+    args.location !== undefined ? `Location:  ${args.location}` : "",
+    args.description !== undefined ? `Description: ${args.description}` : "",
+    `Notify:    ${args.sendUpdates ?? "all"}`,
+  ].filter(Boolean).join("\n");
+}
+
+// Show what the calendar server will make of ISO strings and phrases like "tomorrow 3pm".
+function formatInZone(value: unknown, timeZone: string): string {
+  let parsed;
+  try {
+    parsed = parseWhen(String(value), { timeZone });
+  } catch {
+    return String(value);
+  }
+  const fmt = (ms: number, withTime: boolean) =>
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      weekday: "short",
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+      ...(withTime ? { hour: "numeric", minute: "2-digit", timeZoneName: "short" } : {}),
+    } as Intl.DateTimeFormatOptions).format(new Date(ms));
+  if (parsed.allDay) return `${fmt(parsed.start, false)} (all day)`;
+  const start = fmt(parsed.start, true);
+  return parsed.end === null ? start : `${start} → ${fmt(parsed.end, true)}`;
+}
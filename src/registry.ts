@@ -0,0 +1,200 @@
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import type { CallToolResult, Prompt } from "@modelcontextprotocol/sdk/types.js";
+import type { AppConfig, ServerConfig, ToolSpec, ToolErrorEnvelope } from "./types.js";
+
+export type Connection = {
+  name: string;
+  client: Client;
+  tools: ToolSpec[];
+  prompts: Prompt[];
+};
+
+// A resource or resource template, tagged with the server that publishes it
+export type ResourceEntry = {
+  server: string;
+  uri?: string;
+  uriTemplate?: string;
+  name: string;
+  description?: string;
+  mimeType?: string;
+};
+
+export type ServerStatus =
+  | { name: string; ok: true; tools: string[] }
+  | { name: string; ok: false; error: string };
+
+/** A tool answered with an `isError` result; `envelope` is its parsed error body. */
+export class ToolCallError extends Error {
+  constructor(readonly tool: string, readonly envelope: ToolErrorEnvelope) {
+    super(envelope.message);
+    this.name = "ToolCallError";
+  }
+
+  get code() {
+    return this.envelope.error;
+  }
+
+  get hint() {
+    return this.envelope.hint;
+  }
+}
+
+/** Text parts of a tool result, joined; other content types show as placeholders */
+export function resultText(res: CallToolResult): string {
+  return res.content.map(c => (c.type === "text" ? c.text : `[${c.type}]`)).join("\n");
+}
+
+// Servers not built on servers/shared/result.js may answer with plain text
+function parseEnvelope(text: string): ToolErrorEnvelope {
+  try {
+    const body = JSON.parse(text);
+    if (typeof body?.error === "string" && typeof body.message === "string") return body;
+  } catch {
+    // not JSON; fall through
+  }
+  return { error: "upstream_error", message: text || "Tool failed without a message" };
+}
+
+/** The failure an `isError` result describes, or undefined for a success. */
+export function toolError(name: string, res: CallToolResult): ToolCallError | undefined {
+  return res.isError ? new ToolCallError(name, parseEnvelope(resultText(res))) : undefined;
+}
+
+/**
+ * The data a tool returned: its structuredContent, or the JSON text for servers
+ * that don't send one. Error results throw ToolCallError instead of returning.
+ */
+export function toolData(name: string, res: CallToolResult): any {
+  const err = toolError(name, res);
+  if (err) throw err;
+  if (res.structuredContent) return res.structuredContent;
+  const text = resultText(res);
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new ToolCallError(name, { error: "internal_error", message: `${name} returned non-JSON output: ${text.slice(0, 200)}` });
+  }
+}
+
+// Child processes inherit our environment plus the per-server overrides from config.
+function childEnv(extra: Record<string, string> = {}): Record<string, string> {
+  const env: Record<string, string> = {};
+  for (const [k, v] of Object.entries(process.env)) if (v !== undefined) env[k] = v;
+  return { ...env, ...extra };
+}
+
+// A `url` entry connects to a running server; anything else is spawned as a child process.
+function createTransport(cfg: ServerConfig) {
+  if ("url" in cfg) {
+    const headers = { ...cfg.headers };
+    if (cfg.tokenEnv) {
+      const token = process.env[cfg.tokenEnv];
+      if (!token) throw new Error(`${cfg.tokenEnv} is not set (bearer token for ${cfg.url})`);
+      headers.Authorization = `Bearer ${token}`;
+    }
+    return new StreamableHTTPClientTransport(new URL(cfg.url), { requestInit: { headers } });
+  }
+  return new StdioClientTransport({ command: cfg.command, args: cfg.args, env: childEnv(cfg.env) });
+}
+
+async function connectServer(cfg: ServerConfig): Promise<Connection> {
+  const transport = createTransport(cfg);
+  const client = new Client({ name: "mcp assistant", version: "0.4.0" });
+  await client.connect(transport);
+  try {
+    // listTools also caches each outputSchema, so callTool validates structuredContent against it
+    const tools = await client.listTools();
+    const prompts = client.getServerCapabilities()?.prompts ? (await client.listPrompts()).prompts : [];
+    return { name: cfg.name, client, tools: tools.tools as ToolSpec[], prompts };
+  } catch (err) {
+    // Connected but unusable: stop the child (or end the HTTP session) before reporting it
+    await client.close();
+    throw err;
+  }
+}
+
+/**
+ * Start or connect to every server in the config. A server that fails is reported
+ * in `status` and skipped; the rest keep working.
+ */
+export async function connectServers(config: AppConfig) {
+  const connections: Connection[] = [];
+  const status: ServerStatus[] = [];
+
+  for (const cfg of config.servers) {
+    try {
+      const conn = await connectServer(cfg);
+      connections.push(conn);
+      status.push({ name: cfg.name, ok: true, tools: conn.tools.map(t => t.name) });
+    } catch (err) {
+      status.push({ name: cfg.name, ok: false, error: err instanceof Error ? err.message : String(err) });
+    }
+  }
+
+  function findTool(name: string) {
+    return connections.find(c => c.tools.some(t => t.name === name));
+  }
+
+  async function call(name: string, args: Record<string, unknown> = {}): Promise<CallToolResult> {
+    const owner = findTool(name);
+    if (!owner) throw new Error(`No running server provides tool "${name}"`);
+    return (await owner.client.callTool({ name, arguments: args })) as CallToolResult;
+  }
+
+  // Resource lists change as documents are loaded, so they are fetched on demand.
+  // A server that fails to list is skipped with a warning, as at connect time.
+  async function listResources(): Promise<ResourceEntry[]> {
+    const owners = connections.filter(c => c.client.getServerCapabilities()?.resources);
+    const lists = await Promise.allSettled(
+      owners.map(async c => {
+        const [{ resources }, { resourceTemplates }] = await Promise.all([
+          c.client.listResources(),
+          c.client.listResourceTemplates(),
+        ]);
+        return [...resources, ...resourceTemplates].map(r => ({ server: c.name, ...r }));
+      })
+    );
+    return lists.flatMap((list, i) => {
+      if (list.status === "fulfilled") return list.value;
+      const reason = list.reason instanceof Error ? list.reason.message : String(list.reason);
+      console.error(`(skipping resources from ${owners[i].name}: ${reason})`);
+      return [];
+    });
+  }
+
+  // URI schemes are per server (pdf://, calendar://), so the scheme picks the owner
+  async function readResource(uri: string) {
+    const scheme = `${uri.split("://")[0]}://`;
+    const entry = (await listResources()).find(r => (r.uri ?? r.uriTemplate ?? "").startsWith(scheme));
+    const owner = connections.find(c => c.name === entry?.server);
+    if (!owner) throw new Error(`No running server publishes ${scheme} resources`);
+    return owner.client.readResource({ uri });
+  }
+
+  async function getPrompt(name: string, args: Record<string, string> = {}) {
+    const owner = connections.find(c => c.prompts.some(p => p.name === name));
+    if (!owner) throw new Error(`No running server provides prompt "${name}"`);
+    return owner.client.getPrompt({ name, arguments: args });
+  }
+
+  async function closeAll() {
+    await Promise.allSettled(connections.map(c => c.client.close()));
+  }
+
+  return {
+    connections,
+    status,
+    tools: connections.flatMap(c => c.tools),
+    prompts: connections.flatMap(c => c.prompts.map(p => ({ server: c.name, ...p }))),
+    findTool,
+    call,
+    listResources,
+    readResource,
+    getPrompt,
+    closeAll,
+  };
+}
+
+export type ServerRegistry = Awaited<ReturnType<typeof connectServers>>;
@@ -0,0 +1,115 @@
+// Plain-text views of tool results, shared by the REPL and the CLI.
+// Inputs are the tools' structuredContent, so fields follow each tool's outputSchema.
+
+import type { PromptMessage } from "@modelcontextprotocol/sdk/types.js";
+
+// Prompt messages as one block of text for the agent; embedded resources are inlined
+export function promptText(messages: PromptMessage[]): string {
+  return messages
+    .map(m => (m.content.type === "text" ? m.content.text : m.content.type === "resource" && "text" in m.content.resource ? m.content.resource.text : ""))
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+export function formatEvent(ev: any, n?: number): string {
+  const prefix = n === undefined ? "" : `${n}. `;
+  const lines = [
+    `${prefix}${ev.summary || "(no title)"}`,
+    `   ${ev.start?.dateTime || ev.start?.date} → ${ev.end?.dateTime || ev.end?.date}`,
+    `   ${ev.location || ""}`,
+  ];
+  if (ev.id) lines.push(`   id: ${ev.id}`);
+  return lines.join("\n");
+}
+
+/** One event with its attendees and description. */
+export function formatEventDetail(ev: any): string {
+  const lines = [formatEvent(ev)];
+  for (const a of ev.attendees || []) lines.push(`   ${a.email} (${a.responseStatus})`);
+  if (ev.description) lines.push("", ev.description);
+  return lines.join("\n");
+}
+
+export function formatEvents(data: any): string {
+  const items = data.items || [];
+  return items.length ? items.map((ev: any, i: number) => formatEvent(ev, i + 1)).join("\n\n") : "No events.";
+}
+
+export function formatMessage(m: any): string {
+  const lines = [`From:    ${m.from}`, `To:      ${(m.to || []).join(", ")}`];
+  if (m.cc?.length) lines.push(`Cc:      ${m.cc.join(", ")}`);
+  lines.push(`Date:    ${m.date}`, `Subject: ${m.subject}`, `Id:      ${m.id}  thread: ${m.threadId}`, "", m.body);
+  for (const a of m.attachments || []) lines.push(`📎 ${a.filename} (${a.mimeType}, ${a.size} bytes)`);
+  return lines.join("\n");
+}
+
+export function formatMessageList(data: any): string {
+  if (!data.messages?.length) return "No messages.";
+  return data.messages
+    .map((m: any, i: number) => {
+      const unread = m.labelIds?.includes("UNREAD") ? "●" : " ";
+      return `${i + 1}. ${unread} ${m.subject || "(no subject)"}\n   ${m.from} · ${m.date}\n   ${m.snippet}\n   id: ${m.id}  thread: ${m.threadId}`;
+    })
+    .join("\n\n");
+}
+
+export function formatSearchResults(data: any): string {
+  const head = `🔎 ${data.query} (${data.provider}${data.page > 1 ? `, page ${data.page}` : ""})`;
+  const rows = (data.results || []).map((r: any, i: number) => {
+    const date = r.date ? ` · ${r.date}` : "";
+    return `${i + 1}. ${r.title}${date}\n   ${r.url}\n   ${r.snippet}`;
+  });
+  return [head, ...rows].join("\n\n");
+}
+
+export function formatPage(page: any): string {
+  const out = `${page.title || page.url}\n${page.url}\n\n${page.content}`;
+  return page.truncated ? `${out}\n\n(truncated at ${page.length} characters)` : out;
+}
+
+export function formatSlots(data: any): string {
+  const lines = (data.unavailable || []).map((u: any) => `(can't see ${u.calendar}: ${u.reason})`);
+  if (!data.slots?.length) lines.push("No free slot in that window.");
+  else lines.push(...data.slots.map((s: any) => `${s.rank}. ${s.startLocal} → ${s.endLocal}`));
+  return lines.join("\n");
+}
+
+export function formatDocuments(data: any): string {
+  if (!data.documents?.length) return "No PDFs loaded.";
+  return data.documents.map((d: any) => `${d.active ? "*" : " "} ${d.docId}  ${d.pages} pages  ${d.source}`).join("\n");
+}
+
+export function formatOutline(data: any): string {
+  if (!data.outline?.length) return "This PDF has no outline.";
+  const lines: string[] = [];
+  const walk = (items: any[], depth: number) => {
+    for (const it of items) {
+      lines.push(`${"  ".repeat(depth)}- ${it.title}${it.page ? ` (p.${it.page})` : ""}`);
+      walk(it.items || [], depth + 1);
+    }
+  };
+  walk(data.outline, 0);
+  return lines.join("\n");
+}
+
+export function formatAuthStatus(service: string, st: any): string {
+  const state = st.authenticated ? (st.missingScopes?.length ? "missing scopes" : "ok") : "not logged in";
+  const lines = [`${service}: ${state}${st.accessTokenExpires ? ` (access token until ${st.accessTokenExpires})` : ""}`];
+  if (st.missingScopes?.length) lines.push(`  missing: ${st.missingScopes.join(", ")}`);
+  if (st.pendingLogin) lines.push(`  ${st.pendingLogin.instructions}`, `  ${st.pendingLogin.url}`);
+  return lines.join("\n");
+}
+
+export function formatImport(data: any): string {
+  if (data.skipped) return `Skipped: ${data.reason}`;
+  const lines = (data.events || []).map((e: any) => {
+    const detail = e.reason ? ` — ${e.reason}` : e.id ? ` (${e.id})` : "";
+    return `${e.status.padEnd(12)} ${e.summary || "(no title)"}${detail}`;
+  });
+  lines.push(Object.entries(data.counts || {}).map(([k, v]) => `${k}: ${v}`).join(", ") || "No events in file");
+  return lines.join("\n");
+}
+
+export function formatExport(data: any): string {
+  return data.skipped ? `Skipped: ${data.reason}` : `Wrote ${data.count} event(s) to ${data.path}`;
+}
@@ -0,0 +1,96 @@
+import type { CallToolResult } from "@modelcontextprotocol/sdk/types.js";
+import { createProvider, setDefaultProvider } from "./llm.js";
+import { connectServers, toolData, toolError, resultText, ToolCallError } from "./registry.js";
+import { createPolicy } from "./policy.js";
+import { createAudit } from "./audit.js";
+import type { AppConfig } from "./types.js";
+
+export type RuntimeOptions = {
+  config: AppConfig;
+  dryRun?: boolean;
+  /** Approve every mutating call without asking (the CLI's --yes) */
+  autoApproveAll?: boolean;
+  confirm: (question: string) => Promise<boolean>;
+  /** Where policy previews and skip notices go (default stdout) */
+  log?: (text: string) => void;
+  /** Sees every tool call that ran or was skipped, e.g. to record a transcript */
+  onToolResult?: (name: string, args: Record<string, unknown>, text: string, isError: boolean, durationMs: number) => void;
+};
+
+/**
+ * Servers, LLM, policy and audit log wired together: what both the REPL and the
+ * one-shot CLI need before running a command.
+ */
+export async function createRuntime(opts: RuntimeOptions) {
+  const { config, dryRun = false, log = console.log, onToolResult } = opts;
+  const registry = await connectServers(config);
+  const audit = createAudit(config.audit);
+  const llm = audit.wrapProvider(createProvider(config.llm));
+  setDefaultProvider(llm);
+
+  const autoApprove = opts.autoApproveAll ? registry.tools.map(t => t.name) : config.policy?.autoApprove;
+  const policy = createPolicy({ tools: registry.tools, autoApprove, dryRun, confirm: opts.confirm, log, details: previewDetails });
+
+  // Replies go to whoever the original message names, so look that up before asking
+  async function previewDetails(name: string, args: Record<string, unknown>) {
+    if ((name !== "gmail_reply" && name !== "gmail_forward") || !registry.findTool("gmail_reply_preview")) return undefined;
+    const kind = name === "gmail_forward" ? "forward" : args.replyAll ? "replyAll" : "reply";
+    return callData("gmail_reply_preview", { messageId: args.messageId, kind });
+  }
+
+  // Every tool call, typed or chosen by the LLM, goes through the policy first.
+  async function call(name: string, args: Record<string, unknown> = {}): Promise<CallToolResult> {
+    const server = registry.findTool(name)?.name;
+    const decision = await policy.check(name, args);
+    if (!decision.allowed) {
+      log(`Skipped ${name}: ${decision.reason}`);
+      const skipped = { skipped: true, reason: decision.reason };
+      onToolResult?.(name, args, JSON.stringify(skipped), false, 0);
+      audit.tool({ server, tool: name, arguments: args, durationMs: 0, resultBytes: 0, outcome: "skipped" });
+      return { content: [{ type: "text", text: JSON.stringify(skipped) }], structuredContent: skipped };
+    }
+    const started = Date.now();
+    let res: CallToolResult;
+    try {
+      res = await registry.call(name, args);
+    } catch (err) {
+      audit.tool({ server, tool: name, arguments: args, durationMs: Date.now() - started, resultBytes: 0, outcome: "failed" });
+      throw err;
+    }
+    const durationMs = Date.now() - started;
+    const text = resultText(res);
+    onToolResult?.(name, args, text, Boolean(res.isError), durationMs);
+    audit.tool({
+      server,
+      tool: name,
+      arguments: args,
+      durationMs,
+      resultBytes: Buffer.byteLength(text),
+      outcome: res.isError ? "error" : "ok",
+      errorCode: toolError(name, res)?.code,
+    });
+    return res;
+  }
+
+  // Commands want the data; a failed call throws ToolCallError
+  async function callData(name: string, args: Record<string, unknown> = {}) {
+    return toolData(name, await call(name, args));
+  }
+
+  return { config, registry, audit, llm, policy, call, callData, close: () => registry.closeAll() };
+}
+
+export type Runtime = Awaited<ReturnType<typeof createRuntime>>;
+
+/**
+ * "✖ calendar_get_event: Not Found [not_found]" plus the hint; auth errors carry the
+ * consent URL and `finishLogin(service)`, the command that completes a headless login.
+ */
+export function formatToolError(err: ToolCallError, finishLogin = (service: string) => `authcode ${service}|<redirect URL>`): string {
+  const { envelope } = err;
+  if (err.code === "auth_required" && envelope.url) {
+    return `\n🔑 ${err.message}\n${err.hint ?? ""}\n${envelope.url}\n(then retry, or run: ${finishLogin(String(envelope.service))})`;
+  }
+  const head = `✖ ${err.tool}: ${err.message} [${err.code}${envelope.retryable ? ", retryable" : ""}]`;
+  return err.hint ? `${head}\n  hint: ${err.hint}` : head;
+}
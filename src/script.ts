@@ -0,0 +1,103 @@
+// Batch scripts for `mcp-assistant run`: one CLI command per line, optionally
+// stored in a variable (`name = cal list --day today`) that later lines reference.
+
+/** A command's output: `data` for ${name.field} lookups, `text` for a bare ${name}. */
+export type StoredResult = { data: unknown; text: string };
+
+export type ScriptLine = { line: number; assign?: string; source: string };
+
+export class ScriptError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "ScriptError";
+  }
+}
+
+/**
+ * Split a line into words the way a shell would: whitespace separates, "double"
+ * and 'single' quotes group, backslash escapes the next character. ${...} is
+ * expanded through `resolve` everywhere except inside single quotes, and an
+ * expansion never splits a word.
+ */
+export function splitWords(line: string, resolve?: (ref: string) => string): string[] {
+  const words: string[] = [];
+  let word = "";
+  let inWord = false;
+  let quote: string | null = null;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quote === "'") {
+      if (c === "'") quote = null;
+      else word += c;
+      continue;
+    }
+    if (c === "\\" && i + 1 < line.length) {
+      word += line[++i];
+      inWord = true;
+      continue;
+    }
+    if (c === "$" && line[i + 1] === "{" && resolve) {
+      const end = line.indexOf("}", i);
+      if (end < 0) throw new ScriptError(`Unclosed \${ in: ${line}`);
+      word += resolve(line.slice(i + 2, end).trim());
+      i = end;
+      inWord = true;
+      continue;
+    }
+    if (quote === '"') {
+      if (c === '"') quote = null;
+      else word += c;
+      continue;
+    }
+    if (c === '"' || c === "'") {
+      quote = c;
+      inWord = true;
+    } else if (/\s/.test(c)) {
+      if (inWord) words.push(word);
+      word = "";
+      inWord = false;
+    } else {
+      word += c;
+      inWord = true;
+    }
+  }
+  if (quote) throw new ScriptError(`Unclosed ${quote} in: ${line}`);
+  if (inWord) words.push(word);
+  return words;
+}
+
+/**
+ * Value of a reference: `name` (the stored text), `name.field`, `name.items[0].id`,
+ * or `env.NAME`. Objects come back as JSON; a missing value is an error, so a
+ * typo stops the script instead of sending an email to "undefined".
+ */
+export function lookup(vars: Map<string, StoredResult>, ref: string): string {
+  const m = /^([A-Za-z_]\w*)((?:\.[\w-]+|\[\d+\])*)$/.exec(ref);
+  if (!m) throw new ScriptError(`Bad reference \${${ref}}`);
+  const [, name, path] = m;
+  if (name === "env") {
+    const value = process.env[path.slice(1)];
+    if (!path || value === undefined) throw new ScriptError(`\${${ref}} is not set`);
+    return value;
+  }
+  const stored = vars.get(name);
+  if (!stored) throw new ScriptError(`Unknown variable "${name}" in \${${ref}}`);
+  if (!path) return stored.text;
+  let value: any = stored.data;
+  for (const part of path.match(/\.[\w-]+|\[\d+\]/g) ?? []) {
+    value = value?.[part.startsWith(".") ? part.slice(1) : Number(part.slice(1, -1))];
+  }
+  if (value === undefined || value === null) throw new ScriptError(`\${${ref}} is empty`);
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+/** Non-blank, non-comment lines with their 1-based line numbers; `name = command` assigns. */
+export function parseScript(source: string): ScriptLine[] {
+  return source.split(/\r?\n/).flatMap((raw, i) => {
+    const text = raw.trim();
+    if (!text || text.startsWith("#")) return [];
+    const assign = /^([A-Za-z_]\w*)\s*=\s*(\S.*)$/.exec(text);
+    if (assign && (assign[1] === "env" || assign[1] === "last")) throw new ScriptError(`line ${i + 1}: "${assign[1]}" is reserved`);
+    return [assign ? { line: i + 1, assign: assign[1], source: assign[2] } : { line: i + 1, source: text }];
+  });
+}
@@ -0,0 +1,186 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import type { ChatMessage } from "./types.js";
+
+export type TranscriptEntry =
+  | { type: "command"; at: string; line: string }
+  | {
+      type: "tool";
+      at: string;
+      name: string;
+      arguments: Record<string, unknown>;
+      result: string;
+      isError: boolean;
+      durationMs: number;
+    }
+  | { type: "answer"; at: string; question: string; content: string };
+
+export type SessionDocument = { docId: string; source: string };
+
+export type SessionData = {
+  version: 1;
+  name: string;
+  savedAt: string;
+  llm?: { provider: string; model: string };
+  conversation: ChatMessage[];
+  documents: SessionDocument[];
+  transcript: TranscriptEntry[];
+};
+
+const SESSION_NAME = /^[\w.-]{1,64}$/;
+
+// Transcripts, history and the audit log hold email content and tool arguments, so by
+// default they live in the user's home directory rather than in the working tree.
+export function sessionDir() {
+  return path.resolve(process.env.SESSION_DIR || path.join(os.homedir(), ".mcp-assistant"));
+}
+
+// authcode's argument is an OAuth code, or a redirect URL carrying one: keep the command, not the secret
+export function redactCommand(line: string): string {
+  return line.replace(/^(\s*authcode\s+[^|]*\|)(.+)$/s, (_, head: string, secret: string) => `${head}[redacted: ${secret.trim().length} chars]`);
+}
+
+/**
+ * Everything typed, every tool call and every answer, in order. Tool arguments go
+ * through `redact` (the audit log's redactor) so saved sessions hold no secrets.
+ */
+export function createTranscript(redact: (value: unknown) => unknown = value => value) {
+  let entries: TranscriptEntry[] = [];
+  const now = () => new Date().toISOString();
+  return {
+    command(line: string) {
+      entries.push({ type: "command", at: now(), line: redactCommand(line) });
+    },
+    tool(name: string, args: Record<string, unknown>, result: string, isError: boolean, durationMs: number) {
+      const redacted = redact(args) as Record<string, unknown>;
+      entries.push({ type: "tool", at: now(), name, arguments: redacted, result, isError, durationMs });
+    },
+    answer(question: string, content: string) {
+      entries.push({ type: "answer", at: now(), question, content });
+    },
+    get entries() {
+      return entries;
+    },
+    replace(next: TranscriptEntry[]) {
+      entries = [...next];
+    },
+  };
+}
+
+export type Transcript = ReturnType<typeof createTranscript>;
+
+// ---------- Named sessions ----------
+
+function sessionPath(name: string) {
+  if (!SESSION_NAME.test(name)) throw new Error(`Invalid session name "${name}" (letters, digits, . _ - only)`);
+  return path.join(sessionDir(), `${name}.json`);
+}
+
+export function saveSession(data: SessionData): string {
+  const file = sessionPath(data.name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2), "utf8");
+  return file;
+}
+
+export function loadSession(name: string): SessionData {
+  const file = sessionPath(name);
+  if (!fs.existsSync(file)) throw new Error(`No session named "${name}" in ${sessionDir()}`);
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (data.version !== 1) throw new Error(`Unsupported session file version: ${data.version}`);
+  return data;
+}
+
+export function listSessions(): { name: string; savedAt: string; turns: number; documents: number }[] {
+  const dir = sessionDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter(f => f.endsWith(".json"))
+    .flatMap(f => {
+      try {
+        const data: SessionData = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+        const turns = data.conversation.filter(m => m.role === "user").length;
+        return [{ name: data.name, savedAt: data.savedAt, turns, documents: data.documents.length }];
+      } catch {
+        return [];
+      }
+    })
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+// ---------- Transcript export ----------
+
+function fence(text: string, lang = "") {
+  // Use a fence longer than any backtick run inside, so results containing ``` stay intact
+  const longest = Math.max(2, ...(text.match(/`+/g) ?? []).map(m => m.length));
+  const ticks = "`".repeat(longest + 1);
+  return `${ticks}${lang}\n${text}\n${ticks}`;
+}
+
+function prettyResult(result: string) {
+  try {
+    return { text: JSON.stringify(JSON.parse(result), null, 2), lang: "json" };
+  } catch {
+    return { text: result, lang: "" };
+  }
+}
+
+export function renderMarkdown(data: SessionData): string {
+  const out = [`# Session: ${data.name}`, "", `Saved ${data.savedAt}${data.llm ? ` · ${data.llm.provider} ${data.llm.model}` : ""}`];
+  if (data.documents.length) {
+    out.push("", "## Documents", "", ...data.documents.map(d => `- ${d.docId}: ${d.source}`));
+  }
+  out.push("", "## Transcript");
+  for (const e of data.transcript) {
+    if (e.type === "command") out.push("", `### › ${e.line}`, "", `_${e.at}_`);
+    else if (e.type === "tool") {
+      const result = prettyResult(e.result);
+      out.push(
+        "",
+        `**Tool \`${e.name}\`**${e.isError ? " (error)" : ""} · ${e.durationMs} ms`,
+        "",
+        fence(JSON.stringify(e.arguments, null, 2), "json"),
+        "",
+        "Result:",
+        "",
+        fence(result.text, result.lang),
+      );
+    } else out.push("", "**Answer**", "", e.content);
+  }
+  return `${out.join("\n")}\n`;
+}
+
+/** Write the transcript as Markdown or JSON, chosen by the file extension. */
+export function exportTranscript(file: string, data: SessionData): string {
+  const abs = path.resolve(file);
+  const ext = path.extname(abs).toLowerCase();
+  if (ext !== ".md" && ext !== ".json") throw new Error("Export file must end in .md or .json");
+  fs.mkdirSync(path.dirname(abs), { recursive: true });
+  fs.writeFileSync(abs, ext === ".md" ? renderMarkdown(data) : JSON.stringify(data, null, 2), "utf8");
+  return abs;
+}
+
+// ---------- Readline history ----------
+
+const HISTORY_SIZE = 500;
+
+export function historyFile() {
+  return path.join(sessionDir(), "history");
+}
+
+/** Most recent first, as readline expects. */
+export function loadHistory(): string[] {
+  try {
+    return fs.readFileSync(historyFile(), "utf8").split("\n").filter(Boolean).reverse().slice(0, HISTORY_SIZE);
+  } catch {
+    return [];
+  }
+}
+
+export function saveHistory(lines: string[]) {
+  fs.mkdirSync(sessionDir(), { recursive: true });
+  const kept = lines.slice(0, HISTORY_SIZE).map(redactCommand);
+  fs.writeFileSync(historyFile(), kept.reverse().join("\n") + "\n", "utf8");
+}
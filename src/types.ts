@@ -1,10 +1,85 @@
-export type ServerConfig = {
-  name: string;
-  command: string;
-  args: string[];
-  env?: Record<string, string>;
+export type ServerConfig =
+  | { name: string; command: string; args: string[]; env?: Record<string, string> }
+  // An already running server reached over Streamable HTTP
+  | { name: string; url: string; headers?: Record<string, string>; tokenEnv?: string };
+
+export type PolicyConfig = {
+  autoApprove?: string[];
+};
+
+export type LlmProviderName = "openai" | "ollama" | "openai-compatible";
+
+export type LlmConfig = {
+  provider?: LlmProviderName;
+  model?: string;
+  temperature?: number;
+  baseUrl?: string;
+  /** Env var that holds the API key (default OPENAI_API_KEY, or LLM_API_KEY for compatible servers) */
+  apiKeyEnv?: string;
+  timeoutMs?: number;
+  maxRetries?: number;
+  /** Prompt budget for conversation history, in estimated tokens */
+  contextTokens?: number;
+};
+
+export type AuditConfig = {
+  /** Set false to stop writing the log */
+  enabled?: boolean;
+  /** JSONL file (default: audit.jsonl in SESSION_DIR; AUDIT_LOG overrides) */
+  file?: string;
+  /** Added to the built-in rules: argument names to blank out and regexes to mask in any string */
+  redact?: { keys?: string[]; patterns?: string[] };
+  /** USD per million tokens by model-name prefix, added to the built-in table */
+  prices?: Record<string, { prompt: number; completion: number }>;
 };
 
 export type AppConfig = {
   servers: ServerConfig[];
+  policy?: PolicyConfig;
+  llm?: LlmConfig;
+  audit?: AuditConfig;
+};
+
+export type ToolSpec = {
+  name: string;
+  description?: string;
+  inputSchema: Record<string, unknown>;
+  /** JSON Schema of the tool's structuredContent */
+  outputSchema?: Record<string, unknown>;
+  annotations?: { readOnlyHint?: boolean; destructiveHint?: boolean };
+};
+
+export type ToolErrorCode = "validation" | "auth_required" | "not_found" | "rate_limited" | "upstream_error" | "internal_error";
+
+/** The JSON body of an `isError` tool result; extra fields carry details such as `issues` or `status` */
+export type ToolErrorEnvelope = {
+  error: ToolErrorCode;
+  message: string;
+  hint?: string;
+  retryable?: boolean;
+  [detail: string]: unknown;
+};
+
+export type ToolCall = {
+  id: string;
+  name: string;
+  arguments: Record<string, unknown>;
+  /** Set when the model's arguments were not a JSON object; `arguments` is then {} */
+  argumentsError?: string;
+};
+
+export type ChatMessage =
+  | { role: "system" | "user"; content: string }
+  | { role: "assistant"; content: string; toolCalls?: ToolCall[] }
+  | { role: "tool"; content: string; toolCallId: string; name: string };
+
+export type TokenUsage = {
+  promptTokens: number;
+  completionTokens: number;
+};
+
+export type ChatResult = {
+  content: string;
+  toolCalls: ToolCall[];
+  usage?: TokenUsage;
 };
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runAgent } from "../src/agent.ts";
+import { createConversation } from "../src/conversation.ts";
+
+const tools = [{ name: "web_search", inputSchema: { type: "object" } }];
+
+// A provider that plays back canned replies and keeps the messages it was sent
+function scripted(...replies) {
+  const sent = [];
+  return {
+    sent,
+    provider: {
+      name: "openai",
+      model: "scripted",
+      async chat(messages) {
+        sent.push(messages);
+        return { toolCalls: [], ...replies.shift() };
+      },
+    },
+  };
+}
+
+test("tool results go back to the model until it answers", async () => {
+  const { provider, sent } = scripted(
+    { content: "", toolCalls: [{ id: "c1", name: "web_search", arguments: { query: "mcp" } }] },
+    { content: "MCP is a protocol." },
+  );
+  const calls = [];
+  const conversation = createConversation({ budgetTokens: Infinity });
+  const answer = await runAgent("what is mcp?", {
+    tools,
+    provider,
+    conversation,
+    callTool: async (name, args) => {
+      calls.push([name, args]);
+      return '{"results":[]}';
+    },
+  });
+  assert.equal(answer, "MCP is a protocol.");
+  assert.deepEqual(calls, [["web_search", { query: "mcp" }]]);
+  assert.deepEqual(sent[1].at(-1), { role: "tool", toolCallId: "c1", name: "web_search", content: '{"results":[]}' });
+  assert.deepEqual(conversation.snapshot().map(m => m.role), ["user", "assistant", "tool", "assistant"]);
+});
+
+test("tool failures and malformed arguments are reported to the model, not thrown", async () => {
+  const { provider, sent } = scripted(
+    {
+      content: "",
+      toolCalls: [
+        { id: "c1", name: "web_search", arguments: {}, argumentsError: "Unexpected end of JSON input in {\"query\": \"mc" },
+        { id: "c2", name: "web_search", arguments: { query: "mcp" } },
+      ],
+    },
+    { content: "done" },
+  );
+  const calls = [];
+  await runAgent("search", {
+    tools,
+    provider,
+    callTool: async (name, args) => {
+      calls.push(args);
+      throw new Error("SERPAPI_KEY is not set");
+    },
+  });
+  assert.deepEqual(calls, [{ query: "mcp" }], "malformed arguments never reach the tool");
+  const [malformed, failed] = sent[1].slice(-2).map(m => JSON.parse(m.content).error);
+  assert.match(malformed, /^Invalid arguments for web_search: Unexpected end of JSON input in \{"query": "mc\. Send them again as one JSON object\.$/);
+  assert.equal(failed, "SERPAPI_KEY is not set");
+});
+
+test("long tool output is cut, and the loop stops at maxSteps", async () => {
+  const call = { content: "", toolCalls: [{ id: "c", name: "web_search", arguments: {} }] };
+  const { provider, sent } = scripted(call, call, call);
+  const answer = await runAgent("loop", { tools, provider, maxSteps: 2, callTool: async () => "x".repeat(10000) });
+  assert.equal(answer, "Stopped after reaching the tool-call limit without a final answer.");
+  assert.equal(sent.length, 2);
+  assert.equal(sent[1].at(-1).content.length, 8000);
+});
@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createAudit, createRedactor, summarize, renderStats } from "../src/audit.ts";
+
+test("email content is masked in every sending tool's arguments", () => {
+  const redact = createRedactor();
+  const send = { to: "a@example.com", subject: "Plans", body: "secret text", html: "<p>secret text</p>" };
+  assert.deepEqual(redact(send), {
+    to: "a@example.com",
+    subject: "Plans",
+    body: "[redacted: 11 chars]",
+    html: "[redacted: 18 chars]",
+  });
+  const reply = redact({ messageId: "m1", replyAll: true, body: "see you", html: "<b>see you</b>" });
+  assert.equal(JSON.stringify(reply).includes("see you"), false);
+  const rsvp = redact({ eventId: "e1", response: "declined", comment: "out sick" });
+  assert.equal(rsvp.comment, "[redacted: 8 chars]");
+});
+
+test("keys are redacted at any depth and patterns are masked inside other strings", () => {
+  const redact = createRedactor({ keys: ["ssn"], patterns: ["\\bACCT-\\d+"] });
+  const out = redact({
+    query: "from:bank ACCT-12345",
+    nested: { Refresh_Token: "1//abc", list: [{ ssn: 123456789 }, "Bearer ya29.a0Af-xyz"] },
+    url: "https://example.com/cb?state=s&code=4/0AbC-xyz&scope=mail",
+    count: 3,
+    missing: null,
+  });
+  assert.deepEqual(out, {
+    query: "from:bank [redacted]",
+    nested: { Refresh_Token: "[redacted: 6 chars]", list: [{ ssn: "[redacted]" }, "Bearer [redacted]"] },
+    url: "https://example.com/cb?state=s&code=[redacted]&scope=mail",
+    count: 3,
+    missing: null,
+  });
+});
+
+function tempAudit(t, cfg = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createAudit({ file: path.join(dir, "audit.jsonl"), ...cfg });
+}
+
+const provider = (name, model, usage) => ({
+  name,
+  model,
+  async chat() {
+    return { content: "Hello there", toolCalls: [], usage };
+  },
+});
+
+test("LLM calls are priced by longest model-name prefix; unknown models stay unpriced", async t => {
+  const audit = tempAudit(t, { prices: { "my-model": { prompt: 1, completion: 2 } } });
+  const messages = [{ role: "user", content: "hi" }];
+  await audit.wrapProvider(provider("openai", "gpt-4o-mini-2024-07-18", { promptTokens: 1000, completionTokens: 500 })).chat(messages);
+  await audit.wrapProvider(provider("openai", "gpt-4o", { promptTokens: 1000, completionTokens: 500 })).chat(messages);
+  await audit.wrapProvider(provider("openai", "my-model", { promptTokens: 1e6, completionTokens: 1e6 })).chat(messages);
+  await audit.wrapProvider(provider("openai", "mystery-1", { promptTokens: 10, completionTokens: 10 })).chat(messages);
+  await audit.wrapProvider(provider("ollama", "llama3", { promptTokens: 10, completionTokens: 10 })).chat(messages);
+  assert.deepEqual(audit.read().map(e => e.costUsd), [0.00045, 0.0075, 3, undefined, 0]);
+});
+
+test("missing usage is estimated from the messages", async t => {
+  const audit = tempAudit(t);
+  await audit.wrapProvider(provider("ollama", "llama3")).chat([{ role: "user", content: "x".repeat(40) }]);
+  const [entry] = audit.read();
+  assert.deepEqual([entry.promptTokens, entry.completionTokens, entry.estimated], [14, 8, true]);
+});
+
+test("summarize totals each session and renderStats reports it", () => {
+  const at = "2026-01-01T00:00:00.000Z";
+  const later = "2026-01-01T00:05:00.000Z";
+  const tool = (session, t, outcome, extra = {}) => ({ type: "tool", at, session, tool: t, arguments: {}, durationMs: 100, resultBytes: 10, outcome, ...extra });
+  const llm = (session, extra) => ({ type: "llm", at: later, session, provider: "openai", model: "gpt-4o", durationMs: 1, promptTokens: 100, completionTokens: 50, outcome: "ok", ...extra });
+  const [a, b] = summarize([
+    tool("a", "gmail_search", "ok"),
+    tool("a", "gmail_search", "error", { errorCode: "not_found" }),
+    tool("a", "gmail_send_message", "skipped", { durationMs: 0, resultBytes: 0 }),
+    tool("b", "web_search", "failed"),
+    llm("a", { costUsd: 0.01 }),
+    llm("a", { estimated: true }),
+    llm("a", { outcome: "error", promptTokens: 0, completionTokens: 0 }),
+  ]);
+  assert.deepEqual([a.session, a.from, a.to], ["a", at, later]);
+  assert.deepEqual(a.tools, { calls: 3, errors: 1, skipped: 1, failed: 0, durationMs: 200 });
+  assert.deepEqual(a.byTool.gmail_search, { calls: 2, errors: 1, durationMs: 200, resultBytes: 20 });
+  assert.deepEqual(a.llm, { calls: 3, errors: 1, promptTokens: 200, completionTokens: 100, costUsd: 0.01, unpriced: 1, estimated: 1 });
+  assert.deepEqual(b.tools, { calls: 1, errors: 0, skipped: 0, failed: 1, durationMs: 100 });
+
+  const report = renderStats(a).split("\n");
+  assert.equal(report[1], "Tools: 3 call(s), 1 error(s), 1 skipped, 0.2s total");
+  assert.match(report[2], /^ {2}gmail_search +2× {2}avg 100 ms {2}20 bytes {2}1 error\(s\)$/);
+  assert.equal(report.at(-1), "LLM:   3 call(s), 1 error(s), 200 prompt + 100 completion tokens, ~$0.01 (1 estimated, 1 call(s) with no known price)");
+});
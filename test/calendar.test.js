@@ -0,0 +1,291 @@
+import "./support/env.js";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createServer } from "../servers/calendar-mcp/server.js";
+import { parseIcs } from "../servers/calendar-mcp/ics.js";
+import { zoneOffsetMs } from "../servers/shared/time.js";
+import { connect, callJson, callError } from "./support/mcp.js";
+import { createFakeCalendar } from "./support/fake-calendar.js";
+
+// Tuesday 2025-11-04 in America/Chicago (UTC-6)
+const calendar = createFakeCalendar({
+  events: [
+    {
+      id: "standup",
+      summary: "Standup",
+      start: { dateTime: "2025-11-04T09:00:00-06:00" },
+      end: { dateTime: "2025-11-04T10:00:00-06:00" },
+      organizer: { email: "me@example.com" },
+      attendees: [
+        { email: "me@example.com", self: true, responseStatus: "accepted" },
+        { email: "alice@example.com", responseStatus: "accepted" },
+      ],
+      description: "Blockers and plans",
+    },
+    {
+      id: "lunch",
+      summary: "Lunch",
+      transparency: "transparent",
+      start: { dateTime: "2025-11-04T12:00:00-06:00" },
+      end: { dateTime: "2025-11-04T13:00:00-06:00" },
+    },
+    {
+      id: "review",
+      summary: "Design review",
+      start: { dateTime: "2025-11-04T13:00:00-06:00" },
+      end: { dateTime: "2025-11-04T14:00:00-06:00" },
+      attendees: [{ email: "alice@example.com", responseStatus: "needsAction" }],
+    },
+  ],
+  others: {
+    "alice@example.com": [{ start: "2025-11-04T16:00:00Z", end: "2025-11-04T17:00:00Z" }],
+    "ghost@example.com": { errors: [{ domain: "global", reason: "notFound" }] },
+  },
+});
+
+let client;
+let dir;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "calendar-test-"));
+  client = await connect(createServer({ calendar }));
+});
+
+after(async () => {
+  await client.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const lastCall = method => calendar.calls.filter(c => c.method === method).at(-1).params;
+
+test("calendar_profile reports the calendar's time zone", async () => {
+  const { data } = await callJson(client, "calendar_profile");
+  assert.deepEqual(data, { timezone: "America/Chicago" });
+});
+
+test("calendar_list_events returns events overlapping the window, in order", async () => {
+  const { data } = await callJson(client, "calendar_list_events", { timeMin: "2025-11-04T00:00", timeMax: "2025-11-05T00:00" });
+  assert.deepEqual(data.items.map(e => e.id), ["standup", "lunch", "review"]);
+  assert.equal(lastCall("events.list").timeMin, "2025-11-04T00:00:00-06:00");
+});
+
+test("calendar_create_event reads local times in the zone and computes the end", async () => {
+  const { data } = await callJson(client, "calendar_create_event", {
+    summary: "Planning",
+    start: "2025-11-05T15:00",
+    durationMinutes: 45,
+    attendees: ["bob@example.com"],
+    createMeet: true,
+  });
+  assert.equal(data.start.dateTime, "2025-11-05T15:00:00-06:00");
+  assert.equal(data.end.dateTime, "2025-11-05T15:45:00-06:00");
+  assert.equal(data.hangoutLink, `https://meet.example.com/${data.id}`);
+  const insert = lastCall("events.insert");
+  assert.equal(insert.sendUpdates, "all");
+  assert.equal(insert.conferenceDataVersion, 1);
+  assert.deepEqual(insert.requestBody.attendees, [{ email: "bob@example.com" }]);
+});
+
+test("a bare date creates an all-day event", async () => {
+  const { data } = await callJson(client, "calendar_create_event", { summary: "Offsite", start: "2025-11-07" });
+  assert.deepEqual(data.start, { date: "2025-11-07" });
+  assert.deepEqual(data.end, { date: "2025-11-08" });
+});
+
+test("invalid arguments come back as validation errors", async () => {
+  const inserts = () => calendar.calls.filter(c => c.method === "events.insert").length;
+  const insertsBefore = inserts();
+  const email = await callError(client, "calendar_create_event", { summary: "x", start: "2025-11-05T10:00", attendees: ["bob"] });
+  assert.equal(email.error, "validation");
+  assert.equal(email.message, "attendees.0: Invalid email");
+  assert.deepEqual(email.issues, [{ path: "attendees.0", code: "invalid_string", message: "Invalid email" }]);
+  assert.equal(email.retryable, false);
+
+  const free = await callError(client, "calendar_find_free", { durationMinutes: 0, timeMin: "2025-11-04", timeMax: "2025-11-05" });
+  assert.equal(free.issues[0].code, "too_small");
+  const rsvp = await callError(client, "calendar_respond", { eventId: "standup", response: "maybe" });
+  assert.equal(rsvp.issues[0].code, "invalid_enum_value");
+
+  // Time phrases and zones are checked too, before anything reaches Google
+  const when = await callError(client, "calendar_create_event", { summary: "x", start: "someday soon", durationMinutes: 30 });
+  assert.equal(when.error, "validation");
+  assert.match(when.message, /Could not understand time "someday soon"/);
+  assert.match(when.hint, /ISO 8601/);
+  const zone = await callError(client, "calendar_list_events", { timeMin: "2025-11-04", timeMax: "2025-11-05", timeZone: "Mars/Olympus" });
+  assert.equal(zone.error, "validation");
+  assert.equal(inserts(), insertsBefore);
+});
+
+test("calendar_update_event adds and removes attendees without resetting RSVPs", async () => {
+  const { data } = await callJson(client, "calendar_update_event", {
+    eventId: "standup",
+    addAttendees: ["bob@example.com", "ALICE@example.com"],
+    removeAttendees: ["me@example.com"],
+    sendUpdates: "none",
+  });
+  assert.deepEqual(data.attendees, ["alice@example.com", "bob@example.com"]);
+  const patch = lastCall("events.patch");
+  assert.equal(patch.sendUpdates, "none");
+  assert.deepEqual(patch.requestBody.attendees, [
+    { email: "alice@example.com", responseStatus: "accepted" },
+    { email: "bob@example.com" },
+  ]);
+  // Put the original list back for the tests below
+  await callJson(client, "calendar_update_event", { eventId: "standup", addAttendees: ["me@example.com"], sendUpdates: "none" });
+  calendar.store.get("standup").attendees[2].self = true;
+});
+
+test("calendar_update_event reschedules keeping the length, or with a new duration", async () => {
+  const { data: ev } = await callJson(client, "calendar_create_event", {
+    summary: "1:1", start: "2025-11-20T10:00", durationMinutes: 30, sendUpdates: "none",
+  });
+  const { data: moved } = await callJson(client, "calendar_update_event", { eventId: ev.id, start: "2025-11-21T15:00", sendUpdates: "none" });
+  assert.deepEqual([moved.start.dateTime, moved.end.dateTime], ["2025-11-21T15:00:00-06:00", "2025-11-21T15:30:00-06:00"]);
+
+  const { data: longer } = await callJson(client, "calendar_update_event", { eventId: ev.id, start: "2025-11-21T15:00 for 45m" });
+  assert.equal(longer.end.dateTime, "2025-11-21T15:45:00-06:00");
+
+  const { data: later } = await callJson(client, "calendar_update_event", { eventId: ev.id, end: "2025-11-21T16:30" });
+  assert.deepEqual([later.start.dateTime, later.end.dateTime], ["2025-11-21T15:00:00-06:00", "2025-11-21T16:30:00-06:00"]);
+
+  const err = await callError(client, "calendar_update_event", { eventId: ev.id, end: "2025-11-21T14:00" });
+  assert.equal(err.error, "validation");
+});
+
+test("calendar_update_event moves all-day events as dates", async () => {
+  const { data: ev } = await callJson(client, "calendar_create_event", { summary: "Offsite", start: "2025-11-24", end: "2025-11-25" });
+  const { data: moved } = await callJson(client, "calendar_update_event", { eventId: ev.id, start: "2025-12-01" });
+  assert.deepEqual([moved.start.date, moved.end.date], ["2025-12-01", "2025-12-03"]);
+  assert.deepEqual(lastCall("events.patch").requestBody.start, { date: "2025-12-01", dateTime: null, timeZone: null });
+
+  const err = await callError(client, "calendar_update_event", { eventId: ev.id, start: "2025-12-01T09:00" });
+  assert.equal(err.error, "validation");
+  const { data: timed } = await callJson(client, "calendar_update_event", { eventId: ev.id, start: "2025-12-01T09:00 for 1h" });
+  assert.deepEqual(timed.start, { dateTime: "2025-12-01T09:00:00-06:00", timeZone: "America/Chicago" });
+});
+
+test("calendar_respond updates only my attendee entry", async () => {
+  const { data } = await callJson(client, "calendar_respond", { eventId: "standup", response: "tentative", comment: "may be late" });
+  assert.deepEqual(data, { ok: true, id: "standup", email: "me@example.com", response: "tentative" });
+  const me = calendar.store.get("standup").attendees.find(a => a.self);
+  assert.equal(me.responseStatus, "tentative");
+  assert.equal(me.comment, "may be late");
+  const notInvited = await callError(client, "calendar_respond", { eventId: "review", response: "accepted" });
+  assert.equal(notInvited.error, "validation");
+  assert.match(notInvited.message, /not on this event's attendee list/);
+});
+
+test("calendar_find_free merges everyone's busy time and reports hidden calendars", async () => {
+  const { data } = await callJson(client, "calendar_find_free", {
+    durationMinutes: 60,
+    timeMin: "2025-11-04T09:00",
+    timeMax: "2025-11-04T17:00",
+    attendees: ["alice@example.com", "ghost@example.com"],
+  });
+  assert.deepEqual(data.unavailable, [{ calendar: "ghost@example.com", reason: "notFound" }]);
+  // Busy: 9-10 standup, 10-11 Alice, 13-14 review; lunch is marked free. Flush slots rank first.
+  assert.deepEqual(data.slots.map(s => s.startLocal.slice(11, 16)), ["11:00", "12:00", "14:00", "16:00", "15:00"]);
+  assert.equal(data.slots[0].start, "2025-11-04T17:00:00.000Z");
+});
+
+test("calendar_delete_event cancels the event", async () => {
+  const { data: created } = await callJson(client, "calendar_create_event", { summary: "Temp", start: "2025-11-06T10:00", durationMinutes: 30 });
+  await callJson(client, "calendar_delete_event", { eventId: created.id, sendUpdates: "none" });
+  assert.equal(lastCall("events.delete").sendUpdates, "none");
+  const gone = await callError(client, "calendar_get_event", { eventId: created.id });
+  assert.deepEqual({ error: gone.error, message: gone.message, status: gone.status }, { error: "not_found", message: "Not Found", status: 404 });
+});
+
+test("export and re-import an .ics file without duplicating events", async () => {
+  const file = path.join(dir, "nov4.ics");
+  const { data: exported } = await callJson(client, "calendar_export_ics", { timeMin: "2025-11-04", timeMax: "2025-11-05", path: file });
+  assert.equal(exported.count, 3);
+  const ics = fs.readFileSync(file, "utf8");
+  assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
+  assert.match(ics, /SUMMARY:Design review\r\n/);
+
+  const { data: again } = await callJson(client, "calendar_import_ics", { path: file });
+  assert.deepEqual(again.counts, { skipped: 3 });
+  assert.ok(again.events.every(e => e.reason === "already in calendar"));
+});
+
+test("calendar_import_ics creates new events and skips what it cannot import", async () => {
+  const file = path.join(dir, "new.ics");
+  fs.writeFileSync(file, [
+    "BEGIN:VCALENDAR",
+    "BEGIN:VEVENT",
+    "UID:retro-1@example.com",
+    "SUMMARY:Retro",
+    "DTSTART;TZID=America/Chicago:20251110T150000",
+    "DTEND;TZID=America/Chicago:20251110T160000",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "UID:retro-1@example.com",
+    "SUMMARY:Retro (copy)",
+    "DTSTART:20251110T210000Z",
+    "DTEND:20251110T220000Z",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "UID:series@example.com",
+    "RECURRENCE-ID:20251111T150000Z",
+    "SUMMARY:Moved occurrence",
+    "DTSTART:20251111T170000Z",
+    "DTEND:20251111T180000Z",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].join("\r\n"));
+
+  const { data: dry } = await callJson(client, "calendar_import_ics", { path: file, dryRun: true });
+  assert.deepEqual(dry.counts, { would_create: 1, skipped: 2 });
+  assert.equal(calendar.calls.filter(c => c.method === "events.import").length, 0);
+
+  const { data } = await callJson(client, "calendar_import_ics", { path: file });
+  assert.deepEqual(data.counts, { created: 1, skipped: 2 });
+  const created = calendar.store.get(data.events[0].id);
+  assert.equal(created.iCalUID, "retro-1@example.com");
+  assert.deepEqual(created.start, { dateTime: "2025-11-10T15:00:00", timeZone: "America/Chicago" });
+});
+
+test("custom Outlook time zones resolve from their STANDARD/DAYLIGHT rules", () => {
+  const vtimezone = (tzid, ...observances) => ["BEGIN:VTIMEZONE", `TZID:${tzid}`, ...observances.flat(), "END:VTIMEZONE"];
+  const observance = (type, from, to, rrule) => [`BEGIN:${type}`, "DTSTART:16010101T020000", `TZOFFSETFROM:${from}`, `TZOFFSETTO:${to}`, `RRULE:${rrule}`, `END:${type}`];
+  const event = (uid, tzid) => ["BEGIN:VEVENT", `UID:${uid}`, `DTSTART;TZID="${tzid}":20250707T090000`, `DTEND;TZID="${tzid}":20250707T100000`, `EXDATE;TZID="${tzid}":20250714T090000`, "END:VEVENT"];
+  const [outlook, odd] = parseIcs([
+    "BEGIN:VCALENDAR",
+    ...vtimezone("Customized Time Zone",
+      observance("STANDARD", "-0400", "-0500", "FREQ=YEARLY;INTERVAL=1;BYDAY=1SU;BYMONTH=11"),
+      observance("DAYLIGHT", "-0500", "-0400", "FREQ=YEARLY;INTERVAL=1;BYDAY=2SU;BYMONTH=3")),
+    // DST rules no real zone uses fall back to the offset in effect
+    ...vtimezone("Made-up Time",
+      observance("STANDARD", "+0400", "+0300", "FREQ=YEARLY;BYDAY=1MO;BYMONTH=2"),
+      observance("DAYLIGHT", "+0300", "+0400", "FREQ=YEARLY;BYDAY=1MO;BYMONTH=9")),
+    ...event("outlook", "Customized Time Zone"),
+    ...event("odd", "Made-up Time"),
+    "END:VCALENDAR",
+  ].join("\r\n"));
+
+  const zone = outlook.event.start.timeZone;
+  assert.equal(outlook.event.start.dateTime, "2025-07-07T09:00:00");
+  assert.deepEqual([Date.UTC(2025, 0, 15), Date.UTC(2025, 6, 15)].map(ms => zoneOffsetMs(ms, zone) / 3600000), [-5, -4]);
+  assert.deepEqual(outlook.event.recurrence, [`EXDATE;TZID=${zone}:20250714T090000`]);
+  assert.deepEqual(odd.event.start, { dateTime: "2025-07-07T09:00:00", timeZone: "Etc/GMT-3" });
+});
+
+test("calendar://upcoming lists the next week's events", async () => {
+  const soon = new Date(Date.now() + 2 * 3600 * 1000).toISOString();
+  const { data: created } = await callJson(client, "calendar_create_event", { summary: "Coming up", start: soon, durationMinutes: 30 });
+  const { contents } = await client.readResource({ uri: "calendar://upcoming" });
+  const { events } = JSON.parse(contents[0].text);
+  assert.deepEqual(events.map(e => e.id), [created.id]);
+});
+
+test("prepare_agenda prompt describes the event", async () => {
+  const { messages } = await client.getPrompt({ name: "prepare_agenda", arguments: { eventId: "review", goals: "pick a layout" } });
+  const text = messages[0].content.text;
+  assert.match(text, /Goals: pick a layout/);
+  assert.match(text, /Title: Design review\nWhen: 2025-11-04T13:00:00-06:00 → 2025-11-04T14:00:00-06:00/);
+  assert.match(text, /Attendees: <alice@example.com> \(needsAction\)/);
+});
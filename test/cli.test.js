@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+
+// Every case fails before any server is started, so nothing here reaches Google or the web
+function cli(...args) {
+  const res = spawnSync(process.execPath, ["--import", "tsx", "src/cli.ts", ...args], { cwd: root, encoding: "utf8", timeout: 60000 });
+  return { status: res.status, stdout: res.stdout, stderr: res.stderr };
+}
+
+function script(t, source) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cli-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "job.txt");
+  fs.writeFileSync(file, source);
+  return file;
+}
+
+test("usage mistakes exit 2 with a message on stderr", () => {
+  const unknown = cli("frobnicate");
+  assert.deepEqual([unknown.status, unknown.stdout], [2, ""]);
+  assert.match(unknown.stderr, /Unknown command "frobnicate"/);
+  const flag = cli("cal", "list", "--bogus");
+  assert.equal(flag.status, 2);
+  assert.match(flag.stderr, /Usage: mcp-assistant cal list/);
+  for (const last of ["0", "-2", "1.5"]) {
+    const stats = cli("stats", `--last=${last}`);
+    assert.equal(stats.status, 2);
+    assert.match(stats.stderr, /--last must be a whole number of at least 1/);
+  }
+});
+
+test("script errors exit 2 and name the failing line", t => {
+  const undefinedVar = cli("run", script(t, "# morning job\n\nmail send --to ${me.emailAddress} --subject hi --body x\n"));
+  assert.equal(undefinedVar.status, 2);
+  assert.match(undefinedVar.stderr, /job\.txt:3: Unknown variable "me"/);
+
+  const reserved = cli("run", script(t, "last = mail me\n"));
+  assert.equal(reserved.status, 2);
+  assert.match(reserved.stderr, /line 1: "last" is reserved/);
+});
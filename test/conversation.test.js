@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createConversation, estimateTokens } from "../src/conversation.ts";
+
+// Each message of `size` characters costs size/4 + 4 estimated tokens
+const text = (size, mark) => mark.padEnd(size, ".");
+
+function withTurns(budgetTokens, count) {
+  const c = createConversation({ budgetTokens });
+  for (let i = 1; i <= count; i++) {
+    c.add({ role: "user", content: text(40, `q${i}`) });
+    c.add({ role: "assistant", content: "", toolCalls: [{ id: `c${i}`, name: "web_search", arguments: {} }] });
+    c.add({ role: "tool", toolCallId: `c${i}`, name: "web_search", content: text(40, `r${i}`) });
+    c.add({ role: "assistant", content: text(40, `a${i}`) });
+  }
+  return c;
+}
+
+const turnCost = turn => turn.reduce((n, m) => n + estimateTokens(m), 0);
+
+test("estimateTokens counts content and tool calls at ~4 characters per token", () => {
+  assert.equal(estimateTokens({ role: "user", content: "x".repeat(40) }), 14);
+  const call = { role: "assistant", content: "", toolCalls: [{ id: "c", name: "t", arguments: {} }] };
+  assert.equal(estimateTokens(call), Math.ceil(JSON.stringify(call.toolCalls).length / 4) + 4);
+});
+
+test("trimming drops whole turns, oldest first, and keeps the system prompt", () => {
+  const all = withTurns(Infinity, 3);
+  const turn = all.snapshot().slice(0, 4);
+  const system = "You are helpful.";
+  const budget = estimateTokens({ role: "system", content: system }) + 2 * turnCost(turn);
+
+  const c = withTurns(budget, 3);
+  const sent = c.messages(system);
+  assert.equal(sent[0].content, system);
+  assert.deepEqual(sent.filter(m => m.role === "user").map(m => m.content.slice(0, 2)), ["q2", "q3"]);
+  // Every tool result still follows the assistant message that called it
+  assert.deepEqual(sent.slice(1, 5).map(m => m.role), ["user", "assistant", "tool", "assistant"]);
+
+  assert.equal(c.turnCount, 3);
+  assert.equal(c.snapshot().length, 12, "the saved history is not trimmed");
+});
+
+test("the newest turn is sent even when it alone is over budget", () => {
+  const c = withTurns(10, 2);
+  assert.deepEqual(c.messages().map(m => m.content.slice(0, 2)), ["q2", "", "r2", "a2"]);
+});
+
+test("restore rebuilds turns from a flat history", () => {
+  const saved = withTurns(Infinity, 2).snapshot();
+  const c = createConversation({ budgetTokens: Infinity });
+  c.add({ role: "user", content: "stale" });
+  c.restore(saved);
+  assert.equal(c.turnCount, 2);
+  assert.deepEqual(c.messages(), saved);
+  c.clear();
+  assert.deepEqual([c.turnCount, c.tokens], [0, 0]);
+});
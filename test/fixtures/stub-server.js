@@ -0,0 +1,48 @@
+// A tiny stdio MCP server for the registry tests. STUB_NAME names its tool and its
+// resource scheme; STUB_MODE makes one part of it fail:
+//   broken-resources  resources/list errors
+//   no-tools          connects, but tools/list is not handled
+// When STUB_CLOSED_FILE is set, the file is written once the client shuts the server down.
+
+import fs from "node:fs";
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import {
+  ListToolsRequestSchema,
+  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+
+const name = process.env.STUB_NAME || "stub";
+const mode = process.env.STUB_MODE || "";
+
+const server = new Server({ name, version: "0.0.1" }, { capabilities: { tools: {}, resources: {} } });
+
+if (mode !== "no-tools") {
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: [{ name: `${name}_echo`, description: "Echo the text back", inputSchema: { type: "object", properties: { text: { type: "string" } } } }],
+  }));
+  server.setRequestHandler(CallToolRequestSchema, async req => ({
+    content: [{ type: "text", text: String(req.params.arguments?.text ?? "") }],
+  }));
+}
+
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+  if (mode === "broken-resources") throw new Error("resource index is corrupt");
+  return { resources: [{ uri: `${name}://notes`, name: "notes", mimeType: "text/plain" }] };
+});
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates: [] }));
+server.setRequestHandler(ReadResourceRequestSchema, async req => ({
+  contents: [{ uri: req.params.uri, mimeType: "text/plain", text: `${name} notes` }],
+}));
+
+const closed = () => {
+  if (process.env.STUB_CLOSED_FILE) fs.writeFileSync(process.env.STUB_CLOSED_FILE, name);
+  process.exit(0);
+};
+process.once("SIGTERM", closed);
+process.stdin.once("end", closed);
+
+await server.connect(new StdioServerTransport());
@@ -0,0 +1,185 @@
+import "./support/env.js";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createServer } from "../servers/gmail-mcp/server.js";
+import { buildMime, encodeHeader, encodeAddress } from "../servers/gmail-mcp/mime.js";
+import { connect, callJson, callError } from "./support/mcp.js";
+import { createFakeGmail, gmailMessage, parseRaw } from "./support/fake-gmail.js";
+
+const gmail = createFakeGmail({
+  messages: [
+    gmailMessage({
+      id: "m1",
+      threadId: "t1",
+      from: "Alice <alice@example.com>",
+      to: "me@example.com, bob@example.com",
+      cc: "carol@example.com",
+      subject: "Quarterly numbers",
+      body: "Can you send the Q3 report by Friday?",
+    }),
+    gmailMessage({
+      id: "m2",
+      threadId: "t2",
+      from: "newsletter@example.org",
+      to: "me@example.com",
+      subject: "Weekly digest",
+      html: "<p>Top story: <a href=\"https://example.org/a\">read more</a></p>",
+      labelIds: ["CATEGORY_UPDATES"],
+    }),
+    gmailMessage({
+      id: "m3",
+      threadId: "t3",
+      from: "Dana <dana@example.com>",
+      replyTo: "team@example.com",
+      to: "me@example.com",
+      subject: "Re: Slides",
+      body: "Slides attached.",
+      attachments: [{ filename: "deck.txt", mimeType: "text/plain", data: "slide 1" }],
+    }),
+  ],
+  attachments: { "att-m3-0": "slide 1" },
+});
+
+let client;
+let dir;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "gmail-test-"));
+  client = await connect(createServer({ gmail }));
+});
+
+after(async () => {
+  await client.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("gmail_search defaults to the inbox and summarizes each hit", async () => {
+  const { data } = await callJson(client, "gmail_search", {});
+  assert.equal(data.query, "in:inbox");
+  assert.deepEqual(data.messages.map(m => m.id), ["m1", "m3"]);
+  assert.equal(data.messages[0].from, "Alice <alice@example.com>");
+  assert.equal(data.messages[0].subject, "Quarterly numbers");
+});
+
+test("gmail_get_message decodes the body and falls back to HTML", async () => {
+  const { data: plain } = await callJson(client, "gmail_get_message", { id: "m1" });
+  assert.equal(plain.body, "Can you send the Q3 report by Friday?");
+  assert.deepEqual(plain.to, ["me@example.com", "bob@example.com"]);
+  const { data: html } = await callJson(client, "gmail_get_message", { id: "m2" });
+  assert.equal(html.body, "Top story: read more (https://example.org/a)");
+});
+
+test("gmail_send_message builds a MIME message with encoded headers", async () => {
+  const { data } = await callJson(client, "gmail_send_message", {
+    to: "Zoë Müller <zoe@example.com>, sam@example.com",
+    bcc: ["audit@example.com"],
+    subject: "Größenänderung",
+    body: "Hallo Zoë",
+  });
+  assert.equal(data.id, gmail.sent.at(-1).id);
+  const { headers, parts } = gmail.sent.at(-1);
+  assert.equal(headers.to, `${encodeHeader("Zoë Müller")} <zoe@example.com>, sam@example.com`);
+  assert.equal(headers.bcc, "audit@example.com");
+  assert.equal(headers.subject, "=?UTF-8?B?R3LDtsOfZW7DpG5kZXJ1bmc=?=");
+  assert.equal(headers["mime-version"], "1.0");
+  assert.deepEqual(parts, [{ contentType: "text/plain", filename: undefined, text: "Hallo Zoë" }]);
+});
+
+test("HTML bodies and attachments nest as alternative inside mixed", async () => {
+  const file = path.join(dir, "report.csv");
+  fs.writeFileSync(file, "quarter,revenue\nQ3,100\n");
+  await callJson(client, "gmail_create_draft", {
+    to: "bob@example.com",
+    subject: "Report",
+    body: "See attached.",
+    html: "<p>See attached.</p>",
+    attachments: [file],
+  });
+  const { raw, parts } = gmail.drafts.at(-1);
+  assert.match(raw, /Content-Type: multipart\/mixed; boundary="([^"]+)"\r\n\r\n--\1\r\nContent-Type: multipart\/alternative/);
+  assert.deepEqual(parts.map(p => [p.contentType, p.filename ?? null, p.text]), [
+    ["text/plain", null, "See attached."],
+    ["text/html", null, "<p>See attached.</p>"],
+    ["text/csv", "report.csv", "quarter,revenue\nQ3,100\n"],
+  ]);
+});
+
+test("invalid addresses fail validation before anything is sent", async () => {
+  const before = gmail.sent.length;
+  const address = await callError(client, "gmail_send_message", { to: "not-an-address", subject: "x", body: "y" });
+  assert.equal(address.error, "validation");
+  assert.equal(address.message, "to.0: Invalid email address");
+  const subject = await callError(client, "gmail_send_message", { to: "a@example.com", body: "y" });
+  assert.equal(subject.message, "subject: Required");
+  const attachment = await callError(client, "gmail_send_message", { to: "a@example.com", subject: "x", body: "y", attachments: [path.join(dir, "nope.pdf")] });
+  assert.equal(attachment.error, "not_found");
+  assert.match(attachment.message, /^Attachment not found: .*nope\.pdf$/);
+  assert.equal(gmail.sent.length, before);
+});
+
+test("gmail_reply threads the reply and quotes the original", async () => {
+  const { data } = await callJson(client, "gmail_reply", { messageId: "m1", body: "Will do." });
+  assert.deepEqual(data.to, ["Alice <alice@example.com>"]);
+  assert.deepEqual(data.cc, []);
+  assert.equal(data.subject, "Re: Quarterly numbers");
+
+  const reply = gmail.sent.at(-1);
+  assert.equal(reply.threadId, "t1");
+  assert.equal(reply.headers["in-reply-to"], "<m1@mail.example.com>");
+  assert.equal(reply.headers.references, "<m1@mail.example.com>");
+  assert.match(reply.parts[0].text, /^Will do\.\n\nOn .*, Alice <alice@example.com> wrote:\n> Can you send the Q3 report by Friday\?$/);
+});
+
+test("reply-all skips me and duplicates; Reply-To wins over From", async () => {
+  const { data: all } = await callJson(client, "gmail_reply", { messageId: "m1", body: "Adding everyone.", replyAll: true, asDraft: true });
+  assert.deepEqual(all.cc, ["bob@example.com", "carol@example.com"]);
+  assert.equal(gmail.drafts.at(-1).threadId, "t1");
+
+  const { data: replyTo } = await callJson(client, "gmail_reply", { messageId: "m3", body: "Thanks" });
+  assert.deepEqual(replyTo.to, ["team@example.com"]);
+  assert.equal(replyTo.subject, "Re: Slides");
+});
+
+test("gmail_forward carries the original attachments", async () => {
+  const { data } = await callJson(client, "gmail_forward", { messageId: "m3", to: "eve@example.com", body: "FYI" });
+  assert.equal(data.subject, "Fwd: Re: Slides");
+  assert.deepEqual(data.attachments, ["deck.txt"]);
+  const { parts } = gmail.sent.at(-1);
+  assert.match(parts[0].text, /^FYI\n\n---------- Forwarded message ---------\nFrom: Dana <dana@example.com>/);
+  assert.deepEqual(parts[1], { contentType: "text/plain", filename: "deck.txt", text: "slide 1" });
+});
+
+test("gmail_reply_preview reports the headers without sending", async () => {
+  const sentBefore = gmail.sent.length;
+  const { data: all } = await callJson(client, "gmail_reply_preview", { messageId: "m1", kind: "replyAll" });
+  assert.deepEqual(all, {
+    messageId: "m1",
+    to: ["Alice <alice@example.com>"],
+    cc: ["bob@example.com", "carol@example.com"],
+    subject: "Re: Quarterly numbers",
+    attachments: [],
+  });
+  const { data: fwd } = await callJson(client, "gmail_reply_preview", { messageId: "m3", kind: "forward" });
+  assert.deepEqual([fwd.subject, fwd.attachments], ["Fwd: Re: Slides", ["deck.txt"]]);
+  assert.equal(gmail.sent.length, sentBefore);
+});
+
+test("draft_reply prompt includes the email and the draft instructions", async () => {
+  const { messages } = await client.getPrompt({ name: "draft_reply", arguments: { messageId: "m1", intent: "say yes" } });
+  const text = messages[0].content.text;
+  assert.match(text, /The reply should: say yes/);
+  assert.match(text, /gmail_reply \{ "messageId": "m1", "body": <your reply>, "asDraft": true \}/);
+  assert.match(text, /Subject: Quarterly numbers\n\nCan you send the Q3 report by Friday\?$/);
+});
+
+test("encodeAddress quotes ASCII names and encodes the rest", () => {
+  assert.equal(encodeAddress("Bob Smith <bob@example.com>"), '"Bob Smith" <bob@example.com>');
+  assert.equal(encodeAddress("bob@example.com"), "bob@example.com");
+  const raw = buildMime({ to: ["a@example.com"], subject: "x", text: "y".repeat(200), date: new Date("2025-01-02T03:04:05Z") });
+  assert.match(raw, /\r\nDate: Thu, 02 Jan 2025 03:04:05 \+0000\r\n/);
+  // Base64 bodies wrap at 76 characters
+  assert.ok(parseRaw(raw).raw.split("\r\n").every(line => line.length <= 76));
+});
@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createProvider } from "../src/llm.ts";
+
+// Each fetch takes the next reply: a Response, or a function returning one
+function stubFetch(t, replies) {
+  const requests = [];
+  t.mock.method(globalThis, "fetch", async (url, init) => {
+    requests.push({ url: String(url), body: JSON.parse(init.body) });
+    const next = replies.shift();
+    if (!next) throw new Error(`unexpected fetch ${url}`);
+    return typeof next === "function" ? next() : next;
+  });
+  return requests;
+}
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { "content-type": "application/json" } });
+
+function completion(message) {
+  return json({
+    id: "chatcmpl-1",
+    object: "chat.completion",
+    created: 0,
+    model: "test-model",
+    choices: [{ index: 0, finish_reason: "stop", message: { role: "assistant", content: null, ...message } }],
+    usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+  });
+}
+
+// The client takes fetch when it is created, so stub first
+function compatible(maxRetries = 0) {
+  return createProvider({ provider: "openai-compatible", baseUrl: "http://llm.test/v1", model: "test-model", maxRetries });
+}
+
+test("malformed tool-call arguments come back as an error instead of {}", async t => {
+  stubFetch(t, [
+    completion({
+      tool_calls: [
+        { id: "c1", type: "function", function: { name: "web_search", arguments: '{"query": "mc' } },
+        { id: "c2", type: "function", function: { name: "web_search", arguments: "[1, 2]" } },
+        { id: "c3", type: "function", function: { name: "web_search", arguments: "" } },
+      ],
+    }),
+  ]);
+  const res = await compatible().chat([{ role: "user", content: "hi" }]);
+  assert.deepEqual(res.toolCalls.map(tc => tc.arguments), [{}, {}, {}]);
+  assert.match(res.toolCalls[0].argumentsError, /JSON.* in \{"query": "mc$/);
+  assert.equal(res.toolCalls[1].argumentsError, "expected a JSON object, got [1, 2]");
+  assert.equal(res.toolCalls[2].argumentsError, undefined);
+});
+
+// A streamed body from string pieces; `fail` errors the stream after them
+function streamed(pieces, { type = "text/event-stream", fail } = {}) {
+  const encoder = new TextEncoder();
+  const queue = [...pieces];
+  // One piece per read; erroring in the same pull would discard what is still queued
+  const body = new ReadableStream({
+    pull(controller) {
+      if (queue.length) controller.enqueue(encoder.encode(queue.shift()));
+      else if (fail) controller.error(new Error(fail));
+      else controller.close();
+    },
+  });
+  return new Response(body, { headers: { "content-type": type } });
+}
+
+const chunk = (delta, extra = {}) =>
+  `data: ${JSON.stringify({ id: "c", object: "chat.completion.chunk", created: 0, model: "test-model", choices: [{ index: 0, delta }], ...extra })}\n\n`;
+
+test("OpenAI streams assemble text and tool calls from fragments", async t => {
+  const requests = stubFetch(t, [
+    streamed([
+      chunk({ role: "assistant", content: "Let me " }),
+      chunk({ content: "check." }),
+      chunk({ tool_calls: [{ index: 0, id: "call_1", type: "function", function: { name: "web_", arguments: '{"que' } }] }),
+      chunk({ tool_calls: [{ index: 0, function: { name: "search", arguments: 'ry": "mcp"}' } }] }),
+      chunk({ tool_calls: [{ index: 1, id: "call_2", type: "function", function: { name: "fetch_url", arguments: "{}" } }] }),
+      `data: ${JSON.stringify({ id: "c", object: "chat.completion.chunk", created: 0, model: "test-model", choices: [], usage: { prompt_tokens: 12, completion_tokens: 7 } })}\n\n`,
+      "data: [DONE]\n\n",
+    ]),
+  ]);
+  const tokens = [];
+  const res = await compatible().chat([{ role: "user", content: "hi" }], { onToken: tok => tokens.push(tok) });
+  assert.deepEqual(tokens, ["Let me ", "check."]);
+  assert.equal(res.content, "Let me check.");
+  assert.deepEqual(res.toolCalls, [
+    { id: "call_1", name: "web_search", arguments: { query: "mcp" } },
+    { id: "call_2", name: "fetch_url", arguments: {} },
+  ]);
+  assert.deepEqual(res.usage, { promptTokens: 12, completionTokens: 7 });
+  assert.equal(requests[0].url, "http://llm.test/v1/chat/completions");
+  assert.equal(requests[0].body.stream, true);
+});
+
+test("Ollama NDJSON lines may be split across chunks", async t => {
+  stubFetch(t, [
+    streamed(
+      [
+        '{"message":{"content":"Hel"}}\n{"message":{"con',
+        'tent":"lo"}}\n',
+        '{"message":{"content":"","tool_calls":[{"function":{"name":"web_search","arguments":{"query":"mcp"}}}]}}\n',
+        '{"done":true,"prompt_eval_count":20,"eval_count":4}\n',
+      ],
+      { type: "application/x-ndjson" },
+    ),
+  ]);
+  const tokens = [];
+  const ollama = createProvider({ provider: "ollama", baseUrl: "http://ollama.test", model: "llama3.1", maxRetries: 0 });
+  const res = await ollama.chat([{ role: "user", content: "hi" }], { onToken: tok => tokens.push(tok) });
+  assert.deepEqual(tokens, ["Hel", "lo"]);
+  assert.deepEqual([res.content, res.toolCalls[0].name, res.toolCalls[0].arguments], ["Hello", "web_search", { query: "mcp" }]);
+  assert.deepEqual(res.usage, { promptTokens: 20, completionTokens: 4 });
+});
+
+test("transient errors are retried with a notice", async t => {
+  const warnings = [];
+  t.mock.method(console, "error", text => warnings.push(text));
+  const requests = stubFetch(t, [json({ error: { message: "overloaded" } }, 503), completion({ content: "ok" })]);
+  const res = await compatible(2).chat([{ role: "user", content: "hi" }]);
+  assert.equal(res.content, "ok");
+  assert.equal(requests.length, 2);
+  assert.match(warnings[0], /^\(openai-compatible server; retrying in \d+ms\)$/);
+});
+
+test("auth errors are not retried", async t => {
+  const requests = stubFetch(t, [json({ error: { message: "bad key" } }, 401)]);
+  await assert.rejects(compatible(2).chat([{ role: "user", content: "hi" }]), { name: "LlmError", kind: "auth", status: 401 });
+  assert.equal(requests.length, 1);
+});
+
+test("a stream that fails after printing tokens is not retried", async t => {
+  // Retrying would print "Hel" a second time
+  const requests = stubFetch(t, [streamed(['{"message":{"content":"Hel"}}\n'], { type: "application/x-ndjson", fail: "socket hang up" })]);
+  const ollama = createProvider({ provider: "ollama", baseUrl: "http://ollama.test", model: "llama3.1", maxRetries: 2 });
+  await assert.rejects(ollama.chat([{ role: "user", content: "hi" }], { onToken: () => {} }), { kind: "network", message: /socket hang up/ });
+  assert.equal(requests.length, 1);
+});
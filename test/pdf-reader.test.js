@@ -0,0 +1,124 @@
+import "./support/env.js";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createServer } from "../servers/pdf-reader-mcp/server.js";
+import { connect, callJson, callError } from "./support/mcp.js";
+import { makePdf } from "./support/pdf.js";
+
+let client;
+let dir;
+let contract;
+let notes;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "pdf-reader-test-"));
+  contract = path.join(dir, "contract.pdf");
+  fs.writeFileSync(contract, makePdf({
+    title: "Service Agreement",
+    pages: [
+      ["Service Agreement", "", "Payment is due within 30 days of the invoice date.", "Late payments accrue 2% interest per month."],
+      ["Fee schedule", "", ["Item", "Price", "Unit"], ["Setup", "500", "once"], ["Support", "120", "hour"], "", "Either party may terminate with 60 days notice."],
+    ],
+    outline: [{ title: "Payment", page: 1 }, { title: "Fees", page: 2 }],
+  }));
+  notes = path.join(dir, "notes.pdf");
+  fs.writeFileSync(notes, makePdf({ title: "Notes", pages: [["Meeting notes about the office move."]] }));
+  client = await connect(createServer());
+});
+
+after(async () => {
+  await client.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("load_pdf returns a docId and page count", async () => {
+  const { data } = await callJson(client, "load_pdf", { target: contract });
+  assert.deepEqual(data, { ok: true, docId: "doc1", pages: 2, source: contract });
+});
+
+test("extract_text keeps lines and paragraph breaks", async () => {
+  const { data } = await callJson(client, "extract_text", { page: 1 });
+  assert.equal(data.docId, "doc1");
+  assert.match(data.text, /^Service Agreement\n\nPayment is due within 30 days/);
+  assert.match(data.text, /Late payments accrue 2% interest per month\.$/);
+});
+
+test("extract_text rejects pages outside the document", async () => {
+  const past = await callError(client, "extract_text", { page: 3 });
+  assert.equal(past.error, "validation");
+  assert.equal(past.message, "Page out of range (1..2)");
+  assert.match(past.hint, /page_count/);
+  const zero = await callError(client, "extract_text", { page: 0 });
+  assert.deepEqual(zero.issues.map(i => [i.path, i.code]), [["page", "too_small"]]);
+});
+
+test("extract_tables finds the column layout", async () => {
+  const { data } = await callJson(client, "extract_tables", { page: 2 });
+  assert.equal(data.tables.length, 1);
+  assert.deepEqual(data.tables[0], {
+    columns: 3,
+    rows: [["Item", "Price", "Unit"], ["Setup", "500", "once"], ["Support", "120", "hour"]],
+  });
+});
+
+test("metadata and outline come from the PDF", async () => {
+  const { data: meta } = await callJson(client, "pdf_metadata", {});
+  assert.equal(meta.info.Title, "Service Agreement");
+  const { data } = await callJson(client, "pdf_outline", {});
+  assert.deepEqual(data.outline.map(o => [o.title, o.page]), [["Payment", 1], ["Fees", 2]]);
+});
+
+test("search_pdf ranks the matching page first", async () => {
+  const { data } = await callJson(client, "search_pdf", { query: "terminate notice" });
+  assert.equal(data.results[0].page, 2);
+  assert.match(data.results[0].text, /terminate with 60 days notice/);
+});
+
+test("several documents stay loaded and are addressed by docId", async () => {
+  const { data: loaded } = await callJson(client, "load_pdf", { target: notes });
+  assert.equal(loaded.docId, "doc2");
+  const { data: list } = await callJson(client, "list_documents");
+  assert.deepEqual(list.documents.map(d => [d.docId, d.active]), [["doc1", false], ["doc2", true]]);
+
+  const { data: both } = await callJson(client, "search_pdf", { query: "office move", allDocuments: true });
+  assert.equal(both.results[0].docId, "doc2");
+  const { data: first } = await callJson(client, "page_count", { docId: "doc1" });
+  assert.equal(first.pages, 2);
+
+  const { data: unloaded } = await callJson(client, "unload_document", { docId: "doc2" });
+  assert.deepEqual(unloaded, { ok: true, docId: "doc2", activeDocId: "doc1" });
+  const unknown = await callError(client, "page_count", { docId: "doc2" });
+  assert.deepEqual([unknown.error, unknown.message], ["not_found", "Unknown docId: doc2"]);
+  assert.match(unknown.hint, /list_documents/);
+});
+
+test("missing and non-PDF files are reported", async () => {
+  const missing = await callError(client, "load_pdf", { target: path.join(dir, "nope.pdf") });
+  assert.equal(missing.error, "not_found");
+  assert.match(missing.message, /^File not found: .*nope\.pdf$/);
+
+  const text = path.join(dir, "notes.txt");
+  fs.writeFileSync(text, "just text");
+  const notPdf = await callError(client, "load_pdf", { target: text });
+  assert.equal(notPdf.error, "validation");
+  assert.equal(notPdf.message, `Not a PDF: ${text}`);
+});
+
+test("loaded pages are published as resources", async () => {
+  const { resources } = await client.listResources();
+  assert.deepEqual(resources.map(r => r.uri), ["pdf://doc1", "pdf://doc1/page/1", "pdf://doc1/page/2"]);
+  const { contents } = await client.readResource({ uri: "pdf://doc1/page/2" });
+  assert.equal(contents[0].mimeType, "text/plain");
+  assert.match(contents[0].text, /^Fee schedule/);
+  await assert.rejects(client.readResource({ uri: "pdf://doc9/page/1" }), /Unknown docId: doc9/);
+});
+
+test("answer_from_pdf prompt embeds the matching excerpts", async () => {
+  const { messages } = await client.getPrompt({ name: "answer_from_pdf", arguments: { question: "When is payment due?" } });
+  assert.equal(messages.length, 1);
+  assert.match(messages[0].content.text, /Question: When is payment due\?/);
+  assert.match(messages[0].content.text, /\[Page 1\]\n.*Payment is due within 30 days/s);
+});
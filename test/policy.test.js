@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createPolicy } from "../src/policy.ts";
+
+const tools = [{ name: "gmail_reply", annotations: { readOnlyHint: false } }, { name: "gmail_forward", annotations: { readOnlyHint: false } }];
+
+function policy(details) {
+  const lines = [];
+  const p = createPolicy({ tools, dryRun: true, confirm: async () => false, log: t => lines.push(t), details });
+  return { p, lines };
+}
+
+test("reply previews show the recipients and subject the server resolved", async () => {
+  const { p, lines } = policy(async () => ({ to: ["Alice <alice@example.com>"], cc: ["bob@example.com"], subject: "Re: Q3", attachments: [] }));
+  await p.check("gmail_reply", { messageId: "m1", body: "Will do.", replyAll: true });
+  assert.equal(lines[0].trim(), [
+    "── Reply all ──",
+    "To: Alice <alice@example.com>",
+    "Cc: bob@example.com",
+    "Subject: Re: Q3",
+    "In reply to: m1",
+    "",
+    "Will do.",
+  ].join("\n"));
+});
+
+test("forward previews list the original attachments; a failed lookup is shown", async () => {
+  const { p, lines } = policy(async () => ({ subject: "Fwd: Slides", attachments: ["deck.pdf"] }));
+  await p.check("gmail_forward", { messageId: "m3", to: "eve@example.com" });
+  assert.match(lines[0], /To: eve@example.com\nSubject: Fwd: Slides\nForwarding: m3\nAttachment: deck.pdf \(original\)/);
+
+  const failing = policy(async () => {
+    throw new Error("Gmail is not authorized");
+  });
+  await failing.p.check("gmail_reply", { messageId: "m1", body: "x" });
+  assert.match(failing.lines[0], /\(could not look up the original message: Gmail is not authorized\)/);
+});
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { connectServers } from "../src/registry.ts";
+
+const stub = fileURLToPath(new URL("./fixtures/stub-server.js", import.meta.url));
+
+function server(name, env = {}) {
+  return { name, command: process.execPath, args: [stub], env: { STUB_NAME: name, ...env } };
+}
+
+// The stub writes its marker on shutdown; give the signal a moment to arrive
+async function waitForFile(file) {
+  for (let i = 0; i < 50 && !fs.existsSync(file); i++) await new Promise(r => setTimeout(r, 20));
+  return fs.existsSync(file);
+}
+
+test("a server that fails to start is reported; the others keep working", async t => {
+  const registry = await connectServers({
+    servers: [server("notes"), { name: "missing", command: path.join(os.tmpdir(), "no-such-mcp-server"), args: [] }],
+  });
+  t.after(() => registry.closeAll());
+  assert.deepEqual(registry.status.map(s => [s.name, s.ok]), [["notes", true], ["missing", false]]);
+  assert.match(registry.status[1].error, /ENOENT/);
+  assert.deepEqual(registry.tools.map(tool => tool.name), ["notes_echo"]);
+  const res = await registry.call("notes_echo", { text: "hi" });
+  assert.deepEqual(res.content, [{ type: "text", text: "hi" }]);
+  await assert.rejects(registry.call("missing_echo"), /No running server provides tool "missing_echo"/);
+});
+
+test("a server whose tool list fails after connecting is shut down", async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "registry-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const marker = path.join(dir, "closed");
+  const registry = await connectServers({ servers: [server("toolless", { STUB_MODE: "no-tools", STUB_CLOSED_FILE: marker })] });
+  t.after(() => registry.closeAll());
+  assert.equal(registry.status[0].ok, false);
+  assert.match(registry.status[0].error, /Method not found/);
+  assert.ok(await waitForFile(marker), "the server process was left running");
+});
+
+test("one server failing to list resources does not hide the others", async t => {
+  const registry = await connectServers({ servers: [server("notes"), server("broken", { STUB_MODE: "broken-resources" })] });
+  t.after(() => registry.closeAll());
+  const warnings = [];
+  t.mock.method(console, "error", text => warnings.push(text));
+
+  const resources = await registry.listResources();
+  assert.deepEqual(resources.map(r => [r.server, r.uri]), [["notes", "notes://notes"]]);
+  assert.match(warnings[0], /^\(skipping resources from broken: .*resource index is corrupt\)$/);
+
+  const read = await registry.readResource("notes://notes");
+  assert.equal(read.contents[0].text, "notes notes");
+  await assert.rejects(registry.readResource("broken://notes"), /No running server publishes broken:\/\/ resources/);
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { z } from "zod";
+import { errorResult, toolHandler, ToolError } from "../servers/shared/result.js";
+import { HttpError } from "../servers/shared/rate-limit.js";
+
+const envelope = e => JSON.parse(errorResult(e).content[0].text);
+
+// The shape googleapis (gaxios) throws
+function gaxiosError(status, reason) {
+  const e = new Error(`Google said ${status}`);
+  e.response = { status, data: { error: { errors: reason ? [{ reason }] : [] } } };
+  return e;
+}
+
+test("HTTP failures map onto codes by status", () => {
+  assert.deepEqual(
+    [404, 410, 429, 500, 401].map(status => [status, envelope(new HttpError("x", { status })).error]),
+    [[404, "not_found"], [410, "not_found"], [429, "rate_limited"], [500, "upstream_error"], [401, "upstream_error"]]
+  );
+  const quota = envelope(gaxiosError(403, "userRateLimitExceeded"));
+  assert.deepEqual([quota.error, quota.retryable, quota.status], ["rate_limited", true, 403]);
+  const forbidden = envelope(gaxiosError(403, "forbidden"));
+  assert.deepEqual([forbidden.error, forbidden.retryable], ["upstream_error", false]);
+  assert.equal(envelope(gaxiosError(503)).retryable, true);
+});
+
+test("network failures are retryable upstream errors; anything else is internal", () => {
+  const reset = Object.assign(new Error("socket hang up"), { code: "ECONNRESET" });
+  assert.deepEqual(envelope(reset), {
+    error: "upstream_error",
+    message: "socket hang up",
+    hint: "The remote service failed; retrying later may help.",
+    retryable: true,
+    cause: "ECONNRESET",
+  });
+  const bug = envelope(new TypeError("x.map is not a function"));
+  assert.deepEqual([bug.error, bug.retryable], ["internal_error", false]);
+});
+
+test("zod issues become one validation message plus an issue list", () => {
+  const parsed = z.object({ to: z.array(z.string().email()), page: z.number().min(1) }).safeParse({ to: ["bob"], page: 0 });
+  const err = envelope(parsed.error);
+  assert.equal(err.error, "validation");
+  assert.equal(err.message, "to.0: Invalid email; page: Number must be greater than or equal to 1");
+  assert.deepEqual(err.issues.map(i => [i.path, i.code]), [["to.0", "invalid_string"], ["page", "too_small"]]);
+});
+
+test("ToolError keeps its own hint and details", () => {
+  const err = envelope(new ToolError("not_found", "Unknown docId: doc9", { hint: "Call list_documents.", docId: "doc9" }));
+  assert.deepEqual(err, { error: "not_found", message: "Unknown docId: doc9", hint: "Call list_documents.", retryable: false, docId: "doc9" });
+});
+
+test("toolHandler wraps data and turns throws into error results", async () => {
+  const ok = await toolHandler(async () => ({ when: new Date("2025-11-04T15:00:00Z"), skip: undefined }))({ params: { name: "t" } });
+  assert.deepEqual(ok.structuredContent, { when: "2025-11-04T15:00:00.000Z" });
+  assert.equal(ok.content[0].text, JSON.stringify(ok.structuredContent));
+
+  const failed = await toolHandler(async () => { throw new ToolError("validation", "bad"); })({ params: { name: "t" } });
+  assert.equal(failed.isError, true);
+  assert.equal(failed.structuredContent, undefined);
+  assert.equal(JSON.parse(failed.content[0].text).hint, "Fix the arguments (see the tool's inputSchema) and call again.");
+});
@@ -0,0 +1,92 @@
+import "./support/env.js";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import * as pdfReader from "../servers/pdf-reader-mcp/server.js";
+import * as webSearch from "../servers/web-search-mcp/server.js";
+import * as gmail from "../servers/gmail-mcp/server.js";
+import * as calendar from "../servers/calendar-mcp/server.js";
+import { connect, callError } from "./support/mcp.js";
+import { createFakeGmail } from "./support/fake-gmail.js";
+import { createFakeCalendar } from "./support/fake-calendar.js";
+
+const servers = {
+  "pdf-reader": () => pdfReader.createServer(),
+  "web-search": () => webSearch.createServer(),
+  gmail: () => gmail.createServer({ gmail: createFakeGmail() }),
+  calendar: () => calendar.createServer({ calendar: createFakeCalendar() }),
+};
+
+const clients = {};
+const tools = {};
+
+before(async () => {
+  for (const [name, create] of Object.entries(servers)) {
+    clients[name] = await connect(create());
+    tools[name] = (await clients[name].listTools()).tools;
+  }
+});
+
+after(async () => {
+  for (const client of Object.values(clients)) await client.close();
+});
+
+test("every server lists tools with unique names", () => {
+  const names = Object.values(tools).flat().map(t => t.name);
+  assert.ok(names.length > 20);
+  assert.equal(new Set(names).size, names.length);
+});
+
+test("tool input schemas are well-formed JSON Schema objects", () => {
+  for (const [server, list] of Object.entries(tools)) {
+    for (const tool of list) {
+      const where = `${server}/${tool.name}`;
+      assert.ok(tool.description?.length > 10, `${where} needs a description`);
+      assert.equal(tool.inputSchema.type, "object", where);
+      const props = tool.inputSchema.properties ?? {};
+      for (const key of tool.inputSchema.required ?? []) assert.ok(key in props, `${where}: required "${key}" is not a property`);
+      for (const [key, prop] of Object.entries(props)) {
+        assert.ok(prop.type || prop.anyOf || prop.oneOf, `${where}.${key} has no type`);
+        if (prop.type === "array") assert.ok(prop.items, `${where}.${key} has no items schema`);
+      }
+    }
+  }
+});
+
+test("every tool says whether it is read-only", () => {
+  for (const list of Object.values(tools)) {
+    for (const tool of list) assert.equal(typeof tool.annotations?.readOnlyHint, "boolean", tool.name);
+  }
+  const writes = Object.values(tools).flat().filter(t => !t.annotations.readOnlyHint).map(t => t.name);
+  assert.ok(writes.includes("gmail_send_message"));
+  assert.ok(writes.includes("calendar_delete_event"));
+  assert.ok(!writes.includes("web_search"));
+});
+
+test("every tool declares an object outputSchema", () => {
+  for (const [server, list] of Object.entries(tools)) {
+    for (const tool of list) {
+      const where = `${server}/${tool.name}`;
+      assert.equal(tool.outputSchema?.type, "object", `${where} has no outputSchema`);
+      for (const key of tool.outputSchema.required ?? []) assert.ok(key in tool.outputSchema.properties, `${where}: required "${key}" is not an output property`);
+    }
+  }
+});
+
+test("calls missing a required argument come back as validation errors", async () => {
+  for (const [server, list] of Object.entries(tools)) {
+    for (const tool of list.filter(t => t.inputSchema.required?.length)) {
+      const err = await callError(clients[server], tool.name, {});
+      assert.equal(err.error, "validation", `${server}/${tool.name}: ${err.message}`);
+      assert.ok(err.issues.some(i => i.code === "invalid_type" && tool.inputSchema.required.includes(i.path)), `${server}/${tool.name}`);
+    }
+  }
+});
+
+test("unknown tools come back as not_found", async () => {
+  for (const client of Object.values(clients)) {
+    const err = await callError(client, "no_such_tool");
+    assert.equal(err.error, "not_found");
+    assert.equal(err.message, "Unknown tool: no_such_tool");
+    assert.match(err.hint, /tools\/list/);
+  }
+});
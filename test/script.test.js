@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { splitWords, lookup, parseScript, ScriptError } from "../src/script.ts";
+
+test("splitWords groups quotes and honours backslash escapes like a shell", () => {
+  assert.deepEqual(splitWords(`mail send --to a@x.com --subject "Today's agenda" --body 'say "hi"'`), [
+    "mail", "send", "--to", "a@x.com", "--subject", "Today's agenda", "--body", 'say "hi"',
+  ]);
+  assert.deepEqual(splitWords(String.raw`a\ b "c\"d" '' e`), ["a b", 'c"d', "", "e"]);
+  assert.throws(() => splitWords(`web search "open`), ScriptError);
+});
+
+test("expansions fill in whole words, except inside single quotes", () => {
+  const resolve = ref => ({ agenda: "1. Standup\n2. Lunch", who: "a@x.com b@x.com" })[ref];
+  assert.deepEqual(splitWords(`--to \${who} --body "\${agenda}" '\${agenda}'`, resolve), [
+    "--to", "a@x.com b@x.com", "--body", "1. Standup\n2. Lunch", "${agenda}",
+  ]);
+  assert.throws(() => splitWords("echo ${oops", resolve), /Unclosed \$\{/);
+});
+
+test("lookup reads text, nested fields, array items and the environment", t => {
+  const vars = new Map([
+    ["me", { data: { emailAddress: "me@x.com" }, text: "me@x.com" }],
+    ["events", { data: { items: [{ id: "e1", start: { date: "2026-01-01" } }] }, text: "1 event" }],
+  ]);
+  assert.equal(lookup(vars, "events"), "1 event");
+  assert.equal(lookup(vars, "me.emailAddress"), "me@x.com");
+  assert.equal(lookup(vars, "events.items[0].id"), "e1");
+  assert.equal(lookup(vars, "events.items[0].start"), '{"date":"2026-01-01"}');
+
+  t.after(() => delete process.env.SCRIPT_TEST_VAR);
+  process.env.SCRIPT_TEST_VAR = "from env";
+  assert.equal(lookup(vars, "env.SCRIPT_TEST_VAR"), "from env");
+
+  assert.throws(() => lookup(vars, "nobody"), /Unknown variable "nobody"/);
+  assert.throws(() => lookup(vars, "events.items[3].id"), /is empty/);
+  assert.throws(() => lookup(vars, "env.SCRIPT_TEST_UNSET"), /is not set/);
+  assert.throws(() => lookup(vars, "me..x"), /Bad reference/);
+});
+
+test("parseScript numbers lines, skips comments and reserves env and last", () => {
+  assert.deepEqual(parseScript("# agenda\n\nme = mail me\n  cal list --day today  \nx=a == b\n"), [
+    { line: 3, assign: "me", source: "mail me" },
+    { line: 4, source: "cal list --day today" },
+    { line: 5, assign: "x", source: "a == b" },
+  ]);
+  assert.throws(() => parseScript("ok = mail me\nlast = cal list"), /line 2: "last" is reserved/);
+  assert.throws(() => parseScript("env = mail me"), ScriptError);
+});
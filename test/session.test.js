@@ -0,0 +1,95 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  createTranscript, saveHistory, loadHistory, historyFile,
+  saveSession, loadSession, listSessions, sessionDir, renderMarkdown, exportTranscript,
+} from "../src/session.ts";
+import { createRedactor } from "../src/audit.ts";
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "session-test-"));
+  process.env.SESSION_DIR = dir;
+});
+
+after(() => {
+  delete process.env.SESSION_DIR;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("authcode secrets stay out of the transcript", () => {
+  const transcript = createTranscript(createRedactor());
+  transcript.command("authcode gmail|4/0AbCdEf");
+  transcript.tool("gmail_auth_submit_code", { code: "4/0AbCdEf" }, '{"authenticated":true}', false, 12);
+  assert.equal(transcript.entries[0].line, "authcode gmail|[redacted: 9 chars]");
+  assert.deepEqual(transcript.entries[1].arguments, { code: "[redacted: 9 chars]" });
+  assert.doesNotMatch(JSON.stringify(transcript.entries), /AbCdEf/);
+});
+
+test("saved history keeps the authcode command but not the code", () => {
+  // readline passes history most recent first
+  saveHistory(["authcode calendar|http://localhost:3000/?code=4/0Xyz&scope=cal", "inbox"]);
+  const file = fs.readFileSync(historyFile(), "utf8");
+  assert.equal(file, "inbox\nauthcode calendar|[redacted: 44 chars]\n");
+  assert.deepEqual(loadHistory(), ["authcode calendar|[redacted: 44 chars]", "inbox"]);
+});
+
+function session(name, savedAt, extra = {}) {
+  return {
+    version: 1,
+    name,
+    savedAt,
+    llm: { provider: "ollama", model: "llama3.1" },
+    conversation: [{ role: "user", content: "q" }, { role: "assistant", content: "a" }],
+    documents: [{ docId: "doc-1", source: "/tmp/report.pdf" }],
+    transcript: [],
+    ...extra,
+  };
+}
+
+test("sessions save under SESSION_DIR and list newest first", () => {
+  const file = saveSession(session("older", "2025-11-01T10:00:00.000Z"));
+  saveSession(session("newer", "2025-11-02T10:00:00.000Z"));
+  fs.writeFileSync(path.join(dir, "broken.json"), "{");
+  assert.equal(sessionDir(), dir);
+  assert.equal(file, path.join(dir, "older.json"));
+  assert.deepEqual(loadSession("older"), session("older", "2025-11-01T10:00:00.000Z"));
+  assert.deepEqual(listSessions(), [
+    { name: "newer", savedAt: "2025-11-02T10:00:00.000Z", turns: 1, documents: 1 },
+    { name: "older", savedAt: "2025-11-01T10:00:00.000Z", turns: 1, documents: 1 },
+  ]);
+});
+
+test("session names stay inside the session directory", () => {
+  assert.throws(() => saveSession(session("../escape", "2025-11-01T10:00:00.000Z")), /Invalid session name "\.\.\/escape"/);
+  assert.throws(() => loadSession("missing"), /No session named "missing" in /);
+  fs.writeFileSync(path.join(dir, "future.json"), JSON.stringify({ ...session("future", "2025-11-03T00:00:00.000Z"), version: 2 }));
+  assert.throws(() => loadSession("future"), /Unsupported session file version: 2/);
+});
+
+test("Markdown export fences results longer than any backticks inside them", () => {
+  const md = renderMarkdown(session("demo", "2025-11-01T10:00:00.000Z", {
+    transcript: [
+      { type: "command", at: "2025-11-01T10:00:00.000Z", line: "fetch https://example.com" },
+      { type: "tool", at: "2025-11-01T10:00:01.000Z", name: "fetch_url", arguments: { url: "https://example.com" }, result: "```js\nx\n```", isError: false, durationMs: 40 },
+      { type: "answer", at: "2025-11-01T10:00:02.000Z", question: "q", content: "Done." },
+    ],
+  }));
+  assert.match(md, /^# Session: demo\n\nSaved 2025-11-01T10:00:00.000Z · ollama llama3.1\n\n## Documents\n\n- doc-1: \/tmp\/report.pdf\n/);
+  assert.match(md, /### › fetch https:\/\/example.com\n/);
+  assert.match(md, /\*\*Tool `fetch_url`\*\* · 40 ms\n\n```json\n\{\n  "url": "https:\/\/example.com"\n\}\n```/);
+  assert.match(md, /Result:\n\n````\n```js\nx\n```\n````\n/);
+  assert.match(md, /\*\*Answer\*\*\n\nDone\.\n$/);
+});
+
+test("exportTranscript picks the format from the extension", () => {
+  const data = session("demo", "2025-11-01T10:00:00.000Z");
+  const json = exportTranscript(path.join(dir, "out", "demo.json"), data);
+  assert.deepEqual(JSON.parse(fs.readFileSync(json, "utf8")), data);
+  assert.match(fs.readFileSync(exportTranscript(path.join(dir, "demo.md"), data), "utf8"), /^# Session: demo/);
+  assert.throws(() => exportTranscript(path.join(dir, "demo.txt"), data), /must end in \.md or \.json/);
+});
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findFreeSlots, mergeIntervals } from "../servers/calendar-mcp/slots.js";
+
+const TZ = "America/Chicago";
+// Tuesday 2025-11-04, working hours 09:00-17:00 CST = 15:00Z-23:00Z
+const day = { timeMin: "2025-11-04T00:00:00-06:00", timeMax: "2025-11-05T00:00:00-06:00", timeZone: TZ };
+const local = slots => slots.map(s => s.startLocal.slice(11, 16));
+
+test("an empty day fills from both edges of working hours inwards", () => {
+  const slots = findFreeSlots({ ...day, busy: [], durationMinutes: 60, maxResults: 8 });
+  assert.deepEqual(local(slots), ["09:00", "16:00", "10:00", "15:00", "11:00", "14:00", "12:00", "13:00"]);
+  assert.deepEqual(slots.map(s => s.rank), [1, 2, 3, 4, 5, 6, 7, 8]);
+  assert.equal(slots[0].start, "2025-11-04T15:00:00.000Z");
+  assert.equal(slots[0].endLocal, "2025-11-04T10:00:00-06:00");
+});
+
+test("unsorted, overlapping busy intervals are merged", () => {
+  const busy = [
+    { start: "2025-11-04T12:00:00-06:00", end: "2025-11-04T13:00:00-06:00" },
+    { start: "2025-11-04T09:00:00-06:00", end: "2025-11-04T11:00:00-06:00" },
+    { start: "2025-11-04T10:00:00-06:00", end: "2025-11-04T12:30:00-06:00" },
+    { start: "2025-11-04T13:00:00-06:00", end: "2025-11-04T17:00:00-06:00" },
+  ];
+  assert.deepEqual(findFreeSlots({ ...day, busy, durationMinutes: 15 }), []);
+  const merged = mergeIntervals([{ start: 5, end: 9 }, { start: 1, end: 3 }, { start: 3, end: 4 }, { start: 8, end: 8 }]);
+  assert.deepEqual(merged, [{ start: 1, end: 4 }, { start: 5, end: 9 }]);
+});
+
+test("a gap exactly as long as the meeting fits, but not once buffers are added", () => {
+  const busy = [
+    { start: "2025-11-04T09:00:00-06:00", end: "2025-11-04T10:00:00-06:00" },
+    { start: "2025-11-04T11:00:00-06:00", end: "2025-11-04T17:00:00-06:00" },
+  ];
+  assert.deepEqual(local(findFreeSlots({ ...day, busy, durationMinutes: 60 })), ["10:00"]);
+  assert.deepEqual(findFreeSlots({ ...day, busy, durationMinutes: 60, bufferMinutes: 5 }), []);
+  assert.deepEqual(local(findFreeSlots({ ...day, busy, durationMinutes: 30, bufferMinutes: 15 })), ["10:15"]);
+});
+
+test("weekends are skipped and days across a DST change keep local hours", () => {
+  // Fri 2025-03-07 (CST) through Tue 2025-03-11 (CDT); clocks change on Sunday 03-09
+  const slots = findFreeSlots({
+    busy: [],
+    timeMin: "2025-03-07T00:00:00-06:00",
+    timeMax: "2025-03-12T00:00:00-05:00",
+    timeZone: TZ,
+    durationMinutes: 480,
+    maxResults: 10,
+  });
+  assert.deepEqual(slots.map(s => s.start), ["2025-03-07T15:00:00.000Z", "2025-03-10T14:00:00.000Z", "2025-03-11T14:00:00.000Z"]);
+  assert.deepEqual(slots.map(s => s.startLocal), ["2025-03-07T09:00:00-06:00", "2025-03-10T09:00:00-05:00", "2025-03-11T09:00:00-05:00"]);
+});
+
+test("slots snap to the local grid in half-hour offset zones", () => {
+  const slots = findFreeSlots({
+    busy: [{ start: "2025-11-04T03:30:00Z", end: "2025-11-04T03:40:00Z" }], // 09:00-09:10 IST
+    timeMin: "2025-11-04T00:00:00+05:30",
+    timeMax: "2025-11-05T00:00:00+05:30",
+    timeZone: "Asia/Kolkata",
+    durationMinutes: 30,
+    granularityMinutes: 30,
+    maxResults: 20,
+  });
+  assert.equal(slots.length, 15);
+  assert.ok(slots.every(s => /T\d\d:(00|30):00\+05:30$/.test(s.startLocal)));
+  assert.ok(!slots.some(s => s.startLocal.includes("T09:00")));
+});
+
+test("custom working hours and a window starting mid-day", () => {
+  const slots = findFreeSlots({
+    busy: [],
+    timeMin: "2025-11-04T15:20:00-06:00",
+    timeMax: "2025-11-05T00:00:00-06:00",
+    timeZone: TZ,
+    workEnd: "18:00",
+    durationMinutes: 60,
+    maxResults: 10,
+  });
+  assert.deepEqual(local(slots), ["17:00", "15:30"]);
+});
+
+test("returned slots never overlap", () => {
+  const busy = [{ start: "2025-11-04T10:40:00-06:00", end: "2025-11-04T11:10:00-06:00" }];
+  const slots = findFreeSlots({ ...day, busy, durationMinutes: 50, maxResults: 20 });
+  const sorted = slots.map(s => [Date.parse(s.start), Date.parse(s.end)]).sort((a, b) => a[0] - b[0]);
+  for (let i = 1; i < sorted.length; i++) assert.ok(sorted[i][0] >= sorted[i - 1][1]);
+});
+
+test("invalid windows are rejected", () => {
+  assert.throws(() => findFreeSlots({ ...day, timeMax: day.timeMin, busy: [], durationMinutes: 30 }), /timeMax must be after timeMin/);
+  assert.throws(() => findFreeSlots({ ...day, timeMin: "soon", busy: [], durationMinutes: 30 }), /valid ISO timestamps/);
+});
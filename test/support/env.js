@@ -0,0 +1,7 @@
+// Imported first by every test file: module-level settings are read when the
+// servers are imported, so they must be in place before that.
+process.env.MCP_CACHE = "off";
+process.env.CALENDAR_DEFAULT_TZ = "America/Chicago";
+process.env.SERPAPI_KEY = "test-serpapi-key";
+process.env.WEB_SEARCH_PROVIDER = "serpapi";
+process.env.WEB_SEARCH_RATE_PER_SEC = "100";
@@ -0,0 +1,129 @@
+// In-memory stand-in for the googleapis Calendar client: the events.*, freebusy and
+// settings calls calendar-mcp makes. Every call is logged in `calls` for assertions.
+
+function apiError(status, message) {
+  const e = new Error(message);
+  e.code = status;
+  e.status = status;
+  return e;
+}
+
+// All-day dates count from UTC midnight; close enough for the tests
+function startMs(ev) {
+  return Date.parse(ev.start?.dateTime ?? ev.start?.date);
+}
+function endMs(ev) {
+  return Date.parse(ev.end?.dateTime ?? ev.end?.date);
+}
+
+/**
+ * @param {{ events?: object[], timeZone?: string, others?: Record<string, { start: string, end: string }[] | { errors: { reason: string }[] }> }} [options]
+ *   `others` holds free/busy data for calendars other than "primary": a busy list, or
+ *   `{ errors }` for a calendar the user may not see.
+ */
+export function createFakeCalendar({ events = [], timeZone = "America/Chicago", others = {}, pageSize = 250 } = {}) {
+  const store = new Map(events.map(ev => [ev.id, { iCalUID: `${ev.id}@google.com`, ...structuredClone(ev) }]));
+  const calls = [];
+  let nextId = 1;
+
+  function log(method, params) {
+    calls.push({ method, params: structuredClone(params) });
+  }
+
+  function get(eventId) {
+    const ev = store.get(eventId);
+    if (!ev || ev.status === "cancelled") throw apiError(404, "Not Found");
+    return ev;
+  }
+
+  function save(body) {
+    const id = body.id ?? `evt${nextId++}`;
+    const ev = { status: "confirmed", ...structuredClone(body), id, htmlLink: `https://calendar.example.com/event?eid=${id}` };
+    ev.iCalUID ??= `${id}@google.com`;
+    store.set(id, ev);
+    return ev;
+  }
+
+  return {
+    store,
+    calls,
+    events: {
+      async list(params) {
+        log("events.list", params);
+        const { timeMin, timeMax, q, iCalUID, maxResults = pageSize, pageToken } = params;
+        const from = timeMin ? Date.parse(timeMin) : -Infinity;
+        const to = timeMax ? Date.parse(timeMax) : Infinity;
+        const hits = [...store.values()]
+          .filter(ev => ev.status !== "cancelled")
+          .filter(ev => (iCalUID ? ev.iCalUID === iCalUID : startMs(ev) < to && endMs(ev) > from))
+          .filter(ev => !q || `${ev.summary} ${ev.description ?? ""}`.toLowerCase().includes(q.toLowerCase()))
+          .sort((a, b) => startMs(a) - startMs(b));
+        const offset = Number(pageToken ?? 0);
+        const items = hits.slice(offset, offset + Math.min(maxResults, pageSize));
+        const more = offset + items.length < hits.length;
+        return { data: { items, nextPageToken: more ? String(offset + items.length) : undefined } };
+      },
+      async get(params) {
+        log("events.get", params);
+        return { data: structuredClone(get(params.eventId)) };
+      },
+      async insert(params) {
+        log("events.insert", params);
+        const ev = save(params.requestBody);
+        if (params.conferenceDataVersion) ev.hangoutLink = `https://meet.example.com/${ev.id}`;
+        return { data: structuredClone(ev) };
+      },
+      async import(params) {
+        log("events.import", params);
+        return { data: structuredClone(save(params.requestBody)) };
+      },
+      async patch(params) {
+        log("events.patch", params);
+        const ev = get(params.eventId);
+        // Like Google: nested objects merge, and a null field is cleared
+        for (const [k, v] of Object.entries(params.requestBody)) {
+          if (v === undefined) continue;
+          if (v && typeof v === "object" && !Array.isArray(v) && ev[k] && typeof ev[k] === "object") {
+            const merged = { ...ev[k], ...structuredClone(v) };
+            for (const key of Object.keys(merged)) if (merged[key] === null) delete merged[key];
+            ev[k] = merged;
+          } else {
+            ev[k] = structuredClone(v);
+          }
+        }
+        return { data: structuredClone(ev) };
+      },
+      async delete(params) {
+        log("events.delete", params);
+        get(params.eventId).status = "cancelled";
+        return { data: "" };
+      },
+    },
+    freebusy: {
+      async query(params) {
+        log("freebusy.query", params);
+        const { timeMin, timeMax, items } = params.requestBody;
+        const from = Date.parse(timeMin);
+        const to = Date.parse(timeMax);
+        const calendars = {};
+        for (const { id } of items) {
+          if (id === "primary") {
+            const busy = [...store.values()]
+              .filter(ev => ev.status !== "cancelled" && ev.transparency !== "transparent")
+              .filter(ev => startMs(ev) < to && endMs(ev) > from)
+              .map(ev => ({ start: new Date(startMs(ev)).toISOString(), end: new Date(endMs(ev)).toISOString() }));
+            calendars[id] = { busy };
+          } else if (Array.isArray(others[id])) calendars[id] = { busy: others[id] };
+          else calendars[id] = others[id] ?? { errors: [{ domain: "global", reason: "notFound" }] };
+        }
+        return { data: { kind: "calendar#freeBusy", timeMin, timeMax, calendars } };
+      },
+    },
+    settings: {
+      async get(params) {
+        log("settings.get", params);
+        return { data: { id: params.setting, value: timeZone } };
+      },
+    },
+  };
+}
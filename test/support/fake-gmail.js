@@ -0,0 +1,138 @@
+// In-memory stand-in for the googleapis Gmail client: the users.* calls gmail-mcp makes.
+// Sent messages and drafts are kept as decoded MIME so tests can inspect the output.
+
+function base64url(s) {
+  return Buffer.from(s, "utf8").toString("base64url");
+}
+
+function notFound(what) {
+  const e = new Error(`Requested entity was not found: ${what}`);
+  e.code = 404;
+  e.status = 404;
+  return e;
+}
+
+/**
+ * Build a Gmail API message resource.
+ * @param {{ id: string, threadId?: string, from: string, to?: string, cc?: string, replyTo?: string,
+ *   subject: string, date?: string, body?: string, html?: string, messageId?: string, labelIds?: string[],
+ *   attachments?: { filename: string, mimeType: string, data: string }[] }} m
+ */
+export function gmailMessage(m) {
+  const headers = [
+    ["From", m.from],
+    ["To", m.to],
+    ["Cc", m.cc],
+    ["Reply-To", m.replyTo],
+    ["Subject", m.subject],
+    ["Date", m.date ?? "Mon, 3 Nov 2025 09:00:00 -0600"],
+    ["Message-ID", m.messageId ?? `<${m.id}@mail.example.com>`],
+  ].filter(([, value]) => value !== undefined).map(([name, value]) => ({ name, value }));
+
+  const parts = [];
+  if (m.body !== undefined) parts.push({ mimeType: "text/plain", body: { data: base64url(m.body), size: m.body.length } });
+  if (m.html !== undefined) parts.push({ mimeType: "text/html", body: { data: base64url(m.html), size: m.html.length } });
+  (m.attachments ?? []).forEach((a, i) => parts.push({
+    mimeType: a.mimeType,
+    filename: a.filename,
+    body: { attachmentId: `att-${m.id}-${i}`, size: a.data.length },
+  }));
+
+  return {
+    id: m.id,
+    threadId: m.threadId ?? m.id,
+    labelIds: m.labelIds ?? ["INBOX"],
+    snippet: (m.body ?? "").slice(0, 100),
+    payload: { mimeType: "multipart/mixed", headers, parts },
+  };
+}
+
+/** Split a raw MIME message into headers (lower-cased names) and the decoded text of every base64 part. */
+export function parseRaw(raw) {
+  const [head] = raw.split("\r\n\r\n");
+  const headers = {};
+  for (const line of head.split("\r\n")) {
+    const i = line.indexOf(": ");
+    if (i > 0 && !headers[line.slice(0, i).toLowerCase()]) headers[line.slice(0, i).toLowerCase()] = line.slice(i + 2);
+  }
+  const parts = [];
+  const partRe = /Content-Type: ([^;\r\n]+)[^\r\n]*\r\n(?:Content-Disposition: attachment; filename="([^"]*)"\r\n)?Content-Transfer-Encoding: base64\r\n\r\n([A-Za-z0-9+/=\r\n]+)/g;
+  for (const m of raw.matchAll(partRe)) {
+    parts.push({ contentType: m[1], filename: m[2], text: Buffer.from(m[3].replace(/\r\n/g, ""), "base64").toString("utf8") });
+  }
+  return { headers, parts, raw };
+}
+
+export function createFakeGmail({ emailAddress = "me@example.com", messages = [], attachments = {} } = {}) {
+  const store = new Map(messages.map(m => [m.id, m]));
+  const sent = [];
+  const drafts = [];
+  let nextId = 1;
+
+  // Attachment bodies, keyed by attachment id, from the messages' attachment lists
+  const attachmentData = { ...attachments };
+
+  function decode(requestBody) {
+    const raw = Buffer.from(requestBody.raw, "base64url").toString("utf8");
+    return { threadId: requestBody.threadId, ...parseRaw(raw) };
+  }
+
+  // Enough of Gmail's query language for the tests: in:inbox, from:x and plain words
+  function matches(msg, q = "") {
+    const headers = Object.fromEntries(msg.payload.headers.map(h => [h.name.toLowerCase(), h.value]));
+    return q.split(/\s+/).filter(Boolean).every(term => {
+      if (term === "in:inbox") return msg.labelIds.includes("INBOX");
+      if (term.startsWith("from:")) return (headers.from || "").toLowerCase().includes(term.slice(5).toLowerCase());
+      return `${headers.subject} ${msg.snippet}`.toLowerCase().includes(term.toLowerCase());
+    });
+  }
+
+  return {
+    sent,
+    drafts,
+    store,
+    attachmentData,
+    users: {
+      async getProfile() {
+        return { data: { emailAddress, messagesTotal: store.size, threadsTotal: new Set([...store.values()].map(m => m.threadId)).size } };
+      },
+      messages: {
+        async list({ q, maxResults = 100 }) {
+          const hits = [...store.values()].filter(m => matches(m, q));
+          return { data: { messages: hits.slice(0, maxResults).map(m => ({ id: m.id, threadId: m.threadId })), resultSizeEstimate: hits.length } };
+        },
+        async get({ id }) {
+          if (!store.has(id)) throw notFound(id);
+          return { data: store.get(id) };
+        },
+        async send({ requestBody }) {
+          const id = `sent${nextId++}`;
+          const threadId = requestBody.threadId || id;
+          sent.push({ id, ...decode(requestBody), threadId });
+          return { data: { id, threadId, labelIds: ["SENT"] } };
+        },
+        attachments: {
+          async get({ id }) {
+            if (!(id in attachmentData)) throw notFound(id);
+            return { data: { data: Buffer.from(attachmentData[id]).toString("base64url") } };
+          },
+        },
+      },
+      drafts: {
+        async create({ requestBody }) {
+          const id = `draft${nextId++}`;
+          const threadId = requestBody.message.threadId || id;
+          drafts.push({ id, ...decode(requestBody.message), threadId });
+          return { data: { id, message: { id: `m-${id}`, threadId } } };
+        },
+      },
+      threads: {
+        async get({ id }) {
+          const msgs = [...store.values()].filter(m => m.threadId === id);
+          if (!msgs.length) throw notFound(id);
+          return { data: { id, messages: msgs } };
+        },
+      },
+    },
+  };
+}
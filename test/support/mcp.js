@@ -0,0 +1,31 @@
+// Run a server's createServer() against an MCP client over an in-memory transport.
+
+import assert from "node:assert/strict";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+
+export async function connect(server) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.connect(serverTransport);
+  const client = new Client({ name: "test", version: "0.0.0" });
+  await client.connect(clientTransport);
+  // Caches every tool's outputSchema, so callTool checks structuredContent against it
+  await client.listTools();
+  return client;
+}
+
+/** Call a tool that should succeed and return its structured result. */
+export async function callJson(client, name, args = {}) {
+  const res = await client.callTool({ name, arguments: args });
+  assert.ok(!res.isError, `${name} failed: ${res.content?.[0]?.text}`);
+  assert.deepEqual(JSON.parse(res.content[0].text), res.structuredContent);
+  return { res, data: res.structuredContent };
+}
+
+/** Call a tool that should fail and return its error envelope. */
+export async function callError(client, name, args = {}) {
+  const res = await client.callTool({ name, arguments: args });
+  assert.equal(res.isError, true, `${name} unexpectedly succeeded`);
+  assert.equal(res.structuredContent, undefined);
+  return JSON.parse(res.content[0].text);
+}
@@ -0,0 +1,71 @@
+// Generate small text PDFs for pdf-reader tests, so no binary fixtures are checked in.
+//
+// makePdf({ title, pages, outline }):
+//   pages:   one array per page; an entry is a line of text, or an array of cells
+//            that are laid out in columns (what extract_tables looks for)
+//   outline: [{ title, page }] bookmarks pointing at 1-based pages
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const LEADING = 18;
+const COLUMN_WIDTH = 150;
+
+function escapeText(s) {
+  return s.replace(/[\\()]/g, "\\$&");
+}
+
+function pageStream(lines) {
+  const ops = ["BT", "/F1 12 Tf"];
+  let y = PAGE_HEIGHT - 72;
+  for (const line of lines) {
+    const cells = Array.isArray(line) ? line : [line];
+    cells.forEach((cell, i) => ops.push(`1 0 0 1 ${72 + i * COLUMN_WIDTH} ${y} Tm (${escapeText(cell)}) Tj`));
+    y -= LEADING;
+  }
+  ops.push("ET");
+  return ops.join("\n");
+}
+
+/** @returns {Buffer} */
+export function makePdf({ title = "Test document", author = "pdf-reader tests", pages, outline = [] }) {
+  // Object numbers: 1 catalog, 2 page tree, 3 font, 4 info, 5 outline root, then page/content pairs, then bookmarks
+  const pageObj = i => 6 + i * 2;
+  const firstBookmark = 6 + pages.length * 2;
+  const objects = new Map();
+
+  objects.set(1, `<< /Type /Catalog /Pages 2 0 R${outline.length ? " /Outlines 5 0 R /PageMode /UseOutlines" : ""} >>`);
+  objects.set(2, `<< /Type /Pages /Kids [${pages.map((_, i) => `${pageObj(i)} 0 R`).join(" ")}] /Count ${pages.length} >>`);
+  objects.set(3, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+  objects.set(4, `<< /Title (${escapeText(title)}) /Author (${escapeText(author)}) >>`);
+  objects.set(5, outline.length
+    ? `<< /Type /Outlines /First ${firstBookmark} 0 R /Last ${firstBookmark + outline.length - 1} 0 R /Count ${outline.length} >>`
+    : "<< /Type /Outlines /Count 0 >>");
+
+  pages.forEach((lines, i) => {
+    const stream = pageStream(lines);
+    objects.set(pageObj(i), `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageObj(i) + 1} 0 R >>`);
+    objects.set(pageObj(i) + 1, `<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`);
+  });
+
+  outline.forEach((item, i) => {
+    const n = firstBookmark + i;
+    const links = [
+      i > 0 ? `/Prev ${n - 1} 0 R` : "",
+      i < outline.length - 1 ? `/Next ${n + 1} 0 R` : "",
+    ].filter(Boolean).join(" ");
+    objects.set(n, `<< /Title (${escapeText(item.title)}) /Parent 5 0 R ${links} /Dest [${pageObj(item.page - 1)} 0 R /XYZ 0 ${PAGE_HEIGHT} 0] >>`);
+  });
+
+  let out = "%PDF-1.4\n";
+  const offsets = [];
+  const count = Math.max(...objects.keys());
+  for (let n = 1; n <= count; n++) {
+    offsets[n] = Buffer.byteLength(out, "latin1");
+    out += `${n} 0 obj\n${objects.get(n)}\nendobj\n`;
+  }
+  const xref = Buffer.byteLength(out, "latin1");
+  out += `xref\n0 ${count + 1}\n0000000000 65535 f \n`;
+  for (let n = 1; n <= count; n++) out += `${String(offsets[n]).padStart(10, "0")} 00000 n \n`;
+  out += `trailer\n<< /Size ${count + 1} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, "latin1");
+}
@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseWhen, toZonedISO } from "../servers/shared/time.js";
+
+const timeZone = "America/Chicago";
+// Tuesday 2025-11-04, noon in Chicago
+const now = Date.parse("2025-11-04T12:00:00-06:00");
+
+function range(text) {
+  const { start, end } = parseWhen(text, { timeZone, now });
+  return [toZonedISO(start, timeZone), end === null ? null : toZonedISO(end, timeZone)];
+}
+
+test("a trailing pm applies to the start only when that keeps it before the end", () => {
+  assert.deepEqual(range("fri 11-1pm"), ["2025-11-07T11:00:00-06:00", "2025-11-07T13:00:00-06:00"]);
+  assert.deepEqual(range("fri 11:30-12:15pm"), ["2025-11-07T11:30:00-06:00", "2025-11-07T12:15:00-06:00"]);
+  assert.deepEqual(range("fri 2-3:30pm"), ["2025-11-07T14:00:00-06:00", "2025-11-07T15:30:00-06:00"]);
+  assert.deepEqual(range("fri 11am-1pm"), ["2025-11-07T11:00:00-06:00", "2025-11-07T13:00:00-06:00"]);
+});
+
+test("only a range with both ends marked crosses midnight", () => {
+  assert.deepEqual(range("fri 10pm-1am"), ["2025-11-07T22:00:00-06:00", "2025-11-08T01:00:00-06:00"]);
+  const [start, end] = range("fri 22:00-01:00");
+  assert.ok(end < start);
+});
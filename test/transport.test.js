@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { httpOptions, createSessions } from "../servers/shared/transport.js";
+
+test("only --http switches a server to HTTP; the environment alone does not", t => {
+  t.after(() => delete process.env.MCP_HTTP_PORT);
+  process.env.MCP_HTTP_PORT = "3102";
+  assert.equal(httpOptions(), null);
+
+  const argv = process.argv;
+  t.after(() => (process.argv = argv));
+  process.argv = [...argv, "--http", "3103"];
+  assert.equal(httpOptions().port, 3103);
+});
+
+test("idle HTTP sessions are closed; ones with a request in flight are kept", async () => {
+  let clock = 0;
+  const closed = [];
+  const sessions = createSessions({ idleMs: 60000, now: () => clock });
+  const transport = id => ({ close: async () => closed.push(id) });
+  sessions.add("idle", transport("idle"));
+  sessions.add("listening", transport("listening"));
+  sessions.add("recent", transport("recent"));
+  sessions.track("listening");
+
+  clock = 50000;
+  const done = sessions.track("recent");
+  done();
+  clock = 61000;
+  assert.equal(await sessions.closeIdle(), 1);
+  assert.deepEqual(closed, ["idle"]);
+  assert.equal(sessions.get("idle"), undefined);
+  assert.equal(sessions.size, 2);
+
+  clock = 200000;
+  await sessions.closeIdle();
+  assert.deepEqual(closed, ["idle", "recent"]);
+  assert.ok(sessions.get("listening"));
+});
@@ -0,0 +1,180 @@
+import "./support/env.js";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import dns from "node:dns";
+import net from "node:net";
+import { createServer } from "../servers/web-search-mcp/server.js";
+import { connect, callJson, callError } from "./support/mcp.js";
+
+const fixture = name => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+// Replace fetch for one test: each call takes the next canned reply and its URL is recorded.
+// Host names resolve to a public address unless `hosts` says otherwise.
+function stubFetch(t, replies, hosts = {}) {
+  const urls = [];
+  t.mock.method(dns.promises, "lookup", async (host) => {
+    const address = hosts[host] ?? (net.isIP(host) ? host : "93.184.216.34");
+    return [{ address, family: net.isIP(address) }];
+  });
+  t.mock.method(globalThis, "fetch", async (url) => {
+    urls.push(new URL(url));
+    const { body = "", status = 200, headers = {} } = replies.shift() ?? assert.fail(`unexpected fetch of ${url}`);
+    const res = new Response(body, { status, headers });
+    Object.defineProperty(res, "url", { value: String(url) });
+    return res;
+  });
+  return urls;
+}
+
+const json = body => ({ body, headers: { "content-type": "application/json" } });
+
+let client;
+
+before(async () => {
+  client = await connect(createServer());
+});
+
+after(async () => {
+  await client.close();
+});
+
+test("web_search maps SerpAPI organic results", async (t) => {
+  const urls = stubFetch(t, [json(fixture("serpapi-web.json"))]);
+  const { data } = await callJson(client, "web_search", { query: "model context protocol", num: 3 });
+  assert.equal(data.provider, "serpapi");
+  assert.deepEqual(data.results.map(r => r.url), [
+    "https://modelcontextprotocol.io/introduction",
+    "https://modelcontextprotocol.io/specification",
+    "https://github.com/modelcontextprotocol/typescript-sdk",
+  ]);
+  assert.deepEqual(data.results[1], {
+    title: "Specification - Model Context Protocol",
+    url: "https://modelcontextprotocol.io/specification",
+    snippet: "The authoritative protocol requirements, based on the TypeScript schema.",
+    date: "Jun 18, 2025",
+    source: "Model Context Protocol",
+  });
+
+  const params = Object.fromEntries(urls[0].searchParams);
+  assert.equal(urls[0].origin + urls[0].pathname, "https://serpapi.com/search.json");
+  assert.deepEqual(params, { engine: "google", q: "model context protocol", num: "3", api_key: "test-serpapi-key" });
+});
+
+test("news search passes the page offset, time range and site filter", async (t) => {
+  const urls = stubFetch(t, [json(fixture("serpapi-news.json"))]);
+  const { data } = await callJson(client, "web_search", {
+    query: "interest rates",
+    type: "news",
+    num: 2,
+    page: 3,
+    timeRange: "week",
+    site: "https://www.reuters.com/markets",
+  });
+  assert.deepEqual(data.results.map(r => [r.title, r.date, r.source]), [
+    ["Central bank holds rates steady", "2 days ago", "Reuters"],
+    ["Bond yields slip after rate decision", "3 days ago", "Reuters"],
+  ]);
+  const params = urls[0].searchParams;
+  assert.equal(params.get("q"), "interest rates site:www.reuters.com");
+  assert.equal(params.get("tbm"), "nws");
+  assert.equal(params.get("tbs"), "qdr:w");
+  assert.equal(params.get("start"), "4");
+});
+
+test("a 429 is retried after Retry-After; a 401 is not", async (t) => {
+  const urls = stubFetch(t, [
+    { status: 429, body: "Too Many Requests", headers: { "retry-after": "0" } },
+    json(fixture("serpapi-web.json")),
+  ]);
+  const { data } = await callJson(client, "web_search", { query: "model context protocol", num: 1 });
+  assert.equal(urls.length, 2);
+  assert.equal(data.results.length, 1);
+
+  const again = stubFetch(t, [{ status: 401, body: "Invalid API key" }]);
+  const err = await callError(client, "web_search", { query: "anything" });
+  assert.deepEqual(err, {
+    error: "upstream_error",
+    message: "serpapi.com returned HTTP 401: Invalid API key",
+    hint: "The remote service failed; retrying later may help.",
+    retryable: false,
+    status: 401,
+  });
+  assert.equal(again.length, 1);
+});
+
+test("web_search validates its arguments and provider", async () => {
+  assert.equal((await callError(client, "web_search", { query: "" })).issues[0].code, "too_small");
+  assert.equal((await callError(client, "web_search", { query: "x", num: 50 })).issues[0].code, "too_big");
+  const provider = await callError(client, "web_search", { query: "x", provider: "bing" });
+  assert.equal(provider.error, "validation");
+  assert.equal(provider.message, 'Unknown search provider "bing"');
+  assert.match(provider.hint, /serpapi, brave, searxng, duckduckgo/);
+});
+
+test("a missing API key is reported as auth_required", async (t) => {
+  delete process.env.SERPAPI_KEY;
+  t.after(() => { process.env.SERPAPI_KEY = "test-serpapi-key"; });
+  const err = await callError(client, "web_search", { query: "x", provider: "serpapi" });
+  assert.equal(err.error, "auth_required");
+  assert.match(err.hint, /Set SERPAPI_KEY/);
+});
+
+test("fetch_url turns an article page into markdown", async (t) => {
+  const html = `<!doctype html><html><head><title>Rates hold | Example News</title></head><body>
+    <nav><a href="/">Home</a> <a href="/markets">Markets</a></nav>
+    <article>
+      <h1>Rates hold steady</h1>
+      <p>The central bank left its benchmark rate unchanged on Wednesday, citing <strong>cooling inflation</strong>.</p>
+      <p>Officials said further moves would depend on <a href="/data">incoming data</a> over the coming months.</p>
+      <ul><li>Rate: 4.25%</li><li>Next meeting: December</li></ul>
+    </article>
+    <footer>Copyright Example News</footer>
+  </body></html>`;
+  stubFetch(t, [{ body: html, headers: { "content-type": "text/html; charset=utf-8" } }]);
+  const { data } = await callJson(client, "fetch_url", { url: "https://news.example.com/rates" });
+  assert.equal(data.url, "https://news.example.com/rates");
+  assert.equal(data.format, "markdown");
+  assert.match(data.content, /# Rates hold steady/);
+  assert.match(data.content, /\*\*cooling inflation\*\*/);
+  assert.match(data.content, /\[incoming data\]\(https:\/\/news\.example\.com\/data\)/);
+  assert.match(data.content, /- Rate: 4\.25%/);
+  assert.doesNotMatch(data.content, /Copyright/);
+});
+
+test("fetch_url refuses PDFs and non-http URLs", async (t) => {
+  stubFetch(t, [{ body: "%PDF-1.4", headers: { "content-type": "application/pdf" } }]);
+  const pdf = await callError(client, "fetch_url", { url: "https://example.com/report.pdf" });
+  assert.equal(pdf.error, "validation");
+  assert.match(pdf.hint, /load_pdf/);
+  const file = await callError(client, "fetch_url", { url: "file:///etc/passwd" });
+  assert.equal(file.message, "url: Only http(s) URLs are supported");
+});
+
+test("fetch_url refuses loopback, private and metadata addresses, also after a redirect", async (t) => {
+  const urls = stubFetch(t, [{ status: 302, headers: { location: "http://127.0.0.1:8080/admin" } }], { "intranet.example.com": "10.1.2.3" });
+  for (const url of ["http://169.254.169.254/latest/meta-data/", "http://[::1]/", "http://intranet.example.com/wiki"]) {
+    const err = await callError(client, "fetch_url", { url });
+    assert.equal(err.error, "validation");
+    assert.match(err.message, /private or local address/);
+  }
+  const redirected = await callError(client, "fetch_url", { url: "https://short.example.com/x" });
+  assert.match(redirected.message, /Refusing to fetch http:\/\/127\.0\.0\.1:8080\/admin/);
+  assert.deepEqual(urls.map(String), ["https://short.example.com/x"]);
+});
+
+test("fetch_url follows redirects between public hosts", async (t) => {
+  stubFetch(t, [
+    { status: 301, headers: { location: "/story" } },
+    { body: "plain text", headers: { "content-type": "text/plain" } },
+  ]);
+  const { data } = await callJson(client, "fetch_url", { url: "https://redirect.example.com/old" });
+  assert.deepEqual([data.url, data.content], ["https://redirect.example.com/story", "plain text"]);
+});
+
+test("research_topic prompt carries the topic and time range", async () => {
+  const { messages } = await client.getPrompt({ name: "research_topic", arguments: { topic: "heat pumps", timeRange: "month" } });
+  assert.match(messages[0].content.text, /^Research this topic: heat pumps\n/);
+  assert.match(messages[0].content.text, /Run web_search with timeRange "month"/);
+  await assert.rejects(client.getPrompt({ name: "research_topic", arguments: {} }), /needs a topic/);
+});